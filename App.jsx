@@ -1,17 +1,80 @@
-import { useState, useCallback, useMemo } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMapEvents, CircleMarker, useMap } from 'react-leaflet';
+import { useState, useCallback, useMemo, useEffect } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Polygon, Rectangle, useMapEvents, CircleMarker, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
 import cityGraph from './data/cityGraph.json';
+import poiData from './data/pois.json';
+import districtData from './data/districts.json';
 import {
     buildAdjacencyList,
     findAccessibleRoute,
+    findMultiStopRoute,
+    findAlternativeRoutes,
     getRouteCoordinates,
     formatDistance,
     estimateTime,
-    getEdgeAccessibilityLevel
+    getEdgeAccessibilityLevel,
+    isEdgeAccessible,
+    isReverseAllowed
 } from './utils/routing';
+import { diagnoseNoRoute } from './utils/diagnostics';
+import { buildCityIndex, buildEdgeIndex, buildPointIndex, findNearPath, fromLatLngBounds } from './utils/spatialIndex';
+import { attachBarriersToEdges, BARRIER_LABELS } from './utils/barriers';
+import { createReportStore, mergeApprovedReports, REPORT_STATUS, REPORT_SOURCE } from './utils/reports';
+import { readFlightPackage, createBarrierCandidates, describeCandidate } from './utils/droneSurvey';
+import { snapToNearestEdge, createSnappedPoint, addVirtualNodes, MAX_SNAP_DISTANCE } from './utils/snapping';
+import { createRouteTrack, getNavigationState, formatHazardWarning } from './utils/navigation';
+import { generateInstructions } from './utils/instructions';
+import { getRestStops } from './utils/rests';
+import { POI_CATEGORIES, filterPois, getNearestPois, findBestReachable, getPoiDistance } from './utils/pois';
+import { buildGazetteer, createGazetteerGeocoder, normalizeText, MIN_QUERY_LENGTH } from './utils/geocoder';
+import { validateGraph, formatProblem } from './utils/graphSchema';
+import { getBarrierProvenance, getEdgeProvenance, describeProvenance, isUncertain } from './utils/provenance';
+import {
+    collectBarrierObservations,
+    applyBarrierObservations,
+    applyEdgeObservations,
+    getDisputes,
+    describeObservation,
+    describeValue,
+    MEASUREMENTS,
+} from './utils/observations';
+import {
+    createDemandStore,
+    scoreAreas,
+    planMissions,
+    getMainReason,
+    missionsToGeoJSON,
+    missionsToCsv,
+} from './utils/missionPlanner';
+import {
+    getAnalyticsProfiles,
+    readDistricts,
+    summarizeNetwork,
+    getAccessiblePercent,
+    sampleTrips,
+    rankBlockingBarriers,
+    buildHeatmap,
+    networkSummaryToCsv,
+    districtSummaryToCsv,
+    blockingBarriersToCsv,
+    HEATMAP_METRICS,
+} from './utils/analytics';
+import {
+    createProfileStorage,
+    createNamedProfile,
+    applyPreset,
+    exportProfile,
+    importProfile,
+    getProfileShareUrl,
+    readProfileFromUrl,
+    PROFILE_URL_PARAM,
+    SIMPLE_ROUTE_TURN_PENALTY,
+    MOBILITY_TYPES,
+    MOBILITY_LABELS,
+} from './utils/profiles';
+import { createVoiceGuide, describeRouteSummary, getNavigationAnnouncements } from './utils/speech';
 
 // Fix Leaflet default icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -21,6 +84,12 @@ L.Icon.Default.mergeOptions({
     shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
 });
 
+// The city graph is checked once on load; the app does not route on invalid data
+const graphReport = validateGraph(cityGraph);
+
+// How many problems are listed on screen
+const GRAPH_PROBLEM_LIMIT = 20;
+
 // Custom marker icons
 const createIcon = (color, label) => {
     return L.divIcon({
@@ -47,6 +116,25 @@ const createIcon = (color, label) => {
 const startIcon = createIcon('#22c55e', 'А');
 const endIcon = createIcon('#ef4444', 'Б');
 
+// Icon and labels for a waypoint by its position in the list
+const getWaypointIcon = (index, count) => {
+    if (index === 0) return startIcon;
+    if (index === count - 1) return endIcon;
+    return createIcon('#3b82f6', index);
+};
+
+const getWaypointMarkerLabel = (index, count) => {
+    if (index === 0) return 'А';
+    if (index === count - 1) return 'Б';
+    return index;
+};
+
+const getWaypointLabel = (index, count) => {
+    if (index === 0) return 'Откуда';
+    if (index === count - 1) return 'Куда';
+    return `Остановка ${index}`;
+};
+
 const barrierIcons = {
     stairs: '🪜',
     curb: '⬆️',
@@ -57,15 +145,84 @@ const barrierIcons = {
     ramp: '♿',
 };
 
-// Default user profile
-const defaultProfile = {
-    mobilityType: 'wheelchair',
-    maxCurbHeight: 5,
-    maxSlope: 8,
-    minWidth: 90,
-    voiceEnabled: false,
+// Barriers closer than this to the route are listed with it, in meters
+const NEARBY_BARRIER_DISTANCE = 20;
+
+// Barrier reports, stored locally in IndexedDB
+const reportStore = createReportStore();
+
+// Spoken guidance queue
+const voiceGuide = createVoiceGuide();
+
+// Navigation maneuver icons
+const maneuverIcons = {
+    depart: '📍',
+    straight: '↑',
+    'slight-left': '↖',
+    'slight-right': '↗',
+    left: '↰',
+    right: '↱',
+    'sharp-left': '↙',
+    'sharp-right': '↘',
+    uturn: '↶',
+    arrive: '🏁',
+    note: 'ℹ️',
+    rest: '🪑',
+};
+
+// Saved accessibility profiles
+const profileStorage = createProfileStorage();
+
+// Accessible places and their map markers
+const poiIndex = buildPointIndex(poiData);
+const poiIcons = Object.fromEntries(
+    Object.entries(POI_CATEGORIES).map(([category, { icon }]) => [category, createIcon('#7c3aed', icon)])
+);
+
+// How many places are listed in the sidebar
+const POI_LIST_LIMIT = 10;
+
+// Place search over graph node names and accessible places, works offline
+const geocoder = createGazetteerGeocoder(buildGazetteer(graphReport.valid ? cityGraph.nodes : [], poiData));
+
+// How many drone frames are shown for a barrier candidate
+const DRONE_IMAGE_LIMIT = 3;
+
+// How often each edge is used by built routes; drives drone mission planning
+const demandStore = createDemandStore();
+
+// City districts for the planners' analytics
+const districts = readDistricts(districtData);
+
+// How many barriers are listed in the analytics
+const TOP_BARRIER_LIMIT = 10;
+
+// Heatmap color from green (0) to red (1)
+const getHeatmapColor = (value) => `hsl(${Math.round(120 * (1 - value))}, 80%, 45%)`;
+
+// Save generated content as a file
+const downloadFile = (content, type, fileName) => {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
 };
 
+// Pause in typing before the search runs, in ms
+const SEARCH_DELAY = 200;
+
+// Profile needs shown as toggles
+const profileNeeds = [
+    { key: 'needsTactilePaving', label: 'Нужна тактильная плитка' },
+    { key: 'needsAudibleSignal', label: 'Переходы со звуковым сигналом' },
+    { key: 'needsLighting', label: 'Освещённые улицы в тёмное время' },
+    { key: 'avoidComplexCrossings', label: 'Избегать нерегулируемых переходов' },
+    { key: 'prefersBenches', label: 'Скамейки для отдыха по пути' },
+    { key: 'cautiousData', label: 'Неточные данные — с запасом' },
+];
+
 // Map click handler component
 function MapClickHandler({ onMapClick, isSelectingPoint }) {
     useMapEvents({
@@ -78,6 +235,19 @@ function MapClickHandler({ onMapClick, isSelectingPoint }) {
     return null;
 }
 
+// Reports the visible map area (with a margin) on every move
+function MapViewportTracker({ onChange }) {
+    const map = useMapEvents({
+        moveend: () => onChange(fromLatLngBounds(map.getBounds().pad(0.2))),
+    });
+
+    useEffect(() => {
+        onChange(fromLatLngBounds(map.getBounds().pad(0.2)));
+    }, [map, onChange]);
+
+    return null;
+}
+
 // Component to fly to location
 function FlyToLocation({ position }) {
     const map = useMap();
@@ -87,63 +257,277 @@ function FlyToLocation({ position }) {
     return null;
 }
 
+// Keeps the map centred on the user while navigating
+function FollowPosition({ position }) {
+    const map = useMap();
+
+    useEffect(() => {
+        map.panTo([position.lat, position.lng]);
+    }, [map, position]);
+
+    return null;
+}
+
 // Main App component
 export default function App() {
+    if (!graphReport.valid) {
+        return <GraphErrorScreen report={graphReport} />;
+    }
+    return <RoutePlanner />;
+}
+
+function RoutePlanner() {
     // State
-    const [profile, setProfile] = useState(defaultProfile);
-    const [startPoint, setStartPoint] = useState(null);
-    const [endPoint, setEndPoint] = useState(null);
-    const [selectingPoint, setSelectingPoint] = useState(null); // 'start' | 'end' | null
+    const [profileState, setProfileState] = useState(() => profileStorage.load()); // { profiles, activeId }
+    const [waypoints, setWaypoints] = useState([null, null]); // ordered route points, first is start, last is end
+    const [selectingPoint, setSelectingPoint] = useState(null); // waypoint index | null
+    const [draggedWaypoint, setDraggedWaypoint] = useState(null);
     const [route, setRoute] = useState(null);
+    const [alternatives, setAlternatives] = useState([]);
+    const [diagnosis, setDiagnosis] = useState(null);
+    const [departureTime, setDepartureTime] = useState(''); // datetime-local value, empty means now
     const [sidebarOpen, setSidebarOpen] = useState(true);
     const [showReportModal, setShowReportModal] = useState(false);
     const [reportLocation, setReportLocation] = useState(null);
+    const [selectingReportLocation, setSelectingReportLocation] = useState(false);
+    const [reportBarrier, setReportBarrier] = useState(null); // known barrier the report updates
+    const [reports, setReports] = useState([]);
+    const [showModeration, setShowModeration] = useState(false);
     const [userLocation, setUserLocation] = useState(null);
     const [toast, setToast] = useState(null);
     const [flyTo, setFlyTo] = useState(null);
+    const [viewport, setViewport] = useState(null);
+    const [isNavigating, setIsNavigating] = useState(false);
+    const [navigationState, setNavigationState] = useState(null);
+    const [poiCategories, setPoiCategories] = useState(() => new Set(Object.keys(POI_CATEGORIES)));
+    const [poiQuery, setPoiQuery] = useState('');
+    const [showGraphWarnings, setShowGraphWarnings] = useState(graphReport.warnings.length > 0);
+    const [missions, setMissions] = useState(null);
+    const [selectedMissionId, setSelectedMissionId] = useState(null);
+    const [showAnalytics, setShowAnalytics] = useState(false);
+    const [analytics, setAnalytics] = useState(null); // snapshot of the network statistics
+    const [analyticsProgress, setAnalyticsProgress] = useState(null); // share of sampled trips checked, null when idle
+    const [heatmap, setHeatmap] = useState(null); // { type, metric } shown on the map
+
+    const activeProfile = profileState.profiles.find(entry => entry.id === profileState.activeId);
+    const profile = activeProfile.settings;
+    const isSelectingOnMap = selectingPoint !== null || selectingReportLocation;
+
+    // Settings changes go to the active profile
+    const setProfile = useCallback((update) => {
+        setProfileState(prev => ({
+            ...prev,
+            profiles: prev.profiles.map(entry => entry.id === prev.activeId
+                ? { ...entry, settings: typeof update === 'function' ? update(entry.settings) : update }
+                : entry
+            ),
+        }));
+    }, []);
 
-    // Build graph once
-    const graph = useMemo(() => {
-        return buildAdjacencyList(cityGraph.nodes, cityGraph.edges);
+    // Persist profiles on every change
+    useEffect(() => {
+        profileStorage.save(profileState);
+    }, [profileState]);
+
+    // A profile shared by link is added to the list and activated
+    useEffect(() => {
+        try {
+            const shared = readProfileFromUrl();
+            if (!shared) return;
+
+            addProfile(shared.name, shared.settings);
+            showToast(`Профиль «${shared.name}» добавлен`, 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(PROFILE_URL_PARAM);
+        window.history.replaceState(null, '', url);
     }, []);
 
     const nodeMap = useMemo(() => {
         return new Map(cityGraph.nodes.map(n => [n.id, n]));
     }, []);
 
-    // Find nearest node to a location
-    const findNearestNode = useCallback((latlng) => {
-        let nearest = null;
-        let minDist = Infinity;
+    // Load stored barrier reports
+    useEffect(() => {
+        reportStore.list()
+            .then(setReports)
+            .catch(() => showToast('Не удалось загрузить сообщения о барьерах', 'error'));
+    }, []);
 
-        cityGraph.nodes.forEach(node => {
-            const dist = Math.sqrt(
-                Math.pow(node.lat - latlng.lat, 2) +
-                Math.pow(node.lng - latlng.lng, 2)
-            );
-            if (dist < minDist) {
-                minDist = dist;
-                nearest = node;
-            }
+    const pendingReports = useMemo(() => {
+        return reports.filter(report => report.status === REPORT_STATUS.pending);
+    }, [reports]);
+
+    // Known barriers plus the ones approved by moderators; conflicting observations are fused
+    const barriers = useMemo(() => {
+        const observations = collectBarrierObservations(cityGraph.barriers, reports);
+        return applyBarrierObservations(mergeApprovedReports(cityGraph.barriers, reports), observations);
+    }, [reports]);
+
+    // Link barriers to edges so they take part in routing;
+    // barrier measurements refine the attributes of the edges they sit on
+    const graphEdges = useMemo(() => {
+        const attached = attachBarriersToEdges(cityGraph.edges, barriers, buildEdgeIndex(cityGraph.edges, nodeMap));
+        return applyEdgeObservations(attached);
+    }, [barriers, nodeMap]);
+
+    // Observations that disagree too much wait for an on-site check
+    const disputes = useMemo(() => {
+        return getDisputes(barriers, graphEdges);
+    }, [barriers, graphEdges]);
+
+    // Build graph once
+    const graph = useMemo(() => {
+        return buildAdjacencyList(cityGraph.nodes, graphEdges);
+    }, [graphEdges]);
+
+    const edgeKeys = useMemo(() => {
+        return new Map(graphEdges.map((edge, idx) => [edge, idx]));
+    }, [graphEdges]);
+
+    const heatmapCells = useMemo(() => {
+        return heatmap ? buildHeatmap(graphEdges, nodeMap, applyPreset(profile, heatmap.type)) : [];
+    }, [heatmap, graphEdges, nodeMap, profile]);
+
+    const cityIndex = useMemo(() => {
+        return buildCityIndex({ ...cityGraph, edges: graphEdges, barriers }, nodeMap);
+    }, [graphEdges, barriers, nodeMap]);
+
+    // Only edges and barriers inside the visible area are rendered
+    const visibleEdges = useMemo(() => {
+        return viewport ? cityIndex.edges.search(viewport) : [];
+    }, [cityIndex, viewport]);
+
+    const visibleBarriers = useMemo(() => {
+        return viewport ? cityIndex.barriers.search(viewport) : [];
+    }, [cityIndex, viewport]);
+
+    const visiblePois = useMemo(() => {
+        return viewport ? filterPois(poiIndex.search(viewport), poiCategories, poiQuery) : [];
+    }, [viewport, poiCategories, poiQuery]);
+
+    // Places listed in the sidebar, closest to the start (or the user) first
+    const poiResults = useMemo(() => {
+        const origin = waypoints[0] || userLocation;
+        const found = filterPois(poiData, poiCategories, poiQuery)
+            .map(poi => ({ poi, distance: origin ? getPoiDistance(origin, poi) : null }));
+
+        if (origin) {
+            found.sort((a, b) => a.distance - b.distance);
+        }
+        return found.slice(0, POI_LIST_LIMIT);
+    }, [poiCategories, poiQuery, waypoints, userLocation]);
+
+    // Snap a location to the nearest point on a path accessible for the profile at the departure time
+    const snapToPath = useCallback((latlng) => {
+        const time = getDepartureTimestamp();
+        const snap = snapToNearestEdge(cityIndex.edges, nodeMap, latlng, {
+            filter: (edge) => isEdgeAccessible(edge, profile, false, time) ||
+                (isReverseAllowed(edge) && isEdgeAccessible(edge, profile, true, time)),
         });
 
-        return nearest;
-    }, []);
+        return snap ? createSnappedPoint(snap, nodeMap) : null;
+    }, [cityIndex, nodeMap, profile, departureTime]);
+
+    // Route geometry prepared for navigation
+    const track = useMemo(() => {
+        return route ? createRouteTrack(route) : null;
+    }, [route]);
+
+    // Places to rest that keep every stretch within the profile limit
+    const restStops = useMemo(() => {
+        return route ? getRestStops(route, nodeMap, profile.maxRestDistance) : [];
+    }, [route, nodeMap, profile.maxRestDistance]);
+
+    // Step-by-step directions for the sidebar
+    const instructions = useMemo(() => {
+        return route ? generateInstructions(route, restStops) : [];
+    }, [route, restStops]);
+
+    // Drop the built route and its alternatives
+    const resetRoute = () => {
+        setIsNavigating(false);
+        setRoute(null);
+        setAlternatives([]);
+        setDiagnosis(null);
+    };
 
     // Handle map click
     const handleMapClick = useCallback((latlng) => {
-        const nearestNode = findNearestNode(latlng);
+        // Picking the location of a reported barrier
+        if (selectingReportLocation) {
+            setReportLocation({ lat: latlng.lat, lng: latlng.lng });
+            setSelectingReportLocation(false);
+            return;
+        }
 
-        if (selectingPoint === 'start') {
-            setStartPoint(nearestNode);
-            setSelectingPoint(null);
+        if (selectingPoint === null) return;
+
+        const snappedPoint = snapToPath(latlng);
+        const index = selectingPoint;
+
+        if (!snappedPoint) {
+            showToast(`Рядом нет доступного пути (ближе ${MAX_SNAP_DISTANCE} м). Выберите точку ближе к тротуару.`, 'warning');
+            return;
+        }
+
+        setWaypoints(prev => prev.map((point, idx) => idx === index ? snappedPoint : point));
+        setSelectingPoint(null);
+        resetRoute();
+
+        if (index === 0) {
             showToast('Точка отправления установлена', 'success');
-        } else if (selectingPoint === 'end') {
-            setEndPoint(nearestNode);
-            setSelectingPoint(null);
+        } else if (index === waypoints.length - 1) {
             showToast('Точка назначения установлена', 'success');
+        } else {
+            showToast('Остановка установлена', 'success');
+        }
+    }, [selectingPoint, selectingReportLocation, snapToPath, waypoints.length]);
+
+    // Set a waypoint to a place found by search
+    const selectPlace = (index, place) => {
+        const snappedPoint = snapToPath(place);
+        if (!snappedPoint) {
+            showToast(`Рядом с местом «${place.name}» нет доступного пути`, 'warning');
+            return;
         }
-    }, [selectingPoint, findNearestNode]);
+
+        setWaypoints(prev => prev.map((point, idx) => idx === index ? { ...snappedPoint, name: place.name } : point));
+        setSelectingPoint(null);
+        setFlyTo([snappedPoint.lat, snappedPoint.lng]);
+        resetRoute();
+    };
+
+    // Add an intermediate stop before the destination
+    const addWaypoint = () => {
+        setWaypoints(prev => [...prev.slice(0, -1), null, prev[prev.length - 1]]);
+        setSelectingPoint(null);
+        resetRoute();
+    };
+
+    // Remove a waypoint; at least start and end always remain
+    const removeWaypoint = (index) => {
+        setWaypoints(prev => prev.length > 2 ? prev.filter((_, idx) => idx !== index) : prev);
+        setSelectingPoint(null);
+        resetRoute();
+    };
+
+    // Move a waypoint to a new position in the list
+    const moveWaypoint = (fromIndex, toIndex) => {
+        if (toIndex < 0 || toIndex >= waypoints.length || fromIndex === toIndex) return;
+
+        setWaypoints(prev => {
+            const next = [...prev];
+            const [moved] = next.splice(fromIndex, 1);
+            next.splice(toIndex, 0, moved);
+            return next;
+        });
+        setSelectingPoint(null);
+        resetRoute();
+    };
 
     // Show toast notification
     const showToast = (message, type = 'info') => {
@@ -152,31 +536,299 @@ export default function App() {
     };
 
     // Build route
-    const buildRoute = useCallback(() => {
-        if (!startPoint || !endPoint) {
-            showToast('Выберите точки А и Б на карте', 'warning');
+    const buildRoute = useCallback((activeProfile = profile, points = waypoints) => {
+        if (points.some(point => !point)) {
+            showToast('Выберите все точки маршрута на карте', 'warning');
+            return;
+        }
+
+        const waypointIds = points.map(point => point.id);
+        const departure = getDepartureTimestamp();
+
+        // Points in the middle of an edge split it with virtual nodes
+        const routing = addVirtualNodes(graph, cityGraph.nodes, graphEdges, points);
+        const routingNodeMap = new Map(routing.nodes.map(n => [n.id, n]));
+
+        // Alternatives are offered for simple A → B trips only
+        if (waypointIds.length === 2) {
+            const routes = findAlternativeRoutes(routing.graph, routing.nodes, waypointIds[0], waypointIds[1], activeProfile, {
+                count: 3,
+                departureTime: departure,
+            });
+
+            if (routes.length === 0) {
+                explainNoRoute(routing, 0, activeProfile, departure, points);
+                showToast('Маршрут не найден. Причины — в панели маршрута.', 'error');
+                return;
+            }
+
+            const withCoordinates = routes.map(result => {
+                const coordinates = getRouteCoordinates(result.path, routingNodeMap);
+                return {
+                    ...result,
+                    coordinates,
+                    nearbyBarriers: findNearPath(cityIndex.barriers, coordinates, NEARBY_BARRIER_DISTANCE),
+                };
+            });
+            setAlternatives(withCoordinates);
+            setRoute(withCoordinates[0]);
+            setDiagnosis(null);
+            demandStore.record(routes[0].edges);
+            showToast(
+                withCoordinates.length > 1 ? `Найдено вариантов: ${withCoordinates.length}` : 'Маршрут построен!',
+                'success'
+            );
             return;
         }
 
-        const result = findAccessibleRoute(graph, cityGraph.nodes, startPoint.id, endPoint.id, profile);
+        const result = findMultiStopRoute(routing.graph, routing.nodes, waypointIds, activeProfile, { departureTime: departure });
 
         if (result.notFound || result.path.length === 0) {
-            showToast('Маршрут не найден. Попробуйте изменить параметры доступности.', 'error');
+            explainNoRoute(routing, result.failedLeg, activeProfile, result.failedLegDepartureTime, points);
+            showToast(`Маршрут не найден: участок ${result.failedLeg + 1} недоступен. Причины — в панели маршрута.`, 'error');
             return;
         }
 
-        const coordinates = getRouteCoordinates(result.path, nodeMap);
-        setRoute({ ...result, coordinates });
+        const coordinates = getRouteCoordinates(result.path, routingNodeMap);
+        const nearbyBarriers = findNearPath(cityIndex.barriers, coordinates, NEARBY_BARRIER_DISTANCE);
+        setAlternatives([]);
+        setDiagnosis(null);
+        setRoute({ ...result, coordinates, nearbyBarriers });
+        demandStore.record(result.edges);
         showToast('Маршрут построен!', 'success');
-    }, [startPoint, endPoint, profile, graph, nodeMap]);
+    }, [waypoints, profile, graph, graphEdges, cityIndex, departureTime]);
+
+    // Departure moment for routing; restrictions are checked against it
+    const getDepartureTimestamp = () => {
+        return departureTime ? new Date(departureTime).getTime() : Date.now();
+    };
+
+    // Diagnose the unreachable leg and show the reasons in the sidebar
+    const explainNoRoute = (routing, legIndex, activeProfile, legDepartureTime, points = waypoints) => {
+        const from = points[legIndex];
+        const to = points[legIndex + 1];
+
+        setIsNavigating(false);
+        setRoute(null);
+        setAlternatives([]);
+        setDiagnosis({
+            ...diagnoseNoRoute(routing.graph, routing.nodes, routing.edges, from.id, to.id, activeProfile, {
+                departureTime: legDepartureTime,
+            }),
+            from,
+            to,
+        });
+        setSidebarOpen(true);
+    };
+
+    // Apply a suggested profile relaxation and rebuild the route
+    const applyRelaxation = (changes) => {
+        const nextProfile = { ...profile, ...changes };
+        setProfile(nextProfile);
+        buildRoute(nextProfile);
+    };
 
     // Clear route
     const clearRoute = () => {
-        setStartPoint(null);
-        setEndPoint(null);
-        setRoute(null);
+        setWaypoints([null, null]);
+        setSelectingPoint(null);
+        resetRoute();
+    };
+
+    // Start following the built route from the current position
+    const startNavigation = () => {
+        if (!navigator.geolocation) {
+            showToast('Геолокация недоступна в этом браузере', 'error');
+            return;
+        }
+
+        // Navigation always starts now, restrictions are checked for the current time
+        setDepartureTime('');
+        setFlyTo(null);
+        setNavigationState(null);
+        setIsNavigating(true);
+        setSidebarOpen(false);
+    };
+
+    const stopNavigation = () => {
+        setIsNavigating(false);
+        setNavigationState(null);
+    };
+
+    // Rebuild the route from the current position after leaving it
+    const rerouteFromPosition = (position, legIndex) => {
+        const start = snapToPath(position);
+        if (!start) {
+            showToast(`Вы ушли с маршрута, доступный путь дальше ${MAX_SNAP_DISTANCE} м`, 'warning');
+            return;
+        }
+
+        // Stops that were already passed are dropped
+        const points = [{ ...start, name: 'Моё местоположение' }, ...waypoints.slice(legIndex + 1)];
+        setWaypoints(points);
+        showToast('Вы ушли с маршрута. Маршрут перестроен.', 'info');
+        buildRoute(profile, points);
+    };
+
+    // Show or hide places of a category
+    const togglePoiCategory = (category) => {
+        setPoiCategories(prev => {
+            const next = new Set(prev);
+            if (next.has(category)) {
+                next.delete(category);
+            } else {
+                next.add(category);
+            }
+            return next;
+        });
+    };
+
+    // Start for trips to places: the chosen start point or the current position
+    const getRouteOrigin = () => {
+        if (waypoints[0]) return waypoints[0];
+        if (!userLocation) return null;
+
+        const start = snapToPath(userLocation);
+        return start && { ...start, name: 'Моё местоположение' };
+    };
+
+    // Route point on the accessible path nearest to a place
+    const snapPoi = (poi) => {
+        const point = snapToPath(poi);
+        return point && { ...point, name: poi.name };
+    };
+
+    // Make a place the destination and build the route to it
+    const routeToPoi = (poi) => {
+        const destination = snapPoi(poi);
+        if (!destination) {
+            showToast(`Рядом с местом «${poi.name}» нет доступного пути`, 'warning');
+            return;
+        }
+
+        const origin = getRouteOrigin();
+        const points = [origin, destination];
+        setWaypoints(points);
+        setSelectingPoint(null);
+
+        if (!origin) {
+            resetRoute();
+            setSelectingPoint(0);
+            showToast('Место выбрано точкой назначения. Укажите на карте, откуда идти.', 'info');
+            return;
+        }
+        buildRoute(profile, points);
+    };
+
+    // Route to the nearest place of a category that is reachable for the profile
+    const routeToNearestPoi = (category) => {
+        const { label } = POI_CATEGORIES[category];
+        const origin = getRouteOrigin();
+        if (!origin) {
+            showToast('Укажите точку отправления или определите своё местоположение', 'warning');
+            return;
+        }
+
+        const candidates = getNearestPois(poiIndex, origin, category);
+        if (candidates.length === 0) {
+            showToast(`Поблизости нет мест «${label}»`, 'warning');
+            return;
+        }
+
+        const departure = getDepartureTimestamp();
+        const best = findBestReachable(candidates, (poi) => {
+            const destination = snapPoi(poi);
+            if (!destination) return null;
+
+            const routing = addVirtualNodes(graph, cityGraph.nodes, graphEdges, [origin, destination]);
+            const result = findAccessibleRoute(routing.graph, routing.nodes, origin.id, destination.id, profile, {
+                departureTime: departure,
+            });
+            if (result.path.length === 0) return null;
+
+            // The walk from the path to the place itself counts too
+            return { destination, cost: result.totalWeight + getPoiDistance(destination, poi) };
+        });
+
+        if (!best) {
+            showToast(`Ни одно место «${label}» поблизости недоступно для вашего профиля`, 'error');
+            return;
+        }
+
+        const points = [origin, best.destination];
+        setWaypoints(points);
+        setSelectingPoint(null);
+        buildRoute(profile, points);
     };
 
+    // Track the user along the route while navigating
+    useEffect(() => {
+        if (!isNavigating || !track) return;
+
+        setNavigationState(null);
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const loc = {
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                };
+                setUserLocation(loc);
+                setNavigationState(prev => getNavigationState(track, loc, prev));
+            },
+            (error) => {
+                if (error.code === error.PERMISSION_DENIED) {
+                    showToast('Нет доступа к местоположению, навигация остановлена', 'error');
+                    setIsNavigating(false);
+                } else {
+                    showToast('Сигнал GPS потерян', 'warning');
+                }
+            },
+            { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 }
+        );
+
+        return () => navigator.geolocation.clearWatch(watchId);
+    }, [isNavigating, track]);
+
+    // React to arrival and to leaving the route
+    useEffect(() => {
+        if (!navigationState) return;
+
+        if (navigationState.arrived) {
+            showToast('Вы прибыли!', 'success');
+            if (profile.voiceEnabled) {
+                voiceGuide.announce('Вы прибыли', { key: 'arrived' });
+            }
+            stopNavigation();
+            return;
+        }
+
+        if (profile.voiceEnabled) {
+            getNavigationAnnouncements(navigationState).forEach(({ text, ...options }) => {
+                voiceGuide.announce(text, options);
+            });
+        }
+
+        if (navigationState.needsReroute) {
+            rerouteFromPosition(navigationState.position, navigationState.legIndex);
+        }
+    }, [navigationState]);
+
+    // Announce every new route; announcements of the previous one are forgotten
+    useEffect(() => {
+        voiceGuide.reset();
+        if (route && profile.voiceEnabled) {
+            voiceGuide.announce(describeRouteSummary(route, profile));
+        }
+    }, [route]);
+
+    // Turning voice off silences the current phrase
+    useEffect(() => {
+        if (!profile.voiceEnabled) {
+            voiceGuide.reset();
+        }
+    }, [profile.voiceEnabled]);
+
     // Get user location
     const getUserLocation = () => {
         if (navigator.geolocation) {
@@ -200,11 +852,181 @@ export default function App() {
     };
 
     // Handle report submission
-    const handleReportSubmit = (reportData) => {
-        // In demo mode, just show success
-        showToast('Спасибо! Ваше сообщение отправлено на проверку.', 'success');
+    const handleReportSubmit = async (reportData) => {
+        try {
+            const saved = await reportStore.submit({ ...reportData, location: reportLocation, barrierId: reportBarrier?.id });
+            setReports(prev => [...prev, saved]);
+            showToast('Спасибо! Ваше сообщение отправлено на проверку.', 'success');
+            setShowReportModal(false);
+            setReportLocation(null);
+            setReportBarrier(null);
+        } catch (error) {
+            showToast(`Не удалось сохранить сообщение: ${error.message}`, 'error');
+        }
+    };
+
+    // Drone flight packages become barrier candidates in the moderation queue
+    const handleFlightUpload = async (files) => {
+        let flights;
+        try {
+            flights = await Promise.all([...files].map(async (file) => readFlightPackage(await file.text())));
+        } catch (error) {
+            showToast(`Не удалось прочитать данные полёта: ${error.message}`, 'error');
+            return;
+        }
+
+        // Detections of an object already waiting for moderation extend that report instead of queueing a new one
+        const queued = new Map(pendingReports
+            .filter(report => report.source === REPORT_SOURCE.drone)
+            .map(report => [report.evidence.id, report]));
+        const candidates = createBarrierCandidates(flights, barriers, [...queued.values()].map(report => report.evidence));
+        const rejected = flights.reduce((count, flight) => count + flight.rejected.length, 0);
+
+        try {
+            const saved = await Promise.all(candidates.map(candidate => queued.has(candidate.id)
+                ? reportStore.updateEvidence(queued.get(candidate.id).id, candidate)
+                : reportStore.submit({
+                    type: candidate.type,
+                    location: { lat: candidate.lat, lng: candidate.lng },
+                    source: REPORT_SOURCE.drone,
+                    evidence: candidate,
+                })
+            ));
+            const savedById = new Map(saved.map(report => [report.id, report]));
+            setReports(prev => [
+                ...prev.map(report => savedById.get(report.id) ?? report),
+                ...saved.filter(report => !prev.some(existing => existing.id === report.id)),
+            ]);
+
+            const updated = candidates.filter(candidate => queued.has(candidate.id)).length;
+            const created = saved.length - updated;
+            showToast(
+                `Кандидатов на проверку: ${created}` +
+                    (updated > 0 ? `, дополнено: ${updated}` : '') +
+                    (rejected > 0 ? `, отброшено обнаружений: ${rejected}` : ''),
+                saved.length > 0 ? 'success' : 'info'
+            );
+        } catch (error) {
+            showToast(`Не удалось сохранить кандидатов: ${error.message}`, 'error');
+        }
+    };
+
+    // Close the report form and drop the picked location
+    const closeReportModal = () => {
         setShowReportModal(false);
+        setSelectingReportLocation(false);
         setReportLocation(null);
+        setReportBarrier(null);
+    };
+
+    // A report about a known barrier: new measurement or "it's gone"
+    const openBarrierReport = (barrier) => {
+        setReportBarrier(barrier);
+        setReportLocation({ lat: barrier.lat, lng: barrier.lng });
+        setSelectingPoint(null);
+        setShowReportModal(true);
+    };
+
+    // An on-site check settles a dispute: its observation overrides everything before it
+    const handleResolveDispute = async (dispute, value) => {
+        const { barrier } = dispute;
+        try {
+            const saved = await reportStore.submit({
+                type: barrier.type,
+                location: { lat: barrier.lat, lng: barrier.lng },
+                source: REPORT_SOURCE.audit,
+                barrierId: barrier.id,
+                ...(dispute.attribute === 'present' ? { resolved: !value } : { measurement: value }),
+            });
+            const approved = await reportStore.approve(saved.id, barrier.removed ? undefined : barrier.severity);
+            setReports(prev => [...prev, approved]);
+            resetRoute();
+            showToast('Результат проверки сохранён', 'success');
+        } catch (error) {
+            showToast(`Не удалось сохранить проверку: ${error.message}`, 'error');
+        }
+    };
+
+    // Moderation: approved reports become barriers on the graph
+    const handleApproveReport = async (id, severity) => {
+        try {
+            const updated = await reportStore.approve(id, severity);
+            setReports(prev => prev.map(report => report.id === id ? updated : report));
+            resetRoute();
+            showToast('Барьер добавлен на карту', 'success');
+        } catch (error) {
+            showToast(`Не удалось одобрить сообщение: ${error.message}`, 'error');
+        }
+    };
+
+    const handleRejectReport = async (id, reason) => {
+        try {
+            const updated = await reportStore.reject(id, reason);
+            setReports(prev => prev.map(report => report.id === id ? updated : report));
+            showToast('Сообщение отклонено', 'info');
+        } catch (error) {
+            showToast(`Не удалось отклонить сообщение: ${error.message}`, 'error');
+        }
+    };
+
+    // Drone missions where data is stale, users report problems or routes are in demand
+    const planDroneMissions = () => {
+        const planned = planMissions(scoreAreas(graphEdges, nodeMap, reports, demandStore.load()));
+        setMissions(planned);
+        setSelectedMissionId(planned[0]?.id ?? null);
+        showToast(
+            planned.length > 0 ? `Предложено заданий облёта: ${planned.length}` : 'Данные везде свежие, облёт не нужен',
+            planned.length > 0 ? 'success' : 'info'
+        );
+    };
+
+    const selectMission = (mission) => {
+        setSelectedMissionId(mission.id);
+        const [lng, lat] = mission.polygon[0];
+        setFlyTo([lat, lng]);
+    };
+
+    const downloadMissions = (format) => {
+        if (format === 'csv') {
+            downloadFile(missionsToCsv(missions), 'text/csv', 'drone-missions.csv');
+        } else {
+            downloadFile(JSON.stringify(missionsToGeoJSON(missions), null, 2), 'application/geo+json', 'drone-missions.geojson');
+        }
+    };
+
+    const selectedMission = missions?.find(mission => mission.id === selectedMissionId);
+
+    // City-wide accessibility statistics for planners, computed on request
+    // Sampled trips are routed in chunks so the page stays responsive and shows progress
+    const runAnalytics = async () => {
+        const profiles = getAnalyticsProfiles(profile);
+        setAnalyticsProgress(0);
+        try {
+            const ranking = await rankBlockingBarriers(graph, cityGraph.nodes, profiles, sampleTrips(graph, cityGraph.nodes), {
+                onProgress: setAnalyticsProgress,
+            });
+            setAnalytics({
+                profiles,
+                summary: summarizeNetwork(graphEdges, nodeMap, profiles, districts),
+                ranking,
+                computedAt: new Date(),
+            });
+        } catch (error) {
+            showToast(`Не удалось рассчитать аналитику: ${error.message}`, 'error');
+        } finally {
+            setAnalyticsProgress(null);
+        }
+    };
+
+    const downloadAnalytics = (table) => {
+        const date = analytics.computedAt.toISOString().slice(0, 10);
+        if (table === 'network') {
+            downloadFile(networkSummaryToCsv(analytics.summary), 'text/csv', `accessibility-network-${date}.csv`);
+        } else if (table === 'districts') {
+            downloadFile(districtSummaryToCsv(analytics.summary, analytics.profiles), 'text/csv', `accessibility-districts-${date}.csv`);
+        } else {
+            downloadFile(blockingBarriersToCsv(analytics.ranking), 'text/csv', `blocking-barriers-${date}.csv`);
+        }
     };
 
     // Update profile
@@ -212,9 +1034,75 @@ export default function App() {
         setProfile(prev => ({ ...prev, [key]: value }));
     };
 
-    // Get accessibility color for edge
+    // Changing the mobility type fills in its typical limits
+    const changeMobilityType = (mobilityType) => {
+        setProfile(prev => applyPreset(prev, mobilityType));
+    };
+
+    const addProfile = (name, settings) => {
+        const entry = createNamedProfile(name, settings);
+        setProfileState(prev => ({ profiles: [...prev.profiles, entry], activeId: entry.id }));
+    };
+
+    const selectProfile = (id) => {
+        setProfileState(prev => ({ ...prev, activeId: id }));
+    };
+
+    const renameProfile = (name) => {
+        setProfileState(prev => ({
+            ...prev,
+            profiles: prev.profiles.map(entry => entry.id === prev.activeId ? { ...entry, name } : entry),
+        }));
+    };
+
+    // The last remaining profile cannot be deleted
+    const deleteProfile = () => {
+        setProfileState(prev => {
+            if (prev.profiles.length < 2) return prev;
+
+            const profiles = prev.profiles.filter(entry => entry.id !== prev.activeId);
+            return { profiles, activeId: profiles[0].id };
+        });
+    };
+
+    // Download the active profile as a JSON file
+    const downloadProfile = () => {
+        downloadFile(exportProfile(activeProfile), 'application/json', `${activeProfile.name}.json`);
+    };
+
+    const copyProfileLink = async () => {
+        try {
+            await navigator.clipboard.writeText(getProfileShareUrl(activeProfile));
+            showToast('Ссылка на профиль скопирована', 'success');
+        } catch {
+            showToast('Не удалось скопировать ссылку', 'error');
+        }
+    };
+
+    const uploadProfile = async (e) => {
+        const [file] = e.target.files || [];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const imported = importProfile(await file.text());
+            addProfile(imported.name, imported.settings);
+            showToast(`Профиль «${imported.name}» добавлен`, 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    };
+
+    // Get accessibility color for edge (best of the allowed directions) at the departure time
     const getEdgeColor = (edge) => {
-        const level = getEdgeAccessibilityLevel(edge, profile);
+        const time = getDepartureTimestamp();
+        let level = getEdgeAccessibilityLevel(edge, profile, false, time);
+        if (level !== 'accessible' && isReverseAllowed(edge)) {
+            const reverseLevel = getEdgeAccessibilityLevel(edge, profile, true, time);
+            if (reverseLevel === 'accessible' || level === 'inaccessible') {
+                level = reverseLevel;
+            }
+        }
         switch (level) {
             case 'accessible': return '#22c55e';
             case 'partial': return '#eab308';
@@ -241,6 +1129,25 @@ export default function App() {
                     <h1>Дроны доступности</h1>
                 </div>
 
+                <div className="header-actions">
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setShowAnalytics(true)}
+                    >
+                        Аналитика
+                    </button>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => setShowModeration(true)}
+                        aria-label={`Модерация: сообщений на проверке ${pendingReports.length}, расхождений данных ${disputes.length}`}
+                    >
+                        Модерация
+                        {pendingReports.length + disputes.length > 0 && (
+                            <span className="badge">{pendingReports.length + disputes.length}</span>
+                        )}
+                    </button>
+                </div>
+
                 <button
                     className="btn btn-secondary sidebar-toggle"
                     onClick={() => setSidebarOpen(!sidebarOpen)}
@@ -258,6 +1165,27 @@ export default function App() {
                 </button>
             </header>
 
+            {/* Problems found in the map data */}
+            {showGraphWarnings && (
+                <div className="data-warning" role="alert">
+                    <details>
+                        <summary>
+                            ⚠️ В данных карты найдены замечания: {graphReport.warnings.length}. Маршруты могут быть неточными.
+                        </summary>
+                        <ProblemList problems={graphReport.warnings} />
+                    </details>
+                    <button
+                        className="btn btn-secondary btn-icon"
+                        onClick={() => setShowGraphWarnings(false)}
+                        aria-label="Скрыть замечания к данным"
+                    >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+            )}
+
             {/* Main content */}
             <main className="app-main" id="main-content" role="main">
                 {/* Map */}
@@ -273,26 +1201,93 @@ export default function App() {
                             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                         />
 
-                        <MapClickHandler onMapClick={handleMapClick} isSelectingPoint={!!selectingPoint} />
+                        <MapClickHandler
+                            onMapClick={handleMapClick}
+                            isSelectingPoint={isSelectingOnMap}
+                        />
+                        <MapViewportTracker onChange={setViewport} />
                         {flyTo && <FlyToLocation position={flyTo} />}
+                        {isNavigating && userLocation && <FollowPosition position={userLocation} />}
+
+                        {/* Analytics heatmap; not interactive so clicks go to the map */}
+                        {heatmapCells.map((cell) => (
+                            <Rectangle
+                                key={`heat-${cell.key}`}
+                                bounds={[[cell.bounds.south, cell.bounds.west], [cell.bounds.north, cell.bounds.east]]}
+                                color={getHeatmapColor(cell.values[heatmap.metric])}
+                                weight={0}
+                                fillOpacity={0.45}
+                                interactive={false}
+                            />
+                        ))}
 
                         {/* Accessibility layer - edges */}
-                        {cityGraph.edges.map((edge, idx) => {
+                        {visibleEdges.map((edge) => {
                             const fromNode = nodeMap.get(edge.from);
                             const toNode = nodeMap.get(edge.to);
-                            if (!fromNode || !toNode) return null;
+                            // Where the edge data came from; hidden while picking a point so clicks go to the map
+                            const sources = edge.provenance && !isSelectingOnMap ? getEdgeProvenance(edge) : [];
 
                             return (
                                 <Polyline
-                                    key={`edge-${idx}`}
+                                    key={`edge-${edgeKeys.get(edge)}`}
                                     positions={[[fromNode.lat, fromNode.lng], [toNode.lat, toNode.lng]]}
                                     color={getEdgeColor(edge)}
                                     weight={4}
                                     opacity={0.6}
-                                />
+                                >
+                                    {sources.length > 0 && (
+                                        <Popup>
+                                            <div className="popup-content">
+                                                <div className="popup-title">{edge.name || 'Участок пути'}</div>
+                                                <ul className="popup-sources">
+                                                    {sources.map(({ attribute, text, provenance, uncertain }) => (
+                                                        <li key={attribute} className={`popup-source ${uncertain ? 'uncertain' : ''}`}>
+                                                            {text} — {describeProvenance(provenance)}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        </Popup>
+                                    )}
+                                </Polyline>
                             );
                         })}
 
+                        {/* Proposed drone missions: survey areas and the selected flight path */}
+                        {missions?.map((mission) => (
+                            <Polygon
+                                key={mission.id}
+                                positions={mission.polygon.map(([lng, lat]) => [lat, lng])}
+                                color="#f97316"
+                                weight={mission.id === selectedMissionId ? 3 : 2}
+                                dashArray="6 6"
+                                fillOpacity={mission.id === selectedMissionId ? 0.2 : 0.08}
+                                eventHandlers={{ click: () => setSelectedMissionId(mission.id) }}
+                            />
+                        ))}
+                        {selectedMission && (
+                            <Polyline
+                                positions={selectedMission.waypoints.map(point => [point.lat, point.lng])}
+                                color="#f97316"
+                                weight={2}
+                                opacity={0.9}
+                            />
+                        )}
+
+                        {/* Alternative routes */}
+                        {alternatives.filter(alt => alt !== route).map((alt, idx) => (
+                            <Polyline
+                                key={`alternative-${idx}`}
+                                positions={alt.coordinates}
+                                color="#64748b"
+                                weight={5}
+                                opacity={0.7}
+                                dashArray="8 8"
+                                eventHandlers={{ click: () => setRoute(alt) }}
+                            />
+                        ))}
+
                         {/* Route */}
                         {route && route.coordinates.length > 0 && (
                             <Polyline
@@ -303,38 +1298,27 @@ export default function App() {
                             />
                         )}
 
-                        {/* Start marker */}
-                        {startPoint && (
+                        {/* Waypoint markers */}
+                        {waypoints.map((point, idx) => point && (
                             <Marker
-                                position={[startPoint.lat, startPoint.lng]}
-                                icon={startIcon}
+                                key={`waypoint-${idx}`}
+                                position={[point.lat, point.lng]}
+                                icon={getWaypointIcon(idx, waypoints.length)}
                             >
                                 <Popup>
                                     <div className="popup-content">
-                                        <div className="popup-title">Точка А (Старт)</div>
-                                        <div className="popup-text">{startPoint.name}</div>
-                                    </div>
-                                </Popup>
-                            </Marker>
-                        )}
-
-                        {/* End marker */}
-                        {endPoint && (
-                            <Marker
-                                position={[endPoint.lat, endPoint.lng]}
-                                icon={endIcon}
-                            >
-                                <Popup>
-                                    <div className="popup-content">
-                                        <div className="popup-title">Точка Б (Финиш)</div>
-                                        <div className="popup-text">{endPoint.name}</div>
+                                        <div className="popup-title">
+                                            {idx === 0 ? 'Точка А (Старт)' :
+                                                idx === waypoints.length - 1 ? 'Точка Б (Финиш)' : `Остановка ${idx}`}
+                                        </div>
+                                        <div className="popup-text">{point.name}</div>
                                     </div>
                                 </Popup>
                             </Marker>
-                        )}
+                        ))}
 
                         {/* Barriers */}
-                        {cityGraph.barriers.map((barrier) => (
+                        {visibleBarriers.map((barrier) => (
                             <CircleMarker
                                 key={barrier.id}
                                 center={[barrier.lat, barrier.lng]}
@@ -347,19 +1331,134 @@ export default function App() {
                                 <Popup>
                                     <div className="popup-content">
                                         <div className="popup-title">
-                                            {barrierIcons[barrier.type]} {barrier.type === 'stairs' ? 'Лестница' :
-                                                barrier.type === 'curb' ? 'Бордюр' :
-                                                    barrier.type === 'repair' ? 'Ремонт' :
-                                                        barrier.type === 'narrow' ? 'Узкий проход' :
-                                                            barrier.type === 'slope' ? 'Уклон' :
-                                                                barrier.type === 'ramp' ? 'Пандус' : 'Барьер'}
+                                            {barrierIcons[barrier.type]} {BARRIER_LABELS[barrier.type] || 'Барьер'}
                                         </div>
                                         <div className="popup-text">{barrier.description}</div>
+                                        {getBarrierProvenance(barrier) && (
+                                            <div className={`popup-source ${isUncertain(getBarrierProvenance(barrier)) ? 'uncertain' : ''}`}>
+                                                {describeProvenance(getBarrierProvenance(barrier))}
+                                            </div>
+                                        )}
+                                        {barrier.measurement && (
+                                            <div className="popup-text">
+                                                {describeValue(barrier.measurement.attribute, barrier.measurement.value)}
+                                            </div>
+                                        )}
+                                        {barrier.removed && (
+                                            <div className="popup-text">Сообщают, что барьер устранён</div>
+                                        )}
                                         {barrier.severity !== 'none' && (
                                             <div className="popup-warning">
                                                 ⚠️ {barrier.severity === 'high' ? 'Требуется помощь' : 'Осторожно'}
                                             </div>
                                         )}
+                                        {barrier.disputed?.length > 0 && (
+                                            <div className="popup-warning">
+                                                ⚖️ Данные расходятся — ожидает проверки на месте
+                                            </div>
+                                        )}
+                                        {barrier.history?.length > 1 && (
+                                            <details className="popup-history">
+                                                <summary>История наблюдений ({barrier.history.length})</summary>
+                                                <ul>
+                                                    {barrier.history.map(observation => (
+                                                        <li key={observation.id}>{describeObservation(observation)}</li>
+                                                    ))}
+                                                </ul>
+                                            </details>
+                                        )}
+                                        <button
+                                            type="button"
+                                            className="btn btn-secondary btn-block popup-action"
+                                            onClick={() => openBarrierReport(barrier)}
+                                        >
+                                            Сообщить об изменении
+                                        </button>
+                                    </div>
+                                </Popup>
+                            </CircleMarker>
+                        ))}
+
+                        {/* Accessible places */}
+                        {visiblePois.map((poi) => (
+                            <Marker
+                                key={poi.id}
+                                position={[poi.lat, poi.lng]}
+                                icon={poiIcons[poi.category]}
+                                title={poi.name}
+                                alt={`${POI_CATEGORIES[poi.category].label}: ${poi.name}`}
+                            >
+                                <Popup>
+                                    <div className="popup-content">
+                                        <div className="popup-title">
+                                            {POI_CATEGORIES[poi.category].icon} {poi.name}
+                                        </div>
+                                        <div className="popup-text">{POI_CATEGORIES[poi.category].label}</div>
+                                        {poi.description && <div className="popup-text">{poi.description}</div>}
+                                        {poi.hours && <div className="popup-text">Часы работы: {poi.hours}</div>}
+                                        <button
+                                            type="button"
+                                            className="btn btn-secondary btn-block popup-action"
+                                            onClick={() => routeToPoi(poi)}
+                                        >
+                                            Маршрут сюда
+                                        </button>
+                                    </div>
+                                </Popup>
+                            </Marker>
+                        ))}
+
+                        {/* Reports awaiting moderation */}
+                        {pendingReports.map((report) => (
+                            <CircleMarker
+                                key={report.id}
+                                center={[report.lat, report.lng]}
+                                radius={9}
+                                fillColor="#94a3b8"
+                                fillOpacity={0.6}
+                                color="white"
+                                weight={2}
+                                dashArray="3 3"
+                            >
+                                <Popup>
+                                    <div className="popup-content">
+                                        <div className="popup-title">
+                                            {barrierIcons[report.type] || '❓'} {BARRIER_LABELS[report.type] || 'Барьер'}
+                                        </div>
+                                        {report.comment && <div className="popup-text">{report.comment}</div>}
+                                        <div className="popup-text">На проверке у модератора</div>
+                                    </div>
+                                </Popup>
+                            </CircleMarker>
+                        ))}
+
+                        {/* Picked report location */}
+                        {reportLocation && (
+                            <CircleMarker
+                                center={[reportLocation.lat, reportLocation.lng]}
+                                radius={10}
+                                fillColor="#dc2626"
+                                fillOpacity={0.9}
+                                color="white"
+                                weight={3}
+                            />
+                        )}
+
+                        {/* Rest stops on the route */}
+                        {restStops.map((stop) => (
+                            <CircleMarker
+                                key={stop.pathIndex}
+                                center={[stop.node.lat, stop.node.lng]}
+                                radius={8}
+                                fillColor="#0ea5e9"
+                                fillOpacity={0.9}
+                                color="white"
+                                weight={2}
+                            >
+                                <Popup>
+                                    <div className="popup-content">
+                                        <div className="popup-title">🪑 Отдых: {stop.label.toLowerCase()}</div>
+                                        <div className="popup-text">{formatDistance(stop.distance)} от начала маршрута</div>
                                     </div>
                                 </Popup>
                             </CircleMarker>
@@ -380,6 +1479,71 @@ export default function App() {
                         )}
                     </MapContainer>
 
+                    {/* Heatmap legend */}
+                    {heatmap && (
+                        <div className="heatmap-legend" role="status">
+                            <span className="heatmap-legend-title">
+                                {HEATMAP_METRICS[heatmap.metric]}: {MOBILITY_LABELS[heatmap.type]}
+                            </span>
+                            <div className="heatmap-legend-scale" aria-hidden="true" />
+                            <div className="heatmap-legend-labels">
+                                <span>{heatmap.metric === 'inaccessible' ? '0%' : 'нет'}</span>
+                                <span>{heatmap.metric === 'inaccessible' ? '100%' : 'больше всего'}</span>
+                            </div>
+                            <button className="btn btn-secondary" onClick={() => setHeatmap(null)}>
+                                Скрыть
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Navigation panel */}
+                    {isNavigating && route && (
+                        <div className="navigation-panel" role="status" aria-live="polite">
+                            {navigationState ? (
+                                <>
+                                    <div className="navigation-maneuver">
+                                        <span className="navigation-maneuver-icon" aria-hidden="true">
+                                            {maneuverIcons[navigationState.nextManeuver.type]}
+                                        </span>
+                                        <div>
+                                            <div className="navigation-maneuver-text">{navigationState.nextManeuver.text}</div>
+                                            <div className="navigation-maneuver-distance">
+                                                через {formatDistance(navigationState.nextManeuver.distanceTo)}
+                                            </div>
+                                        </div>
+                                    </div>
+                                    {navigationState.offRoute && (
+                                        <div className="navigation-warning">Вы ушли с маршрута</div>
+                                    )}
+                                    {navigationState.upcomingHazards.map((hazard) => (
+                                        <div key={hazard.key} className="navigation-warning">
+                                            ⚠️ {formatHazardWarning(hazard, hazard.distanceTo)}
+                                        </div>
+                                    ))}
+                                    <div className="navigation-remaining">
+                                        Осталось {formatDistance(navigationState.remaining)} · {estimateTime(navigationState.remaining, profile)}
+                                    </div>
+                                </>
+                            ) : (
+                                <div className="navigation-remaining">Определяем местоположение...</div>
+                            )}
+                            <div className="navigation-actions">
+                                {profile.voiceEnabled && (
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => voiceGuide.repeatLast()}
+                                        aria-label="Повторить последнюю подсказку"
+                                    >
+                                        🔊 Повторить
+                                    </button>
+                                )}
+                                <button className="btn btn-secondary" onClick={stopNavigation}>
+                                    Завершить
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Floating action buttons */}
                     <div className="fab-container">
                         <button
@@ -434,47 +1598,110 @@ export default function App() {
                                 Маршрут
                             </h3>
 
-                            <div className="route-points">
-                                <div className="route-point">
-                                    <div className="route-point-marker start">А</div>
-                                    <div className="route-point-content">
-                                        <span className="route-point-label">Откуда</span>
-                                        <span className={`route-point-value ${!startPoint ? 'placeholder' : ''}`}>
-                                            {startPoint ? startPoint.name : 'Выберите на карте'}
-                                        </span>
-                                    </div>
-                                    <button
-                                        className={`btn btn-secondary btn-icon ${selectingPoint === 'start' ? 'btn-primary' : ''}`}
-                                        onClick={() => setSelectingPoint(selectingPoint === 'start' ? null : 'start')}
-                                        aria-label="Выбрать точку отправления на карте"
-                                        aria-pressed={selectingPoint === 'start'}
+                            <ol className="route-points" aria-label="Точки маршрута">
+                                {waypoints.map((point, idx) => (
+                                    <li
+                                        key={idx}
+                                        className={`route-point ${draggedWaypoint === idx ? 'dragging' : ''}`}
+                                        draggable
+                                        onDragStart={() => setDraggedWaypoint(idx)}
+                                        onDragOver={(e) => e.preventDefault()}
+                                        onDrop={() => {
+                                            moveWaypoint(draggedWaypoint, idx);
+                                            setDraggedWaypoint(null);
+                                        }}
+                                        onDragEnd={() => setDraggedWaypoint(null)}
                                     >
-                                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                            <circle cx="12" cy="12" r="10" />
-                                            <path d="M12 8v8m-4-4h8" />
-                                        </svg>
-                                    </button>
-                                </div>
+                                        <div
+                                            className={`route-point-marker ${idx === 0 ? 'start' : idx === waypoints.length - 1 ? 'end' : 'stop'}`}
+                                            tabIndex={0}
+                                            role="button"
+                                            aria-label={`${getWaypointLabel(idx, waypoints.length)}. Alt+стрелки для перемещения`}
+                                            onKeyDown={(e) => {
+                                                if (!e.altKey) return;
+                                                if (e.key === 'ArrowUp') {
+                                                    e.preventDefault();
+                                                    moveWaypoint(idx, idx - 1);
+                                                } else if (e.key === 'ArrowDown') {
+                                                    e.preventDefault();
+                                                    moveWaypoint(idx, idx + 1);
+                                                }
+                                            }}
+                                        >
+                                            {getWaypointMarkerLabel(idx, waypoints.length)}
+                                        </div>
+                                        <div className="route-point-content">
+                                            <label className="route-point-label" htmlFor={`place-search-${idx}`}>
+                                                {getWaypointLabel(idx, waypoints.length)}
+                                            </label>
+                                            <PlaceSearch
+                                                id={`place-search-${idx}`}
+                                                value={point ? point.name : ''}
+                                                near={waypoints[0] || userLocation}
+                                                onSelect={(place) => selectPlace(idx, place)}
+                                            />
+                                        </div>
+                                        <button
+                                            className={`btn btn-secondary btn-icon ${selectingPoint === idx ? 'btn-primary' : ''}`}
+                                            onClick={() => setSelectingPoint(selectingPoint === idx ? null : idx)}
+                                            aria-label={`Выбрать точку «${getWaypointLabel(idx, waypoints.length)}» на карте`}
+                                            aria-pressed={selectingPoint === idx}
+                                        >
+                                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                <circle cx="12" cy="12" r="10" />
+                                                <path d="M12 8v8m-4-4h8" />
+                                            </svg>
+                                        </button>
+                                        {waypoints.length > 2 && (
+                                            <button
+                                                className="btn btn-secondary btn-icon"
+                                                onClick={() => removeWaypoint(idx)}
+                                                aria-label={`Удалить точку «${getWaypointLabel(idx, waypoints.length)}»`}
+                                            >
+                                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                                    <path d="M18 6L6 18M6 6l12 12" />
+                                                </svg>
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
 
-                                <div className="route-point">
-                                    <div className="route-point-marker end">Б</div>
-                                    <div className="route-point-content">
-                                        <span className="route-point-label">Куда</span>
-                                        <span className={`route-point-value ${!endPoint ? 'placeholder' : ''}`}>
-                                            {endPoint ? endPoint.name : 'Выберите на карте'}
-                                        </span>
-                                    </div>
-                                    <button
-                                        className={`btn btn-secondary btn-icon ${selectingPoint === 'end' ? 'btn-primary' : ''}`}
-                                        onClick={() => setSelectingPoint(selectingPoint === 'end' ? null : 'end')}
-                                        aria-label="Выбрать точку назначения на карте"
-                                        aria-pressed={selectingPoint === 'end'}
-                                    >
-                                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                            <circle cx="12" cy="12" r="10" />
-                                            <path d="M12 8v8m-4-4h8" />
-                                        </svg>
-                                    </button>
+                            <button
+                                className="btn btn-secondary btn-block"
+                                style={{ marginTop: 'var(--spacing-sm)' }}
+                                onClick={addWaypoint}
+                            >
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M12 5v14m-7-7h14" />
+                                </svg>
+                                Добавить остановку
+                            </button>
+
+                            <div className="form-group" style={{ marginTop: 'var(--spacing-md)', marginBottom: 0 }}>
+                                <label className="form-label" htmlFor="departure-time">Время отправления</label>
+                                <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                                    <input
+                                        type="datetime-local"
+                                        id="departure-time"
+                                        className="form-input"
+                                        value={departureTime}
+                                        onChange={(e) => {
+                                            setDepartureTime(e.target.value);
+                                            resetRoute();
+                                        }}
+                                    />
+                                    {departureTime && (
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => {
+                                                setDepartureTime('');
+                                                resetRoute();
+                                            }}
+                                        >
+                                            Сейчас
+                                        </button>
+                                    )}
                                 </div>
                             </div>
 
@@ -482,8 +1709,8 @@ export default function App() {
                                 <button
                                     className="btn btn-success"
                                     style={{ flex: 1 }}
-                                    onClick={buildRoute}
-                                    disabled={!startPoint || !endPoint}
+                                    onClick={() => buildRoute()}
+                                    disabled={waypoints.some(point => !point)}
                                 >
                                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                         <path d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l5.447 2.724A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
@@ -540,10 +1767,285 @@ export default function App() {
                                             ))}
                                         </div>
                                     )}
+                                    {restStops.length > 0 && (
+                                        <div style={{ marginTop: 'var(--spacing-md)', fontSize: 'var(--font-size-xs)', color: 'var(--color-text-secondary)' }}>
+                                            🪑 Остановок для отдыха: {restStops.length}
+                                        </div>
+                                    )}
+                                    {route.nearbyBarriers?.length > 0 && (
+                                        <div style={{ marginTop: 'var(--spacing-md)' }}>
+                                            <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-text-secondary)', marginBottom: 'var(--spacing-xs)' }}>
+                                                Рядом с маршрутом:
+                                            </div>
+                                            {route.nearbyBarriers.map(({ item: barrier, distance }) => (
+                                                <div key={barrier.id} style={{ fontSize: 'var(--font-size-xs)', color: 'var(--color-text-muted)' }}>
+                                                    {barrierIcons[barrier.type]} {BARRIER_LABELS[barrier.type] || 'Барьер'}
+                                                    {barrier.description && ` — ${barrier.description}`} ({Math.round(distance)} м)
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {!isNavigating && (
+                                        <button
+                                            className="btn btn-primary btn-block"
+                                            style={{ marginTop: 'var(--spacing-md)' }}
+                                            onClick={startNavigation}
+                                        >
+                                            Начать навигацию
+                                        </button>
+                                    )}
+                                    {profile.voiceEnabled && (
+                                        <button
+                                            className="btn btn-secondary btn-block"
+                                            style={{ marginTop: 'var(--spacing-sm)' }}
+                                            onClick={() => voiceGuide.repeatLast()}
+                                        >
+                                            🔊 Повторить подсказку
+                                        </button>
+                                    )}
+                                    {instructions.length > 0 && (
+                                        <>
+                                            <h4 className="route-steps-title">Как пройти</h4>
+                                            <ol className="route-steps">
+                                                {instructions.map((step, idx) => (
+                                                    <li key={idx} className={`route-step ${step.note ? 'note' : ''}`}>
+                                                        <span className="route-step-icon" aria-hidden="true">
+                                                            {maneuverIcons[step.type]}
+                                                        </span>
+                                                        <span className="route-step-text">{step.text}</span>
+                                                        {step.distance > 0 && (
+                                                            <span className="route-step-distance">{formatDistance(step.distance)}</span>
+                                                        )}
+                                                    </li>
+                                                ))}
+                                            </ol>
+                                        </>
+                                    )}
+                                    {route.legs?.length > 1 && (
+                                        <ol className="route-legs">
+                                            {route.legs.map((leg, idx) => (
+                                                <li key={idx} className="route-leg">
+                                                    <div className="route-leg-title">
+                                                        {waypoints[idx]?.name} → {waypoints[idx + 1]?.name}
+                                                    </div>
+                                                    <div className="route-leg-stats">
+                                                        {formatDistance(leg.totalDistance)} · {estimateTime(leg.totalDistance, profile)} · {leg.accessibilityScore}%
+                                                        {leg.issues.length > 0 && ` · ⚠️ ${leg.issues.length}`}
+                                                    </div>
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    )}
+                                </div>
+                            </section>
+                        )}
+
+                        {/* Why no route was found */}
+                        {diagnosis && (
+                            <section className="sidebar-section" aria-labelledby="diagnosis-section-title">
+                                <h3 className="section-title" id="diagnosis-section-title">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <circle cx="12" cy="12" r="10" />
+                                        <path d="M12 8v4m0 4h.01" />
+                                    </svg>
+                                    Почему маршрут не найден
+                                </h3>
+
+                                <div className="diagnosis">
+                                    <p className="diagnosis-text">
+                                        {diagnosis.from.name} → {diagnosis.to.name}
+                                    </p>
+
+                                    {!diagnosis.connected && (
+                                        <p className="diagnosis-text">
+                                            Точки не связаны пешеходными путями. Изменение профиля не поможет — выберите другие точки.
+                                        </p>
+                                    )}
+
+                                    {diagnosis.relaxations.length > 0 && (
+                                        <>
+                                            <p className="diagnosis-text">Маршрут откроется, если изменить одно из ограничений:</p>
+                                            <ul className="diagnosis-list">
+                                                {diagnosis.relaxations.map((relaxation) => (
+                                                    <li key={relaxation.key} className="diagnosis-item">
+                                                        <div className="diagnosis-item-content">
+                                                            <span>{relaxation.message}</span>
+                                                            {relaxation.blockingEdges.map((blocking, idx) => (
+                                                                <span key={idx} className="diagnosis-reason">
+                                                                    • {blocking.reasons.join(', ')}
+                                                                </span>
+                                                            ))}
+                                                        </div>
+                                                        <button
+                                                            className="btn btn-primary"
+                                                            onClick={() => applyRelaxation(relaxation.changes)}
+                                                        >
+                                                            Применить
+                                                        </button>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </>
+                                    )}
+
+                                    {diagnosis.connected && !diagnosis.combined && diagnosis.relaxations.length === 0 && (
+                                        <>
+                                            <p className="diagnosis-text">Путь перекрыт барьерами или временно закрытыми участками, которые не обойти с этим профилем:</p>
+                                            <ul className="diagnosis-list">
+                                                {diagnosis.blockingEdges.map((blocking, idx) => (
+                                                    <li key={idx} className="diagnosis-reason">
+                                                        • {blocking.reasons.join(', ')}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </>
+                                    )}
+
+                                    {diagnosis.combined && (
+                                        <>
+                                            <p className="diagnosis-text">Одного изменения недостаточно. Мешают участки:</p>
+                                            <ul className="diagnosis-list">
+                                                {diagnosis.blockingEdges.map((blocking, idx) => (
+                                                    <li key={idx} className="diagnosis-reason">
+                                                        • {blocking.reasons.join(', ')}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            <div className="diagnosis-item">
+                                                <div className="diagnosis-item-content">
+                                                    {diagnosis.combined.messages.map((message) => (
+                                                        <span key={message}>{message}</span>
+                                                    ))}
+                                                </div>
+                                                <button
+                                                    className="btn btn-primary"
+                                                    onClick={() => applyRelaxation(diagnosis.combined.changes)}
+                                                >
+                                                    Применить всё
+                                                </button>
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            </section>
+                        )}
+
+                        {/* Alternative routes comparison */}
+                        {alternatives.length > 1 && (
+                            <section className="sidebar-section" aria-labelledby="alternatives-section-title">
+                                <h3 className="section-title" id="alternatives-section-title">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path d="M6 3v12M18 9a3 3 0 100-6 3 3 0 000 6zM6 21a3 3 0 100-6 3 3 0 000 6zM18 9a9 9 0 01-9 9" />
+                                    </svg>
+                                    Варианты маршрута
+                                </h3>
+
+                                <div className="route-alternatives" role="radiogroup" aria-label="Варианты маршрута">
+                                    {alternatives.map((alt, idx) => (
+                                        <button
+                                            key={idx}
+                                            type="button"
+                                            role="radio"
+                                            aria-checked={alt === route}
+                                            className={`route-alternative ${alt === route ? 'selected' : ''}`}
+                                            onClick={() => setRoute(alt)}
+                                        >
+                                            <span className="route-alternative-title">Вариант {idx + 1}</span>
+                                            <span className="route-alternative-stat">{formatDistance(alt.totalDistance)}</span>
+                                            <span className="route-alternative-stat">{estimateTime(alt.totalDistance, profile)}</span>
+                                            <span className="route-alternative-stat">{alt.accessibilityScore}%</span>
+                                            <span className="route-alternative-stat">
+                                                {alt.issues.length > 0 ? `⚠️ ${alt.issues.length}` : '✓ без барьеров'}
+                                            </span>
+                                        </button>
+                                    ))}
                                 </div>
                             </section>
                         )}
 
+                        {/* Accessible places */}
+                        <section className="sidebar-section" aria-labelledby="poi-section-title">
+                            <h3 className="section-title" id="poi-section-title">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0118 0z" />
+                                    <circle cx="12" cy="10" r="3" />
+                                </svg>
+                                Доступные места
+                            </h3>
+
+                            <div className="poi-filters" role="group" aria-label="Показывать на карте">
+                                {Object.entries(POI_CATEGORIES).map(([category, { label, icon }]) => (
+                                    <button
+                                        key={category}
+                                        type="button"
+                                        className={`poi-filter ${poiCategories.has(category) ? 'active' : ''}`}
+                                        aria-pressed={poiCategories.has(category)}
+                                        onClick={() => togglePoiCategory(category)}
+                                    >
+                                        <span aria-hidden="true">{icon}</span> {label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="poi-search">Поиск места</label>
+                                <input
+                                    id="poi-search"
+                                    type="search"
+                                    className="form-input"
+                                    placeholder="Название или категория"
+                                    value={poiQuery}
+                                    onChange={(e) => setPoiQuery(e.target.value)}
+                                />
+                            </div>
+
+                            <div className="poi-nearest">
+                                {Object.entries(POI_CATEGORIES)
+                                    .filter(([category]) => poiCategories.has(category))
+                                    .map(([category, { label, icon }]) => (
+                                        <button
+                                            key={category}
+                                            type="button"
+                                            className="btn btn-secondary"
+                                            onClick={() => routeToNearestPoi(category)}
+                                            aria-label={`Маршрут до ближайшего места: ${label}`}
+                                            title={`Ближайший: ${label}`}
+                                        >
+                                            <span aria-hidden="true">{icon}</span> Ближайший
+                                        </button>
+                                    ))}
+                            </div>
+
+                            {poiResults.length > 0 ? (
+                                <ul className="poi-list">
+                                    {poiResults.map(({ poi, distance }) => (
+                                        <li key={poi.id} className="poi-item">
+                                            <span className="poi-item-icon" aria-hidden="true">
+                                                {POI_CATEGORIES[poi.category].icon}
+                                            </span>
+                                            <span className="poi-item-text">
+                                                <span className="poi-item-name">{poi.name}</span>
+                                                <span className="poi-item-meta">
+                                                    {POI_CATEGORIES[poi.category].label}
+                                                    {distance !== null && ` · ${formatDistance(distance)}`}
+                                                </span>
+                                            </span>
+                                            <button
+                                                type="button"
+                                                className="btn btn-secondary"
+                                                onClick={() => routeToPoi(poi)}
+                                                aria-label={`Маршрут сюда: ${poi.name}`}
+                                            >
+                                                Маршрут сюда
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="poi-empty">Ничего не найдено</p>
+                            )}
+                        </section>
+
                         {/* Profile settings */}
                         <section className="sidebar-section" aria-labelledby="profile-section-title">
                             <h3 className="section-title" id="profile-section-title">
@@ -554,18 +2056,84 @@ export default function App() {
                                 Профиль доступности
                             </h3>
 
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="profile-select">Профиль</label>
+                                <div className="profile-switcher">
+                                    <select
+                                        id="profile-select"
+                                        className="form-select"
+                                        value={profileState.activeId}
+                                        onChange={(e) => selectProfile(e.target.value)}
+                                    >
+                                        {profileState.profiles.map(entry => (
+                                            <option key={entry.id} value={entry.id}>{entry.name}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={() => addProfile('Новый профиль', profile)}
+                                        aria-label="Новый профиль на основе текущего"
+                                        title="Новый профиль"
+                                    >
+                                        +
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="profile-name">Название профиля</label>
+                                <input
+                                    id="profile-name"
+                                    type="text"
+                                    className="form-input"
+                                    value={activeProfile.name}
+                                    onChange={(e) => renameProfile(e.target.value)}
+                                    placeholder="Например, «С мамой на коляске»"
+                                />
+                            </div>
+
+                            <div className="profile-actions">
+                                <button className="btn btn-secondary" onClick={downloadProfile}>
+                                    Экспорт
+                                </button>
+                                <label className="btn btn-secondary">
+                                    Импорт
+                                    <input
+                                        type="file"
+                                        accept="application/json,.json"
+                                        className="sr-only"
+                                        onChange={uploadProfile}
+                                    />
+                                </label>
+                                <button className="btn btn-secondary" onClick={copyProfileLink}>
+                                    Ссылка
+                                </button>
+                                {profileState.profiles.length > 1 && (
+                                    <button
+                                        className="btn btn-secondary"
+                                        onClick={deleteProfile}
+                                        aria-label={`Удалить профиль «${activeProfile.name}»`}
+                                    >
+                                        Удалить
+                                    </button>
+                                )}
+                            </div>
+
                             <div className="form-group">
                                 <label className="form-label" htmlFor="mobility-type">Способ передвижения</label>
                                 <select
                                     id="mobility-type"
                                     className="form-select"
                                     value={profile.mobilityType}
-                                    onChange={(e) => updateProfile('mobilityType', e.target.value)}
+                                    onChange={(e) => changeMobilityType(e.target.value)}
                                 >
                                     <option value="wheelchair">♿ Инвалидная коляска</option>
                                     <option value="wheelchair_assisted">👥 Коляска с сопровождающим</option>
                                     <option value="stroller">👶 Детская коляска</option>
                                     <option value="crutches">🦯 Костыли/трость</option>
+                                    <option value="blind">🦮 Незрячий</option>
+                                    <option value="low_vision">👓 Слабовидящий</option>
+                                    <option value="cognitive">🧩 Когнитивные особенности</option>
                                 </select>
                             </div>
 
@@ -590,17 +2158,35 @@ export default function App() {
                             <div className="form-group">
                                 <div className="range-container">
                                     <div className="range-header">
-                                        <label className="form-label" htmlFor="max-slope">Макс. уклон</label>
-                                        <span className="range-value">{profile.maxSlope}%</span>
+                                        <label className="form-label" htmlFor="max-slope-up">Макс. подъём</label>
+                                        <span className="range-value">{profile.maxSlopeUp}%</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        id="max-slope-up"
+                                        className="range-input"
+                                        min="0"
+                                        max="15"
+                                        value={profile.maxSlopeUp}
+                                        onChange={(e) => updateProfile('maxSlopeUp', parseInt(e.target.value))}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <div className="range-container">
+                                    <div className="range-header">
+                                        <label className="form-label" htmlFor="max-slope-down">Макс. спуск</label>
+                                        <span className="range-value">{profile.maxSlopeDown}%</span>
                                     </div>
                                     <input
                                         type="range"
-                                        id="max-slope"
+                                        id="max-slope-down"
                                         className="range-input"
                                         min="0"
                                         max="15"
-                                        value={profile.maxSlope}
-                                        onChange={(e) => updateProfile('maxSlope', parseInt(e.target.value))}
+                                        value={profile.maxSlopeDown}
+                                        onChange={(e) => updateProfile('maxSlopeDown', parseInt(e.target.value))}
                                     />
                                 </div>
                             </div>
@@ -624,6 +2210,88 @@ export default function App() {
                                 </div>
                             </div>
 
+                            <div className="form-group">
+                                <div className="range-container">
+                                    <div className="range-header">
+                                        <label className="form-label" htmlFor="max-steps">Макс. число ступеней</label>
+                                        <span className="range-value">{profile.maxSteps ?? 0}</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        id="max-steps"
+                                        className="range-input"
+                                        min="0"
+                                        max="50"
+                                        value={profile.maxSteps ?? 0}
+                                        onChange={(e) => updateProfile('maxSteps', parseInt(e.target.value))}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <div className="range-container">
+                                    <div className="range-header">
+                                        <label className="form-label" htmlFor="max-rest-distance">Отдых не реже чем через</label>
+                                        <span className="range-value">
+                                            {profile.maxRestDistance ? `${profile.maxRestDistance} м` : 'не нужен'}
+                                        </span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        id="max-rest-distance"
+                                        className="range-input"
+                                        min="0"
+                                        max="1000"
+                                        step="50"
+                                        value={profile.maxRestDistance ?? 0}
+                                        onChange={(e) => updateProfile('maxRestDistance', parseInt(e.target.value))}
+                                    />
+                                </div>
+                            </div>
+
+                            {profileNeeds.map(need => (
+                                <div key={need.key} className="toggle-container">
+                                    <span className="toggle-label">{need.label}</span>
+                                    <label className="toggle-switch">
+                                        <input
+                                            type="checkbox"
+                                            className="toggle-input"
+                                            checked={!!profile[need.key]}
+                                            onChange={(e) => updateProfile(need.key, e.target.checked)}
+                                        />
+                                        <span className="toggle-slider"></span>
+                                    </label>
+                                </div>
+                            ))}
+
+                            <div className="toggle-container">
+                                <span className="toggle-label">Меньше поворотов</span>
+                                <label className="toggle-switch">
+                                    <input
+                                        type="checkbox"
+                                        className="toggle-input"
+                                        checked={profile.turnPenalty > 0}
+                                        onChange={(e) => updateProfile('turnPenalty', e.target.checked ? SIMPLE_ROUTE_TURN_PENALTY : 0)}
+                                    />
+                                    <span className="toggle-slider"></span>
+                                </label>
+                            </div>
+
+                            {profile.mobilityType === 'wheelchair' && (
+                                <div className="toggle-container">
+                                    <span className="toggle-label">Разрешить участки с ремонтом</span>
+                                    <label className="toggle-switch">
+                                        <input
+                                            type="checkbox"
+                                            className="toggle-input"
+                                            checked={!!profile.allowRepair}
+                                            onChange={(e) => updateProfile('allowRepair', e.target.checked)}
+                                        />
+                                        <span className="toggle-slider"></span>
+                                    </label>
+                                </div>
+                            )}
+
                             <div className="toggle-container">
                                 <span className="toggle-label">Голосовые подсказки</span>
                                 <label className="toggle-switch">
@@ -638,6 +2306,63 @@ export default function App() {
                             </div>
                         </section>
 
+                        {/* Drone missions */}
+                        <section className="sidebar-section" aria-labelledby="missions-section-title">
+                            <h3 className="section-title" id="missions-section-title">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                    <circle cx="5" cy="5" r="3" />
+                                    <circle cx="19" cy="5" r="3" />
+                                    <circle cx="5" cy="19" r="3" />
+                                    <circle cx="19" cy="19" r="3" />
+                                    <path d="M7.5 7.5l9 9M16.5 7.5l-9 9" />
+                                </svg>
+                                Облёт дронами
+                            </h3>
+
+                            <p className="mission-hint">
+                                Задания для дронов там, где данные устарели, много сообщений о барьерах или часто строят маршруты.
+                            </p>
+                            <button className="btn btn-secondary btn-block" onClick={planDroneMissions}>
+                                Спланировать облёт
+                            </button>
+
+                            {missions?.length > 0 && (
+                                <>
+                                    <ul className="mission-list">
+                                        {missions.map((mission) => (
+                                            <li key={mission.id}>
+                                                <button
+                                                    type="button"
+                                                    className={`mission-item ${mission.id === selectedMissionId ? 'selected' : ''}`}
+                                                    aria-pressed={mission.id === selectedMissionId}
+                                                    onClick={() => selectMission(mission)}
+                                                >
+                                                    <span className="mission-item-title">
+                                                        Задание {mission.priority} · оценка {Math.round(mission.score * 100)}%
+                                                    </span>
+                                                    <span className="mission-item-details">
+                                                        {getMainReason(mission)}; {mission.cells.length} кв., {formatDistance(mission.length)}, ~{mission.duration} мин, точек: {mission.waypoints.length}
+                                                    </span>
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    <div className="mission-actions">
+                                        <button className="btn btn-secondary" onClick={() => downloadMissions('geojson')}>
+                                            GeoJSON
+                                        </button>
+                                        <button className="btn btn-secondary" onClick={() => downloadMissions('csv')}>
+                                            Точки CSV
+                                        </button>
+                                        <button className="btn btn-secondary" onClick={() => setMissions(null)}>
+                                            Скрыть
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+                        </section>
+
                         {/* Legend */}
                         <section className="sidebar-section" aria-labelledby="legend-section-title">
                             <h3 className="section-title" id="legend-section-title">
@@ -682,14 +2407,65 @@ export default function App() {
                 </aside>
             </main>
 
-            {/* Report Modal */}
+            {/* Report Modal (kept mounted while a location is picked on the map) */}
             {showReportModal && (
                 <ReportModal
-                    onClose={() => setShowReportModal(false)}
+                    hidden={selectingReportLocation}
+                    barrier={reportBarrier}
+                    location={reportLocation}
+                    onPickLocation={() => setSelectingReportLocation(true)}
+                    onClose={closeReportModal}
                     onSubmit={handleReportSubmit}
                 />
             )}
 
+            {/* Report location hint */}
+            {selectingReportLocation && (
+                <div className="map-hint" role="status">
+                    Нажмите на карту, чтобы указать местоположение барьера
+                    <button className="btn btn-secondary" onClick={() => setSelectingReportLocation(false)}>
+                        Отмена
+                    </button>
+                </div>
+            )}
+
+            {/* Moderation queue */}
+            {showModeration && (
+                <ModerationPanel
+                    reports={pendingReports}
+                    disputes={disputes}
+                    onApprove={handleApproveReport}
+                    onReject={handleRejectReport}
+                    onResolveDispute={handleResolveDispute}
+                    onUploadFlights={handleFlightUpload}
+                    onShowOnMap={(report) => {
+                        setShowModeration(false);
+                        setFlyTo([report.lat, report.lng]);
+                    }}
+                    onClose={() => setShowModeration(false)}
+                />
+            )}
+
+            {/* Accessibility analytics for planners */}
+            {showAnalytics && (
+                <AnalyticsPanel
+                    analytics={analytics}
+                    progress={analyticsProgress}
+                    heatmap={heatmap}
+                    onRun={runAnalytics}
+                    onDownload={downloadAnalytics}
+                    onShowHeatmap={(settings) => {
+                        setHeatmap(settings);
+                        setShowAnalytics(false);
+                    }}
+                    onShowOnMap={(barrier) => {
+                        setShowAnalytics(false);
+                        setFlyTo([barrier.lat, barrier.lng]);
+                    }}
+                    onClose={() => setShowAnalytics(false)}
+                />
+            )}
+
             {/* Toast notifications */}
             {toast && (
                 <div className="toast-container" role="alert" aria-live="polite">
@@ -706,9 +2482,13 @@ export default function App() {
 }
 
 // Report Modal Component
-function ReportModal({ onClose, onSubmit }) {
-    const [barrierType, setBarrierType] = useState('');
+function ReportModal({ barrier, location, hidden, onPickLocation, onClose, onSubmit }) {
+    const [barrierType, setBarrierType] = useState(barrier?.type || '');
+    const [measurement, setMeasurement] = useState('');
+    const [resolved, setResolved] = useState(false);
     const [comment, setComment] = useState('');
+    const [photos, setPhotos] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
 
     const barrierTypes = [
         { id: 'stairs', icon: '🪜', label: 'Лестница' },
@@ -719,12 +2499,44 @@ function ReportModal({ onClose, onSubmit }) {
         { id: 'other', icon: '❓', label: 'Другое' },
     ];
 
-    const handleSubmit = (e) => {
+    // Object URLs for photo previews, released when the list changes
+    const previews = useMemo(() => photos.map(photo => URL.createObjectURL(photo)), [photos]);
+    useEffect(() => () => previews.forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+    const handlePhotoChange = (e) => {
+        const files = Array.from(e.target.files || []);
+        setPhotos(prev => [...prev, ...files]);
+        e.target.value = '';
+    };
+
+    const removePhoto = (index) => {
+        setPhotos(prev => prev.filter((_, i) => i !== index));
+    };
+
+    // Barrier types that can be measured ask for the value
+    const measuredField = MEASUREMENTS[barrierType];
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!barrierType) return;
-        onSubmit({ barrierType, comment });
+        if (!barrierType || !location) return;
+
+        setIsSubmitting(true);
+        try {
+            const value = parseFloat(measurement.replace(',', '.'));
+            await onSubmit({
+                type: barrierType,
+                comment,
+                photos,
+                resolved,
+                measurement: measuredField && !resolved && Number.isFinite(value) ? value : undefined,
+            });
+        } finally {
+            setIsSubmitting(false);
+        }
     };
 
+    if (hidden) return null;
+
     return (
         <div
             className="modal-overlay"
@@ -735,7 +2547,9 @@ function ReportModal({ onClose, onSubmit }) {
         >
             <div className="modal">
                 <div className="modal-header">
-                    <h2 className="modal-title" id="report-modal-title">Сообщить о барьере</h2>
+                    <h2 className="modal-title" id="report-modal-title">
+                        {barrier ? 'Изменения барьера' : 'Сообщить о барьере'}
+                    </h2>
                     <button
                         className="modal-close"
                         onClick={onClose}
@@ -749,22 +2563,72 @@ function ReportModal({ onClose, onSubmit }) {
 
                 <form onSubmit={handleSubmit}>
                     <div className="modal-body">
-                        <div className="form-group">
-                            <label className="form-label">Тип барьера</label>
-                            <div className="barrier-types">
-                                {barrierTypes.map((type) => (
-                                    <button
-                                        key={type.id}
-                                        type="button"
-                                        className={`barrier-type ${barrierType === type.id ? 'selected' : ''}`}
-                                        onClick={() => setBarrierType(type.id)}
-                                    >
-                                        <span className="barrier-type-icon">{type.icon}</span>
-                                        <span className="barrier-type-label">{type.label}</span>
-                                    </button>
-                                ))}
+                        {barrier ? (
+                            <div className="form-group">
+                                <p className="report-barrier">
+                                    {barrierIcons[barrier.type] || '❓'} {BARRIER_LABELS[barrier.type] || 'Барьер'}: {barrier.description}
+                                </p>
+                                <label className="report-resolved">
+                                    <input
+                                        type="checkbox"
+                                        checked={resolved}
+                                        onChange={(e) => setResolved(e.target.checked)}
+                                    />
+                                    Барьер устранён
+                                </label>
                             </div>
-                        </div>
+                        ) : (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Тип барьера</label>
+                                    <div className="barrier-types">
+                                        {barrierTypes.map((type) => (
+                                            <button
+                                                key={type.id}
+                                                type="button"
+                                                className={`barrier-type ${barrierType === type.id ? 'selected' : ''}`}
+                                                onClick={() => setBarrierType(type.id)}
+                                            >
+                                                <span className="barrier-type-icon">{type.icon}</span>
+                                                <span className="barrier-type-label">{type.label}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">Местоположение</label>
+                                    <div className="report-location">
+                                        <span className="report-location-value">
+                                            {location
+                                                ? `📍 ${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`
+                                                : 'Не указано'}
+                                        </span>
+                                        <button type="button" className="btn btn-secondary" onClick={onPickLocation}>
+                                            {location ? 'Изменить' : 'Указать на карте'}
+                                        </button>
+                                    </div>
+                                </div>
+                            </>
+                        )}
+
+                        {measuredField && !resolved && (
+                            <div className="form-group">
+                                <label className="form-label" htmlFor="report-measurement">
+                                    {measuredField.label} ({measuredField.unit.trim()}, необязательно)
+                                </label>
+                                <input
+                                    id="report-measurement"
+                                    type="number"
+                                    inputMode="decimal"
+                                    min="0"
+                                    step="any"
+                                    className="form-input"
+                                    value={measurement}
+                                    onChange={(e) => setMeasurement(e.target.value)}
+                                />
+                            </div>
+                        )}
 
                         <div className="form-group">
                             <label className="form-label" htmlFor="report-comment">Комментарий (необязательно)</label>
@@ -777,9 +2641,35 @@ function ReportModal({ onClose, onSubmit }) {
                             />
                         </div>
 
-                        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--color-text-muted)' }}>
-                            💡 Нажмите на карту, чтобы указать местоположение барьера
-                        </p>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="report-photos">Фото (необязательно)</label>
+                            <input
+                                id="report-photos"
+                                type="file"
+                                accept="image/*"
+                                capture="environment"
+                                multiple
+                                className="form-input"
+                                onChange={handlePhotoChange}
+                            />
+                            {previews.length > 0 && (
+                                <ul className="report-photos">
+                                    {previews.map((url, index) => (
+                                        <li key={url} className="report-photo">
+                                            <img src={url} alt={`Фото ${index + 1}`} />
+                                            <button
+                                                type="button"
+                                                className="report-photo-remove"
+                                                onClick={() => removePhoto(index)}
+                                                aria-label={`Удалить фото ${index + 1}`}
+                                            >
+                                                ×
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
                     </div>
 
                     <div className="modal-footer">
@@ -789,9 +2679,9 @@ function ReportModal({ onClose, onSubmit }) {
                         <button
                             type="submit"
                             className="btn btn-primary"
-                            disabled={!barrierType}
+                            disabled={!barrierType || !location || isSubmitting}
                         >
-                            Отправить
+                            {isSubmitting ? 'Отправка...' : 'Отправить'}
                         </button>
                     </div>
                 </form>
@@ -799,3 +2689,585 @@ function ReportModal({ onClose, onSubmit }) {
         </div>
     );
 }
+
+// Shown instead of the app when the city graph has errors
+function GraphErrorScreen({ report }) {
+    return (
+        <div className="app-container">
+            <main className="graph-error" role="main">
+                <h1>Не удалось загрузить карту доступности</h1>
+                <p>
+                    Данные городского графа содержат ошибки ({report.errors.length}), маршруты по ним
+                    были бы неверными. Исправьте данные и перезагрузите страницу.
+                </p>
+                <ProblemList problems={report.errors} />
+                {report.warnings.length > 0 && (
+                    <>
+                        <h2>Замечания</h2>
+                        <ProblemList problems={report.warnings} />
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
+
+function ProblemList({ problems }) {
+    return (
+        <>
+            <ul className="problem-list">
+                {problems.slice(0, GRAPH_PROBLEM_LIMIT).map((problem, idx) => (
+                    <li key={idx}>{formatProblem(problem)}</li>
+                ))}
+            </ul>
+            {problems.length > GRAPH_PROBLEM_LIMIT && (
+                <p className="problem-list-more">
+                    И ещё {problems.length - GRAPH_PROBLEM_LIMIT}
+                </p>
+            )}
+        </>
+    );
+}
+
+// Place search field with suggestions (ARIA combobox with a listbox popup)
+function PlaceSearch({ id, value, near, onSelect }) {
+    const [query, setQuery] = useState(value);
+    const [results, setResults] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const listId = `${id}-listbox`;
+    const isExpanded = isOpen && results.length > 0;
+    const isSearching = isOpen && normalizeText(query).length >= MIN_QUERY_LENGTH;
+
+    // The field shows the chosen point until the user starts typing
+    useEffect(() => {
+        setQuery(value);
+        setIsOpen(false);
+    }, [value]);
+
+    // Search after a pause in typing; answers to outdated queries are dropped
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            let found = [];
+            try {
+                found = await geocoder.search(query, { near });
+            } catch {
+                // The geocoder is unavailable, nothing to suggest
+            }
+            if (!cancelled) {
+                setResults(found);
+                setActiveIndex(-1);
+            }
+        }, SEARCH_DELAY);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query, isOpen, near]);
+
+    const select = (place) => {
+        setIsOpen(false);
+        setActiveIndex(-1);
+        onSelect(place);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isExpanded) {
+                setIsOpen(true);
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveIndex(prev => (prev + step + results.length) % results.length);
+        } else if (e.key === 'Enter' && isExpanded && activeIndex >= 0) {
+            e.preventDefault();
+            select(results[activeIndex]);
+        } else if (e.key === 'Escape') {
+            if (isExpanded) {
+                setIsOpen(false);
+            } else {
+                setQuery(value);
+            }
+        }
+    };
+
+    return (
+        <div className="place-search">
+            <input
+                id={id}
+                type="text"
+                className="place-search-input"
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={isExpanded}
+                aria-controls={listId}
+                aria-activedescendant={isExpanded && activeIndex >= 0 ? `${id}-option-${activeIndex}` : undefined}
+                placeholder="Адрес, место или точка на карте"
+                autoComplete="off"
+                value={query}
+                onChange={(e) => {
+                    setQuery(e.target.value);
+                    setIsOpen(true);
+                }}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setIsOpen(false)}
+            />
+            <ul id={listId} role="listbox" className="place-search-list" hidden={!isExpanded}>
+                {results.map((place, idx) => (
+                    <li
+                        key={place.id}
+                        id={`${id}-option-${idx}`}
+                        role="option"
+                        aria-selected={idx === activeIndex}
+                        className={`place-search-option ${idx === activeIndex ? 'active' : ''}`}
+                        // Keep focus in the field so the click selects before blur closes the list
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => select(place)}
+                    >
+                        <span className="place-search-name">{place.name}</span>
+                        {place.description && <span className="place-search-description">{place.description}</span>}
+                    </li>
+                ))}
+            </ul>
+            <span className="sr-only" role="status" aria-live="polite">
+                {isSearching && (results.length > 0 ? `Найдено вариантов: ${results.length}` : 'Ничего не найдено')}
+            </span>
+        </div>
+    );
+}
+
+// Photo of a stored report (photos are kept as Blobs)
+function ReportPhoto({ photo, alt }) {
+    const url = useMemo(() => URL.createObjectURL(photo), [photo]);
+    useEffect(() => () => URL.revokeObjectURL(url), [url]);
+
+    return <img src={url} alt={alt} />;
+}
+
+// Moderation Panel Component
+function ModerationPanel({ reports, disputes, onApprove, onReject, onResolveDispute, onUploadFlights, onShowOnMap, onClose }) {
+    const [severities, setSeverities] = useState({});
+    const [rejectReasons, setRejectReasons] = useState({});
+
+    const severityOptions = [
+        { id: 'low', label: 'Низкая' },
+        { id: 'medium', label: 'Средняя' },
+        { id: 'high', label: 'Высокая' },
+    ];
+
+    return (
+        <div
+            className="modal-overlay"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="moderation-title"
+        >
+            <div className="modal">
+                <div className="modal-header">
+                    <h2 className="modal-title" id="moderation-title">Сообщения на проверке</h2>
+                    <button
+                        className="modal-close"
+                        onClick={onClose}
+                        aria-label="Закрыть"
+                    >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <label className="btn btn-secondary btn-block moderation-upload">
+                        🛸 Загрузить данные облёта дронами
+                        <input
+                            type="file"
+                            accept="application/json,application/geo+json,.json,.geojson"
+                            multiple
+                            className="sr-only"
+                            onChange={(e) => {
+                                const files = [...(e.target.files || [])];
+                                e.target.value = '';
+                                if (files.length > 0) {
+                                    onUploadFlights(files);
+                                }
+                            }}
+                        />
+                    </label>
+
+                    {reports.length === 0 ? (
+                        <p className="moderation-empty">Новых сообщений нет</p>
+                    ) : (
+                        <ul className="moderation-list">
+                            {reports.map((report) => (
+                                <li key={report.id} className="moderation-item">
+                                    <div className="moderation-item-header">
+                                        <span className="moderation-item-title">
+                                            {barrierIcons[report.type] || '❓'} {BARRIER_LABELS[report.type] || 'Барьер'}
+                                        </span>
+                                        <span className="moderation-item-date">
+                                            {new Date(report.createdAt).toLocaleString('ru-RU')}
+                                        </span>
+                                    </div>
+
+                                    {report.source === REPORT_SOURCE.drone && (
+                                        <p className="moderation-item-comment">🛸 {describeCandidate(report.evidence)}</p>
+                                    )}
+                                    {report.barrierId !== undefined && report.source !== REPORT_SOURCE.drone && (
+                                        <p className="moderation-item-comment">
+                                            Об известном барьере {report.barrierId}:{' '}
+                                            {report.resolved
+                                                ? describeValue('present', false).toLowerCase()
+                                                : report.measurement !== undefined
+                                                    ? describeValue(MEASUREMENTS[report.type].attribute, report.measurement).toLowerCase()
+                                                    : 'уточнение'}
+                                        </p>
+                                    )}
+                                    {report.barrierId === undefined && report.measurement !== undefined && (
+                                        <p className="moderation-item-comment">
+                                            {describeValue(MEASUREMENTS[report.type].attribute, report.measurement)}
+                                        </p>
+                                    )}
+                                    {report.comment && <p className="moderation-item-comment">{report.comment}</p>}
+
+                                    {report.evidence?.images.length > 0 && (
+                                        <ul className="report-photos">
+                                            {report.evidence.images.slice(0, DRONE_IMAGE_LIMIT).map((image, index) => (
+                                                <li key={image} className="report-photo">
+                                                    <img src={image} alt={`Кадр с дрона ${index + 1}`} />
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+
+                                    {report.photos?.length > 0 && (
+                                        <ul className="report-photos">
+                                            {report.photos.map((photo, index) => (
+                                                <li key={index} className="report-photo">
+                                                    <ReportPhoto photo={photo} alt={`Фото ${index + 1}`} />
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+
+                                    <button
+                                        type="button"
+                                        className="moderation-item-location"
+                                        onClick={() => onShowOnMap(report)}
+                                    >
+                                        📍 {report.lat.toFixed(5)}, {report.lng.toFixed(5)} — показать на карте
+                                    </button>
+
+                                    <div className="moderation-item-controls">
+                                        <label className="form-label" htmlFor={`severity-${report.id}`}>Серьёзность</label>
+                                        <select
+                                            id={`severity-${report.id}`}
+                                            className="form-select"
+                                            value={severities[report.id] || 'medium'}
+                                            onChange={(e) => setSeverities(prev => ({ ...prev, [report.id]: e.target.value }))}
+                                        >
+                                            {severityOptions.map(option => (
+                                                <option key={option.id} value={option.id}>{option.label}</option>
+                                            ))}
+                                        </select>
+
+                                        <input
+                                            type="text"
+                                            className="form-input"
+                                            placeholder="Причина отклонения"
+                                            aria-label="Причина отклонения"
+                                            value={rejectReasons[report.id] || ''}
+                                            onChange={(e) => setRejectReasons(prev => ({ ...prev, [report.id]: e.target.value }))}
+                                        />
+                                    </div>
+
+                                    <div className="moderation-item-actions">
+                                        <button
+                                            type="button"
+                                            className="btn btn-secondary"
+                                            onClick={() => onReject(report.id, rejectReasons[report.id] || '')}
+                                        >
+                                            Отклонить
+                                        </button>
+                                        <button
+                                            type="button"
+                                            className="btn btn-primary"
+                                            onClick={() => onApprove(report.id, severities[report.id] || 'medium')}
+                                        >
+                                            Одобрить
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {disputes.length > 0 && (
+                        <section className="moderation-disputes" aria-labelledby="disputes-title">
+                            <h3 className="moderation-section-title" id="disputes-title">
+                                Расхождения данных: {disputes.length}
+                            </h3>
+                            <ul className="moderation-list">
+                                {disputes.map((dispute) => (
+                                    <li key={dispute.key} className="moderation-item">
+                                        <div className="moderation-item-header">
+                                            <span className="moderation-item-title">
+                                                {dispute.target === 'barrier'
+                                                    ? `${barrierIcons[dispute.item.type] || '❓'} ${BARRIER_LABELS[dispute.item.type] || 'Барьер'} ${dispute.item.id}`
+                                                    : `Участок ${dispute.item.name || dispute.item.id}`}
+                                            </span>
+                                        </div>
+
+                                        <ul className="moderation-history">
+                                            {dispute.history.map(observation => (
+                                                <li key={observation.id}>{describeObservation(observation)}</li>
+                                            ))}
+                                        </ul>
+
+                                        <button
+                                            type="button"
+                                            className="moderation-item-location"
+                                            onClick={() => onShowOnMap(dispute.barrier)}
+                                        >
+                                            📍 {dispute.barrier.lat.toFixed(5)}, {dispute.barrier.lng.toFixed(5)} — показать на карте
+                                        </button>
+
+                                        <div className="moderation-item-actions">
+                                            {[...new Set(dispute.history.map(observation => observation.value))].map(value => (
+                                                <button
+                                                    key={String(value)}
+                                                    type="button"
+                                                    className="btn btn-secondary"
+                                                    onClick={() => onResolveDispute(dispute, value)}
+                                                >
+                                                    Подтвердить: {describeValue(dispute.attribute, value)}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Analytics Panel Component
+function AnalyticsPanel({ analytics, progress, heatmap, onRun, onDownload, onShowHeatmap, onShowOnMap, onClose }) {
+    const [districtType, setDistrictType] = useState(MOBILITY_TYPES[0]);
+    const [heatmapType, setHeatmapType] = useState(heatmap?.type ?? MOBILITY_TYPES[0]);
+    const [heatmapMetric, setHeatmapMetric] = useState(heatmap?.metric ?? 'inaccessible');
+
+    const formatShare = (length, total) => `${total > 0 ? Math.round(length / total * 100) : 0}%`;
+
+    return (
+        <div
+            className="modal-overlay"
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="analytics-title"
+        >
+            <div className="modal analytics-modal">
+                <div className="modal-header">
+                    <h2 className="modal-title" id="analytics-title">Доступность города</h2>
+                    <button
+                        className="modal-close"
+                        onClick={onClose}
+                        aria-label="Закрыть"
+                    >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M18 6L6 18M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    <p className="analytics-hint">
+                        Сводка по всей сети для каждого способа передвижения: доля доступных улиц по районам,
+                        барьеры, из-за которых невозможны поездки, и тепловая карта.
+                    </p>
+                    <button className="btn btn-primary btn-block" onClick={onRun} disabled={progress !== null}>
+                        {progress !== null
+                            ? `Расчёт... ${Math.round(progress * 100)}%`
+                            : analytics ? 'Пересчитать' : 'Рассчитать'}
+                    </button>
+                    {progress !== null && (
+                        <progress
+                            className="analytics-progress"
+                            value={progress}
+                            max="1"
+                            aria-label="Прогресс расчёта"
+                        />
+                    )}
+
+                    {analytics && (
+                        <>
+                            <p className="analytics-hint">
+                                Рассчитано {analytics.computedAt.toLocaleString('ru-RU')}
+                            </p>
+
+                            {/* Whole network by mobility type */}
+                            <section className="analytics-section" aria-labelledby="analytics-network-title">
+                                <h3 className="moderation-section-title" id="analytics-network-title">
+                                    Сеть по способам передвижения
+                                </h3>
+                                <table className="analytics-table">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">Способ</th>
+                                            <th scope="col">Доступно</th>
+                                            <th scope="col">Частично</th>
+                                            <th scope="col">Недоступно</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {analytics.summary.network.map((totals) => (
+                                            <tr key={totals.type}>
+                                                <th scope="row">{totals.label}</th>
+                                                <td>{getAccessiblePercent(totals)}%</td>
+                                                <td>{formatShare(totals.partial, totals.total)}</td>
+                                                <td>{formatShare(totals.inaccessible, totals.total)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <button className="btn btn-secondary" onClick={() => onDownload('network')}>
+                                    Скачать CSV
+                                </button>
+                            </section>
+
+                            {/* Districts */}
+                            <section className="analytics-section" aria-labelledby="analytics-districts-title">
+                                <h3 className="moderation-section-title" id="analytics-districts-title">
+                                    Доступная сеть по районам
+                                </h3>
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="analytics-district-type">Способ передвижения</label>
+                                    <select
+                                        id="analytics-district-type"
+                                        className="form-select"
+                                        value={districtType}
+                                        onChange={(e) => setDistrictType(e.target.value)}
+                                    >
+                                        {analytics.profiles.map(({ type, label }) => (
+                                            <option key={type} value={type}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <table className="analytics-table">
+                                    <thead>
+                                        <tr>
+                                            <th scope="col">Район</th>
+                                            <th scope="col">Доступно</th>
+                                            <th scope="col">Протяжённость</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {analytics.summary.districts.map((district) => (
+                                            <tr key={district.id}>
+                                                <th scope="row">{district.name}</th>
+                                                <td>{getAccessiblePercent(district.byProfile[districtType])}%</td>
+                                                <td>{formatDistance(district.byProfile[districtType].total)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <button className="btn btn-secondary" onClick={() => onDownload('districts')}>
+                                    Скачать CSV
+                                </button>
+                            </section>
+
+                            {/* Barriers that make trips impossible */}
+                            <section className="analytics-section" aria-labelledby="analytics-barriers-title">
+                                <h3 className="moderation-section-title" id="analytics-barriers-title">
+                                    Барьеры, блокирующие поездки
+                                </h3>
+                                <p className="analytics-hint">
+                                    Невозможных из-за барьеров поездок: {analytics.ranking.blocked} из {analytics.ranking.tested}
+                                </p>
+                                {analytics.ranking.barriers.length === 0 ? (
+                                    <p className="moderation-empty">Барьеры не блокируют ни одной поездки</p>
+                                ) : (
+                                    <ol className="moderation-list">
+                                        {analytics.ranking.barriers.slice(0, TOP_BARRIER_LIMIT).map(({ barrier, routes, profiles }) => (
+                                            <li key={barrier.id} className="moderation-item">
+                                                <div className="moderation-item-header">
+                                                    <span className="moderation-item-title">
+                                                        {barrierIcons[barrier.type] || '❓'} {BARRIER_LABELS[barrier.type] || 'Барьер'} {barrier.id}
+                                                    </span>
+                                                    <span className="moderation-item-date">Поездок: {routes}</span>
+                                                </div>
+                                                {barrier.description && <p className="moderation-item-comment">{barrier.description}</p>}
+                                                <p className="moderation-item-comment">
+                                                    {profiles.map(type => MOBILITY_LABELS[type]).join(', ')}
+                                                </p>
+                                                <button
+                                                    type="button"
+                                                    className="moderation-item-location"
+                                                    onClick={() => onShowOnMap(barrier)}
+                                                >
+                                                    📍 {barrier.lat.toFixed(5)}, {barrier.lng.toFixed(5)} — показать на карте
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                                <button className="btn btn-secondary" onClick={() => onDownload('barriers')}>
+                                    Скачать CSV
+                                </button>
+                            </section>
+                        </>
+                    )}
+
+                    {/* Heatmap */}
+                    <section className="analytics-section" aria-labelledby="analytics-heatmap-title">
+                        <h3 className="moderation-section-title" id="analytics-heatmap-title">
+                            Тепловая карта
+                        </h3>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="analytics-heatmap-type">Способ передвижения</label>
+                            <select
+                                id="analytics-heatmap-type"
+                                className="form-select"
+                                value={heatmapType}
+                                onChange={(e) => setHeatmapType(e.target.value)}
+                            >
+                                {MOBILITY_TYPES.map(type => (
+                                    <option key={type} value={type}>{MOBILITY_LABELS[type]}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="analytics-heatmap-metric">Показатель</label>
+                            <select
+                                id="analytics-heatmap-metric"
+                                className="form-select"
+                                value={heatmapMetric}
+                                onChange={(e) => setHeatmapMetric(e.target.value)}
+                            >
+                                {Object.entries(HEATMAP_METRICS).map(([metric, label]) => (
+                                    <option key={metric} value={metric}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <button
+                            className="btn btn-secondary btn-block"
+                            onClick={() => onShowHeatmap({ type: heatmapType, metric: heatmapMetric })}
+                        >
+                            Показать на карте
+                        </button>
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+}
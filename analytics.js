@@ -0,0 +1,342 @@
+/**
+ * Аналитика доступности города для градостроителей
+ * Уровни доступности рёбер (getEdgeAccessibilityLevel) сводятся по всей сети
+ * для каждого способа передвижения и по районам; для выборки типичных поездок
+ * считается, какие барьеры делают маршрут невозможным; тепловая карта
+ * показывает, где недоступных улиц и барьеров больше. Таблицы выгружаются в CSV
+ *
+ * Районы — GeoJSON FeatureCollection с Polygon или MultiPolygon
+ * и properties { id, name }
+ */
+
+import { calculateDistance, findAccessibleRoute, getEdgeAccessibilityLevel, isReverseAllowed } from './routing';
+import { getActiveBarriers, isBarrierBlocking, BARRIER_LABELS } from './barriers';
+import { MOBILITY_TYPES, MOBILITY_LABELS, applyPreset } from './profiles';
+import { createGrid } from './geometry';
+import { toCsv } from './csv';
+import { createRandom } from './random';
+
+export const ACCESSIBILITY_LEVELS = ['accessible', 'partial', 'inaccessible'];
+
+// Рёбра вне всех районов
+export const OUTSIDE_DISTRICT = { id: 'outside', name: 'Вне районов' };
+
+// Число поездок для оценки барьеров и наибольшее расстояние поездки по прямой, в метрах
+export const ROUTE_SAMPLE_SIZE = 40;
+const MAX_TRIP_DISTANCE = 3000;
+
+// Сколько миллисекунд подряд оцениваются поездки, прежде чем управление вернётся интерфейсу
+const CHUNK_DURATION = 30;
+
+// Сторона квадрата тепловой карты, в метрах
+export const HEATMAP_CELL_SIZE = 250;
+
+// Показатели тепловой карты
+export const HEATMAP_METRICS = {
+    inaccessible: 'Доля недоступных улиц',
+    barriers: 'Блокирующие барьеры'
+};
+
+/**
+ * Профили всех способов передвижения на основе профиля пользователя
+ * Личные настройки (например, запас на неточные данные) берутся из base
+ * @returns {Array<{ type, label, profile }>}
+ */
+export function getAnalyticsProfiles(base) {
+    return MOBILITY_TYPES.map(type => ({
+        type,
+        label: MOBILITY_LABELS[type],
+        profile: applyPreset(base, type)
+    }));
+}
+
+/**
+ * Районы из GeoJSON: кольца многоугольников в виде [[lng, lat]]
+ * @returns {Array<{ id, name, polygons: Array<Array<Array<[lng, lat]>>> }>}
+ */
+export function readDistricts(geojson) {
+    return (geojson?.features || [])
+        .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+        .map((feature, index) => ({
+            id: String(feature.properties?.id ?? feature.id ?? `district-${index + 1}`),
+            name: feature.properties?.name || `Район ${index + 1}`,
+            polygons: feature.geometry.type === 'Polygon'
+                ? [feature.geometry.coordinates]
+                : feature.geometry.coordinates
+        }));
+}
+
+// Точка внутри кольца (луч на восток)
+function isInRing(ring, lat, lng) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lngI, latI] = ring[i];
+        const [lngJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Район, в котором лежит точка, или OUTSIDE_DISTRICT
+ * Первое кольцо многоугольника — внешняя граница, остальные — вырезы
+ */
+export function findDistrict(districts, lat, lng) {
+    return districts.find(district => district.polygons.some(([outer, ...holes]) =>
+        isInRing(outer, lat, lng) && !holes.some(hole => isInRing(hole, lat, lng))
+    )) || OUTSIDE_DISTRICT;
+}
+
+// Направления, в которых можно пройти ребро; длина двустороннего ребра делится между ними
+function getTraversals(edge) {
+    return isReverseAllowed(edge)
+        ? [{ reverse: false, share: 0.5 }, { reverse: true, share: 0.5 }]
+        : [{ reverse: false, share: 1 }];
+}
+
+function createLevelTotals() {
+    return { total: 0, accessible: 0, partial: 0, inaccessible: 0 };
+}
+
+/**
+ * Протяжённость сети по уровням доступности для каждого способа передвижения,
+ * по всему городу и по районам
+ * Ребро относится к району своей середины
+ * @param {Array<{ type, label, profile }>} profiles — getAnalyticsProfiles
+ * @returns {{ network: Array<{ type, label, total, accessible, partial, inaccessible }>,
+ *   districts: Array<{ id, name, byProfile: Object<string, { total, accessible, partial, inaccessible }> }> }}
+ *   длины в метрах
+ */
+export function summarizeNetwork(edges, nodeMap, profiles, districts = [], time = Date.now()) {
+    const network = new Map(profiles.map(({ type }) => [type, createLevelTotals()]));
+    const byDistrict = new Map();
+
+    edges.forEach(edge => {
+        const from = nodeMap.get(edge.from);
+        const to = nodeMap.get(edge.to);
+        if (!from || !to) return;
+
+        const district = findDistrict(districts, (from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+        if (!byDistrict.has(district.id)) {
+            byDistrict.set(district.id, {
+                id: district.id,
+                name: district.name,
+                byProfile: Object.fromEntries(profiles.map(({ type }) => [type, createLevelTotals()]))
+            });
+        }
+        const districtTotals = byDistrict.get(district.id).byProfile;
+
+        profiles.forEach(({ type, profile }) => {
+            getTraversals(edge).forEach(({ reverse, share }) => {
+                const level = getEdgeAccessibilityLevel(edge, profile, reverse, time);
+                const length = edge.distance * share;
+                [network.get(type), districtTotals[type]].forEach(totals => {
+                    totals.total += length;
+                    totals[level] += length;
+                });
+            });
+        });
+    });
+
+    // Районы в порядке описания, «Вне районов» — последним
+    const order = [...districts, OUTSIDE_DISTRICT].map(district => district.id);
+    return {
+        network: profiles.map(({ type, label }) => ({ type, label, ...network.get(type) })),
+        districts: [...byDistrict.values()].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+    };
+}
+
+/**
+ * Доля доступной сети в процентах (частично доступные участки не входят)
+ */
+export function getAccessiblePercent(totals) {
+    return totals.total > 0 ? Math.round(totals.accessible / totals.total * 1000) / 10 : 0;
+}
+
+/**
+ * Выборка поездок между узлами графа
+ * Узлы без рёбер пропускаются, поездки длиннее MAX_TRIP_DISTANCE по прямой не берутся;
+ * при одном seed выборка одна и та же
+ * @returns {Array<{ from, to }>} id узлов
+ */
+export function sampleTrips(graph, nodes, count = ROUTE_SAMPLE_SIZE, seed = 1) {
+    const candidates = nodes.filter(node => graph.get(node.id)?.length > 0);
+    if (candidates.length < 2) return [];
+
+    const random = createRandom(seed);
+    const pick = () => candidates[Math.floor(random() * candidates.length)];
+    const trips = [];
+
+    for (let attempt = 0; attempt < count * 20 && trips.length < count; attempt++) {
+        const from = pick();
+        const to = pick();
+        if (from === to || calculateDistance(from.lat, from.lng, to.lat, to.lng) > MAX_TRIP_DISTANCE) continue;
+
+        trips.push({ from: from.id, to: to.id });
+    }
+    return trips;
+}
+
+// Пауза, за которую браузер успевает отрисовать прогресс и обработать ввод
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Барьеры, которые делают поездки невозможными
+ * Для каждой поездки и способа передвижения маршрут строится как обычно; если его
+ * нет, он строится без учёта барьеров, и блокирующие барьеры на найденном пути
+ * считаются причиной. Поездка, невозможная и без барьеров, барьерам не приписывается
+ * Поездки оцениваются порциями по CHUNK_DURATION мс, чтобы страница не зависала;
+ * onProgress получает долю оценённых поездок (0–1)
+ * @returns {Promise<{ tested, blocked, byProfile: Object<string, number>,
+ *   barriers: Array<{ barrier, routes, profiles: string[] }> }>} barriers — по убыванию routes
+ */
+export async function rankBlockingBarriers(graph, nodes, profiles, trips, { time = Date.now(), onProgress } = {}) {
+    const ranking = new Map();
+    const byProfile = Object.fromEntries(profiles.map(({ type }) => [type, 0]));
+    let blocked = 0;
+    let chunkStart = Date.now();
+
+    for (let index = 0; index < trips.length; index++) {
+        const { from, to } = trips[index];
+
+        profiles.forEach(({ type, profile }) => {
+            const route = findAccessibleRoute(graph, nodes, from, to, profile, { departureTime: time });
+            if (route.path.length > 0) return;
+
+            const detour = findAccessibleRoute(graph, nodes, from, to, { ...profile, ignoreBarriers: true }, { departureTime: time });
+            const blocking = new Set(detour.edges.flatMap(edge =>
+                getActiveBarriers(edge).filter(barrier => isBarrierBlocking(barrier, edge, profile))
+            ));
+            if (blocking.size === 0) return;
+
+            blocked++;
+            byProfile[type]++;
+            blocking.forEach(barrier => {
+                const entry = ranking.get(barrier.id) || { barrier, routes: 0, profiles: [] };
+                entry.routes++;
+                if (!entry.profiles.includes(type)) entry.profiles.push(type);
+                ranking.set(barrier.id, entry);
+            });
+        });
+
+        if (Date.now() - chunkStart >= CHUNK_DURATION && index < trips.length - 1) {
+            onProgress?.((index + 1) / trips.length);
+            await yieldToBrowser();
+            chunkStart = Date.now();
+        }
+    }
+
+    return {
+        tested: trips.length * profiles.length,
+        blocked,
+        byProfile,
+        barriers: [...ranking.values()].sort((a, b) => b.routes - a.routes)
+    };
+}
+
+/**
+ * Тепловая карта для профиля
+ * inaccessible — доля недоступной протяжённости квадрата (0–1),
+ * barriers — число блокирующих барьеров, отнесённое к максимуму по городу (0–1)
+ * @returns {Array<{ key, bounds, length, barrierCount, values: { inaccessible, barriers } }>}
+ */
+export function buildHeatmap(edges, nodeMap, profile, { time = Date.now(), cellSize = HEATMAP_CELL_SIZE } = {}) {
+    const nodes = [...nodeMap.values()];
+    const latitude = nodes.reduce((sum, node) => sum + node.lat, 0) / (nodes.length || 1);
+    const grid = createGrid(latitude, cellSize);
+    const cells = new Map();
+
+    edges.forEach(edge => {
+        const from = nodeMap.get(edge.from);
+        const to = nodeMap.get(edge.to);
+        if (!from || !to) return;
+
+        const { key, row, col } = grid.locate((from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+        if (!cells.has(key)) {
+            cells.set(key, { key, bounds: grid.getBounds(row, col), length: 0, inaccessibleLength: 0, barriers: new Set() });
+        }
+        const cell = cells.get(key);
+
+        getTraversals(edge).forEach(({ reverse, share }) => {
+            cell.length += edge.distance * share;
+            if (getEdgeAccessibilityLevel(edge, profile, reverse, time) === 'inaccessible') {
+                cell.inaccessibleLength += edge.distance * share;
+            }
+        });
+        getActiveBarriers(edge)
+            .filter(barrier => isBarrierBlocking(barrier, edge, profile))
+            .forEach(barrier => cell.barriers.add(barrier.id));
+    });
+
+    const maxBarriers = Math.max(1, ...[...cells.values()].map(cell => cell.barriers.size));
+    return [...cells.values()].map(({ inaccessibleLength, barriers, ...cell }) => ({
+        ...cell,
+        barrierCount: barriers.size,
+        values: {
+            inaccessible: cell.length > 0 ? inaccessibleLength / cell.length : 0,
+            barriers: barriers.size / maxBarriers
+        }
+    }));
+}
+
+const round = (meters) => Math.round(meters);
+
+/**
+ * Сводка по способам передвижения в CSV
+ */
+export function networkSummaryToCsv(summary) {
+    return toCsv(
+        ['profile', 'total_m', 'accessible_m', 'partial_m', 'inaccessible_m', 'accessible_percent'],
+        summary.network.map(totals => [
+            totals.label,
+            round(totals.total),
+            round(totals.accessible),
+            round(totals.partial),
+            round(totals.inaccessible),
+            getAccessiblePercent(totals)
+        ])
+    );
+}
+
+/**
+ * Сводка по районам в CSV: строка на каждую пару район — способ передвижения
+ */
+export function districtSummaryToCsv(summary, profiles) {
+    return toCsv(
+        ['district', 'profile', 'total_m', 'accessible_m', 'partial_m', 'inaccessible_m', 'accessible_percent'],
+        summary.districts.flatMap(district => profiles.map(({ type, label }) => {
+            const totals = district.byProfile[type];
+            return [
+                district.name,
+                label,
+                round(totals.total),
+                round(totals.accessible),
+                round(totals.partial),
+                round(totals.inaccessible),
+                getAccessiblePercent(totals)
+            ];
+        }))
+    );
+}
+
+/**
+ * Барьеры, блокирующие поездки, в CSV
+ */
+export function blockingBarriersToCsv(ranking) {
+    return toCsv(
+        ['barrier_id', 'type', 'description', 'lat', 'lng', 'blocked_routes', 'profiles'],
+        ranking.barriers.map(({ barrier, routes, profiles }) => [
+            barrier.id,
+            BARRIER_LABELS[barrier.type] || barrier.type,
+            barrier.description || '',
+            barrier.lat?.toFixed(6),
+            barrier.lng?.toFixed(6),
+            routes,
+            profiles.map(type => MOBILITY_LABELS[type] || type).join('; ')
+        ])
+    );
+}
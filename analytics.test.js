@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+    summarizeNetwork,
+    getAccessiblePercent,
+    rankBlockingBarriers,
+    readDistricts,
+    blockingBarriersToCsv,
+    districtSummaryToCsv
+} from './analytics';
+import { buildAdjacencyList } from './routing';
+import { DEFAULT_PROFILE } from './profiles';
+import { toCsv } from './csv';
+
+const TIME = Date.parse('2026-10-19T12:00:00');
+
+const node = (id, lat, lng) => ({ id, lat, lng });
+const edge = (id, from, to, extra = {}) => ({
+    id, from, to, distance: 100, surface: 'asphalt', curb: 0, slope: 0, width: 200, ...extra
+});
+
+// Квадратный район от (lat, lng) со стороной size градусов
+const square = (id, name, lat, lng, size) => ({
+    type: 'Feature',
+    properties: { id, name },
+    geometry: {
+        type: 'Polygon',
+        coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]]
+    }
+});
+
+const profiles = [{ type: 'wheelchair', label: 'Инвалидная коляска', profile: DEFAULT_PROFILE }];
+
+describe('summarizeNetwork', () => {
+    const nodes = [node('a1', 55.701, 37.601), node('a2', 55.702, 37.601), node('b1', 55.711, 37.601), node('b2', 55.712, 37.601)];
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    const districts = readDistricts({
+        type: 'FeatureCollection',
+        features: [square('a', 'Северный', 55.7, 37.6, 0.005), square('b', 'Южный', 55.71, 37.6, 0.005)]
+    });
+
+    it('splits network length into district percentages', () => {
+        const edges = [
+            edge('ok', 'a1', 'a2'),
+            edge('curb', 'b1', 'b2', { curb: 20, distance: 300 }),
+            edge('outside', 'a2', 'b1')
+        ];
+        const summary = summarizeNetwork(edges, nodeMap, profiles, districts, TIME);
+
+        expect(summary.districts.map(district => district.name)).toEqual(['Северный', 'Южный', 'Вне районов']);
+        const [north, south, outside] = summary.districts.map(district => district.byProfile.wheelchair);
+        expect(getAccessiblePercent(north)).toBe(100);
+        expect(getAccessiblePercent(south)).toBe(0);
+        expect(south.inaccessible).toBe(300);
+        expect(getAccessiblePercent(outside)).toBe(100);
+
+        // 200 м доступны из 500 м сети
+        expect(getAccessiblePercent(summary.network[0])).toBe(40);
+    });
+
+    it('exports district rows per profile', () => {
+        const summary = summarizeNetwork([edge('ok', 'a1', 'a2')], nodeMap, profiles, districts, TIME);
+
+        expect(districtSummaryToCsv(summary, profiles)).toBe(
+            'district,profile,total_m,accessible_m,partial_m,inaccessible_m,accessible_percent\r\n' +
+            'Северный,Инвалидная коляска,100,100,0,0,100\r\n'
+        );
+    });
+});
+
+describe('rankBlockingBarriers', () => {
+    const stairs = { id: 'stairs', type: 'stairs', severity: 'high', lat: 55.7005, lng: 37.6 };
+    const curb = { id: 'curb', type: 'curb', severity: 'low', lat: 55.7015, lng: 37.6 };
+    const nodes = [node('s', 55.7, 37.6), node('m', 55.701, 37.6), node('t', 55.702, 37.6), node('x', 55.701, 37.601)];
+    const edges = [
+        edge('sm', 's', 'm', { barriers: [stairs] }),
+        edge('mt', 'm', 't', { barriers: [curb] }),
+        edge('mx', 'm', 'x')
+    ];
+    const graph = buildAdjacencyList(nodes, edges);
+
+    it('ranks barriers by the number of trips they block', async () => {
+        const trips = [{ from: 's', to: 't' }, { from: 's', to: 'x' }, { from: 'm', to: 't' }];
+        const ranking = await rankBlockingBarriers(graph, nodes, profiles, trips, { time: TIME });
+
+        expect(ranking.tested).toBe(3);
+        expect(ranking.blocked).toBe(2);
+        expect(ranking.byProfile.wheelchair).toBe(2);
+        expect(ranking.barriers.map(({ barrier, routes }) => [barrier.id, routes])).toEqual([['stairs', 2]]);
+    });
+
+    it('yields between chunks and reports progress', async () => {
+        const trips = Array.from({ length: 4 }, () => ({ from: 's', to: 't' }));
+        const onProgress = vi.fn();
+        // Каждая поездка «занимает» больше порции времени
+        let now = TIME;
+        const clock = vi.spyOn(Date, 'now').mockImplementation(() => (now += 50));
+
+        try {
+            const ranking = await rankBlockingBarriers(graph, nodes, profiles, trips, { time: TIME, onProgress });
+            expect(ranking.barriers[0].routes).toBe(4);
+        } finally {
+            clock.mockRestore();
+        }
+
+        expect(onProgress.mock.calls.map(([share]) => share)).toEqual([0.25, 0.5, 0.75]);
+    });
+});
+
+describe('CSV export', () => {
+    it('quotes cells with commas, quotes and line breaks', () => {
+        expect(toCsv(['a', 'b'], [['x, y', 'он сказал "нет"'], ['две\nстроки', null]])).toBe(
+            'a,b\r\n"x, y","он сказал ""нет"""\r\n"две\nстроки",\r\n'
+        );
+    });
+
+    it('escapes barrier descriptions in the blocking barriers table', () => {
+        const barrier = { id: 'b1', type: 'stairs', description: 'Лестница "к метро", 5 ступеней', lat: 55.7, lng: 37.6 };
+        const csv = blockingBarriersToCsv({ barriers: [{ barrier, routes: 3, profiles: ['wheelchair', 'stroller'] }] });
+
+        expect(csv.split('\r\n')[1]).toBe(
+            'b1,Лестница,"Лестница ""к метро"", 5 ступеней",55.700000,37.600000,3,Инвалидная коляска; Детская коляска'
+        );
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Барьеры на рёбрах графа
+ * Привязка отмеченных на карте барьеров к рёбрам и правила,
+ * по которым барьер влияет на доступность и вес ребра
+ */
+
+// Максимальное расстояние от барьера до ребра при привязке по близости, в метрах
+export const BARRIER_LINK_DISTANCE = 15;
+
+// Названия типов барьеров
+export const BARRIER_LABELS = {
+    stairs: 'Лестница',
+    curb: 'Бордюр',
+    repair: 'Ремонт',
+    narrow: 'Узкий проход',
+    slope: 'Уклон',
+    surface: 'Покрытие',
+    ramp: 'Пандус',
+};
+
+// Множитель веса ребра по серьёзности барьера
+const SEVERITY_PENALTY = {
+    none: 1.0,
+    low: 1.1,
+    medium: 1.3,
+    high: 1.6
+};
+
+// Дополнительный множитель по типу барьера
+const TYPE_PENALTY = {
+    stairs: 2.0,
+    repair: 1.5
+};
+
+// Лестница непроходима для колёсного транспорта при любой серьёзности
+const STAIRS_BLOCKED = ['wheelchair', 'wheelchair_assisted', 'stroller'];
+
+// Для кого барьер непроходим при серьёзности high
+const BLOCKED_AT_HIGH_SEVERITY = {
+    curb: ['wheelchair', 'stroller'],
+    narrow: ['wheelchair', 'wheelchair_assisted', 'stroller'],
+    slope: ['wheelchair']
+};
+
+/**
+ * Есть ли на ребре пандус: атрибут ребра или привязанный барьер типа ramp
+ */
+export function hasRamp(edge) {
+    return !!edge.hasRamp || (edge.barriers || []).some(barrier => barrier.type === 'ramp');
+}
+
+/**
+ * Барьеры ребра, которые мешают движению (пандусы и барьеры без угрозы не учитываются)
+ */
+export function getActiveBarriers(edge) {
+    return (edge.barriers || []).filter(barrier =>
+        barrier.type !== 'ramp' && barrier.severity !== 'none'
+    );
+}
+
+/**
+ * Делает ли барьер ребро непроходимым для профиля
+ */
+export function isBarrierBlocking(barrier, edge, profile) {
+    if (barrier.type === 'ramp' || barrier.severity === 'none') {
+        return false;
+    }
+
+    if (barrier.type === 'stairs') {
+        return STAIRS_BLOCKED.includes(profile.mobilityType);
+    }
+
+    // Пандус снимает ограничение по бордюру
+    if (barrier.type === 'curb' && hasRamp(edge)) {
+        return false;
+    }
+
+    return barrier.severity === 'high' &&
+        (BLOCKED_AT_HIGH_SEVERITY[barrier.type] || []).includes(profile.mobilityType);
+}
+
+/**
+ * Множитель веса ребра за барьер
+ */
+export function getBarrierPenalty(barrier, edge) {
+    if (barrier.type === 'ramp' || (barrier.type === 'curb' && hasRamp(edge))) {
+        return 1.0;
+    }
+
+    return (SEVERITY_PENALTY[barrier.severity] ?? SEVERITY_PENALTY.medium) *
+        (TYPE_PENALTY[barrier.type] ?? 1.0);
+}
+
+/**
+ * Описание барьера для списка проблем маршрута
+ */
+export function describeBarrier(barrier) {
+    const label = BARRIER_LABELS[barrier.type] || 'Барьер';
+    return barrier.description
+        ? `${label} (${barrier.id}): ${barrier.description}`
+        : `${label} (${barrier.id})`;
+}
+
+/**
+ * Привязывает барьеры к рёбрам
+ * Барьер с edgeId привязывается к ребру с таким id, остальные —
+ * к ближайшему ребру не дальше BARRIER_LINK_DISTANCE
+ * @param {object} edgeIndex — индекс исходных рёбер (buildEdgeIndex)
+ * @returns {Array} рёбра; у рёбер с барьерами — копии с полем barriers
+ */
+export function attachBarriersToEdges(edges, barriers, edgeIndex) {
+    const edgesById = new Map(edges.filter(edge => edge.id !== undefined).map(edge => [edge.id, edge]));
+    const barriersByEdge = new Map();
+
+    barriers.forEach(barrier => {
+        let edge = barrier.edgeId !== undefined ? edgesById.get(barrier.edgeId) : null;
+
+        if (!edge) {
+            const [nearest] = edgeIndex.nearest(barrier, 1, BARRIER_LINK_DISTANCE);
+            edge = nearest?.item;
+        }
+
+        if (!edge) return;
+
+        if (!barriersByEdge.has(edge)) {
+            barriersByEdge.set(edge, []);
+        }
+        barriersByEdge.get(edge).push(barrier);
+    });
+
+    return edges.map(edge => barriersByEdge.has(edge)
+        ? { ...edge, barriers: [...(edge.barriers || []), ...barriersByEdge.get(edge)] }
+        : edge
+    );
+}
@@ -0,0 +1,23 @@
+/**
+ * Выгрузка таблиц в CSV
+ * Разделитель — запятая, строки с разделителем, кавычками или переносом
+ * берутся в кавычки (RFC 4180)
+ */
+
+function escapeCell(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Текст CSV из заголовка и строк
+ * @param {string[]} header
+ * @param {Array<Array>} rows
+ */
+export function toCsv(header, rows) {
+    return [header, ...rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,345 @@
+/**
+ * Диагностика ненайденного маршрута
+ * Определяет, какие ограничения профиля разрывают связность,
+ * и предлагает минимальное ослабление, открывающее маршрут
+ */
+
+import { findAccessibleRoute, isEdgeAccessible, getDirectedSlope, isReverseAllowed } from './routing';
+import { getActiveBarriers, isBarrierBlocking, describeBarrier } from './barriers';
+import { getActiveRestrictions, describeRestriction } from './restrictions';
+import { getLongestStretch } from './rests';
+import { getProfileMargins } from './provenance';
+
+// Шаг, с которым предлагается расстояние между отдыхами, в метрах
+const REST_DISTANCE_STEP = 50;
+
+// Профиль без ограничений доступности (направления рёбер, барьеры и перекрытия сохраняются)
+const RELAXED_LIMITS = {
+    maxCurbHeight: Infinity,
+    maxSlopeUp: Infinity,
+    maxSlopeDown: Infinity,
+    minWidth: 0,
+    maxSteps: Infinity,
+    maxRestDistance: 0,
+    allowRepair: true
+};
+
+// Пояснение к значению, проверенному с запасом из-за неточных данных
+function describeMargin(value, margin, unit) {
+    return margin ? `, данные неточные — с запасом ${value} ${unit}` : '';
+}
+
+// Ограничения профиля, которые можно ослабить
+const CONSTRAINTS = [
+    {
+        key: 'maxCurbHeight',
+        getValue: (edge, reverse, margins) => edge.curb + margins.curb,
+        describe: (edge, reverse, profile, time) => {
+            const margins = getProfileMargins(edge, profile, time);
+            return `Бордюр ${edge.curb} см без пандуса${describeMargin(edge.curb + margins.curb, margins.curb, 'см')} (допустимо ${profile.maxCurbHeight} см)`;
+        },
+        suggest: (value) => `Увеличить макс. высоту бордюра до ${value} см`
+    },
+    {
+        key: 'maxSlopeUp',
+        getValue: (edge, reverse, margins) => getDirectedSlope(edge, reverse) + margins.slope,
+        describe: (edge, reverse, profile, time) => {
+            const slope = getDirectedSlope(edge, reverse);
+            const margins = getProfileMargins(edge, profile, time);
+            return `Подъём ${slope}%${describeMargin(slope + margins.slope, margins.slope, '%')} (допустимо ${profile.maxSlopeUp ?? profile.maxSlope}%)`;
+        },
+        suggest: (value) => `Увеличить макс. подъём до ${value}%`
+    },
+    {
+        key: 'maxSlopeDown',
+        getValue: (edge, reverse, margins) => -getDirectedSlope(edge, reverse) + margins.slope,
+        describe: (edge, reverse, profile, time) => {
+            const slope = -getDirectedSlope(edge, reverse);
+            const margins = getProfileMargins(edge, profile, time);
+            return `Спуск ${slope}%${describeMargin(slope + margins.slope, margins.slope, '%')} (допустимо ${profile.maxSlopeDown ?? profile.maxSlope}%)`;
+        },
+        suggest: (value) => `Увеличить макс. спуск до ${value}%`
+    },
+    {
+        key: 'minWidth',
+        lowerIsRelaxed: true,
+        getValue: (edge, reverse, margins) => edge.width - margins.width,
+        describe: (edge, reverse, profile, time) => {
+            const margins = getProfileMargins(edge, profile, time);
+            return `Ширина прохода ${edge.width} см${describeMargin(edge.width - margins.width, margins.width, 'см')} (нужно ${profile.minWidth} см)`;
+        },
+        suggest: (value) => `Уменьшить мин. ширину прохода до ${value} см`
+    },
+    {
+        key: 'maxSteps',
+        getValue: (edge) => edge.stepCount,
+        describe: (edge, reverse, profile) => `Ступени: ${edge.stepCount} (допустимо ${profile.maxSteps})`,
+        suggest: (value) => `Разрешить участки до ${value} ступеней`
+    },
+    {
+        // Ограничение всего пути, а не отдельного ребра
+        key: 'maxRestDistance',
+        pathLevel: true,
+        suggest: (value) => `Увеличить расстояние между остановками для отдыха до ${value} м`
+    },
+    {
+        key: 'allowRepair',
+        boolean: true,
+        getValue: () => true,
+        describe: () => 'Участок закрыт на ремонт',
+        suggest: () => 'Разрешить участки с ремонтом'
+    },
+    {
+        // Непроходимые барьеры нельзя снять настройкой профиля
+        key: 'ignoreBarriers',
+        boolean: true,
+        relaxable: false,
+        getValue: () => true,
+        describe: (edge, reverse, profile) => getActiveBarriers(edge)
+            .filter(barrier => isBarrierBlocking(barrier, edge, profile))
+            .map(describeBarrier)
+            .join('; ')
+    },
+    {
+        // Перекрытые на время участки тоже не зависят от профиля
+        key: 'ignoreClosures',
+        boolean: true,
+        relaxable: false,
+        getValue: () => true,
+        describe: (edge, reverse, profile, time) => getActiveRestrictions(edge, time)
+            .filter(restriction => restriction.closed)
+            .map(describeRestriction)
+            .join('; ')
+    }
+];
+
+// Ограничения, которые не снимаются настройкой профиля
+const FIXED_OBSTACLES = { ignoreBarriers: true, ignoreClosures: true };
+
+// Профиль, в котором действует только одно ограничение исходного профиля
+function isolateConstraint(profile, key) {
+    const isolated = { ...profile, ...RELAXED_LIMITS, ...FIXED_OBSTACLES };
+    if (key === 'maxSlopeUp' || key === 'maxSlopeDown') {
+        isolated[key] = profile[key] ?? profile.maxSlope;
+    } else {
+        isolated[key] = profile[key];
+    }
+    return isolated;
+}
+
+// Ограничения, из-за которых ребро недоступно в данном направлении
+function getBlockingConstraints(edge, profile, reverse, time) {
+    return CONSTRAINTS.filter(constraint =>
+        !constraint.pathLevel &&
+        !isEdgeAccessible(edge, isolateConstraint(profile, constraint.key), reverse, time)
+    );
+}
+
+// Наименьшее расстояние между отдыхами, при котором пройден маршрут, с округлением вверх
+function getRequiredRestDistance(route, nodes) {
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    return Math.ceil(getLongestStretch(route, nodeMap) / REST_DISTANCE_STEP) * REST_DISTANCE_STEP;
+}
+
+// Все допустимые проходы рёбер графа: { edge, reverse }
+function getTraversals(edges) {
+    const traversals = [];
+    edges.forEach(edge => {
+        traversals.push({ edge, reverse: false });
+        if (isReverseAllowed(edge)) {
+            traversals.push({ edge, reverse: true });
+        }
+    });
+    return traversals;
+}
+
+// Рёбра маршрута, недоступные в исходном профиле, с причинами
+function describeBlockingEdges(route, profile, time) {
+    const blocking = [];
+
+    route.edges.forEach((edge, idx) => {
+        const reverse = route.reversed[idx];
+        const constraints = getBlockingConstraints(edge, profile, reverse, time);
+
+        if (constraints.length > 0) {
+            blocking.push({
+                edge,
+                reverse,
+                constraints: constraints.map(constraint => constraint.key),
+                reasons: constraints.map(constraint => constraint.describe(edge, reverse, profile, time))
+            });
+        }
+    });
+
+    return blocking;
+}
+
+/**
+ * Минимальное значение одного ограничения, при котором маршрут находится
+ * Остальные ограничения профиля остаются как есть
+ */
+function findMinimalRelaxation(graph, nodes, startId, endId, profile, constraint, traversals, departureTime) {
+    const route = (value) => findAccessibleRoute(
+        graph, nodes, startId, endId, { ...profile, [constraint.key]: value }, { departureTime }
+    );
+
+    if (constraint.relaxable === false) return null;
+
+    // Ограничение пути: наименьший предел ищется двоичным поиском с шагом REST_DISTANCE_STEP
+    // между текущим значением и пределом, достаточным для маршрута без ограничения
+    if (constraint.pathLevel) {
+        if (!profile[constraint.key]) return null;
+
+        const unlimited = route(0);
+        if (unlimited.notFound) return null;
+
+        let low = Math.floor(profile[constraint.key] / REST_DISTANCE_STEP) + 1;
+        let high = getRequiredRestDistance(unlimited, nodes) / REST_DISTANCE_STEP;
+        let found = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const result = route(mid * REST_DISTANCE_STEP);
+
+            if (result.notFound) {
+                low = mid + 1;
+            } else {
+                found = { value: mid * REST_DISTANCE_STEP, route: result };
+                high = mid - 1;
+            }
+        }
+
+        return found;
+    }
+
+    if (constraint.boolean) {
+        if (profile[constraint.key]) return null;
+        const result = route(true);
+        return result.notFound ? null : { value: true, route: result };
+    }
+
+    // Кандидаты — значения заблокированных этим ограничением рёбер, от мягкого ослабления к сильному
+    const values = new Set();
+    traversals.forEach(({ edge, reverse }) => {
+        if (!isEdgeAccessible(edge, isolateConstraint(profile, constraint.key), reverse, departureTime)) {
+            const value = constraint.getValue(edge, reverse, getProfileMargins(edge, profile, departureTime));
+            if (typeof value === 'number' && !Number.isNaN(value)) {
+                values.add(value);
+            }
+        }
+    });
+
+    const candidates = [...values].sort((a, b) => constraint.lowerIsRelaxed ? b - a : a - b);
+    if (candidates.length === 0) return null;
+
+    // Доступность только растёт при ослаблении, поэтому подходит двоичный поиск
+    let low = 0;
+    let high = candidates.length - 1;
+    let found = null;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const result = route(candidates[mid]);
+
+        if (result.notFound) {
+            low = mid + 1;
+        } else {
+            found = { value: candidates[mid], route: result };
+            high = mid - 1;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Объясняет, почему маршрут между двумя узлами не найден
+ * options.departureTime — время отправления, как при поиске маршрута;
+ * временные ограничения проверяются на этот момент
+ * @returns {{
+ *   connected: boolean,
+ *   relaxations: Array<{ key: string, value: number|boolean, changes: object, message: string, blockingEdges: Array }>,
+ *   combined: { changes: object, messages: string[] } | null,
+ *   blockingEdges: Array<{ edge: object, reverse: boolean, constraints: string[], reasons: string[] }>
+ * }}
+ */
+export function diagnoseNoRoute(graph, nodes, edges, startId, endId, profile, options = {}) {
+    const departureTime = new Date(options.departureTime ?? Date.now()).getTime();
+    const route = (routeProfile) => findAccessibleRoute(graph, nodes, startId, endId, routeProfile, { departureTime });
+
+    // Есть ли путь без учёта ограничений профиля
+    const relaxedRoute = route({ ...profile, ...RELAXED_LIMITS });
+
+    if (relaxedRoute.notFound || relaxedRoute.path.length === 0) {
+        // Есть ли путь вообще, если не считать барьеров и перекрытий
+        const unblockedRoute = route({ ...profile, ...RELAXED_LIMITS, ...FIXED_OBSTACLES });
+
+        if (unblockedRoute.notFound || unblockedRoute.path.length === 0) {
+            return { connected: false, relaxations: [], combined: null, blockingEdges: [] };
+        }
+
+        // Путь перекрыт барьерами или перекрытиями, которые профилем не обойти
+        return {
+            connected: true,
+            relaxations: [],
+            combined: null,
+            blockingEdges: describeBlockingEdges(unblockedRoute, profile, departureTime)
+        };
+    }
+
+    const traversals = getTraversals(edges);
+
+    // Ослабления по одному ограничению
+    const relaxations = [];
+    CONSTRAINTS.forEach(constraint => {
+        const relaxation = findMinimalRelaxation(
+            graph, nodes, startId, endId, profile, constraint, traversals, departureTime
+        );
+        if (relaxation) {
+            relaxations.push({
+                key: constraint.key,
+                value: relaxation.value,
+                changes: { [constraint.key]: relaxation.value },
+                message: constraint.suggest(relaxation.value),
+                blockingEdges: describeBlockingEdges(relaxation.route, profile, departureTime)
+            });
+        }
+    });
+
+    // Рёбра, которые мешают на лучшем пути без ограничений
+    const blockingEdges = describeBlockingEdges(relaxedRoute, profile, departureTime);
+
+    // Совместное ослабление: пределы, достаточные для лучшего пути без ограничений
+    let combined = null;
+    if (relaxations.length === 0) {
+        const changes = {};
+
+        blockingEdges.forEach(({ edge, reverse, constraints }) => {
+            constraints.forEach(key => {
+                const constraint = CONSTRAINTS.find(c => c.key === key);
+                const value = constraint.getValue(edge, reverse, getProfileMargins(edge, profile, departureTime));
+
+                if (constraint.boolean || changes[key] === undefined) {
+                    changes[key] = value;
+                } else {
+                    changes[key] = constraint.lowerIsRelaxed
+                        ? Math.min(changes[key], value)
+                        : Math.max(changes[key], value);
+                }
+            });
+        });
+
+        if (profile.maxRestDistance) {
+            changes.maxRestDistance = getRequiredRestDistance(relaxedRoute, nodes);
+        }
+
+        combined = {
+            changes,
+            messages: Object.entries(changes).map(([key, value]) =>
+                CONSTRAINTS.find(c => c.key === key).suggest(value)
+            )
+        };
+    }
+
+    return { connected: true, relaxations, combined, blockingEdges };
+}
@@ -0,0 +1,319 @@
+/**
+ * Приём данных облёта дронами
+ * Пакет полёта содержит обнаружения системы компьютерного зрения. Одно и то же
+ * препятствие попадает в несколько кадров и полётов, поэтому обнаружения
+ * одного типа рядом друг с другом объединяются, классы детектора переводятся
+ * в типы барьеров, а результат сравнивается с известными барьерами.
+ * Получаются кандидаты на новые или уточнённые барьеры для проверки модератором;
+ * повторный облёт того же препятствия дополняет кандидата, который уже ждёт проверки
+ *
+ * Пакет — JSON { flightId, droneId?, startedAt?, detections: Detection[] }
+ * или GeoJSON FeatureCollection точек, где свойства полёта лежат
+ * в properties коллекции, а свойства обнаружения — в properties точки
+ *
+ * Detection: { class, confidence (0–1), lat, lng, altitude (м), timestamp, image }
+ */
+
+import { calculateDistance } from './routing';
+
+// Классы детектора и соответствующие типы барьеров
+export const DETECTION_CLASSES = {
+    stairs: 'stairs',
+    steps: 'stairs',
+    staircase: 'stairs',
+    curb: 'curb',
+    kerb: 'curb',
+    high_curb: 'curb',
+    narrow_passage: 'narrow',
+    narrow_sidewalk: 'narrow',
+    bollard: 'narrow',
+    construction: 'repair',
+    roadworks: 'repair',
+    repair: 'repair',
+    fence: 'repair',
+    steep_slope: 'slope',
+    slope: 'slope',
+    ramp: 'ramp',
+    wheelchair_ramp: 'ramp',
+    pothole: 'surface',
+    damaged_surface: 'surface',
+    cobblestone: 'surface'
+};
+
+// Обнаружения с меньшей уверенностью отбрасываются
+export const MIN_CONFIDENCE = 0.5;
+
+// Радиус объединения обнаружений: погрешность на земле растёт с высотой полёта
+const MERGE_BASE_DISTANCE = 3;
+const MERGE_DISTANCE_PER_ALTITUDE = 0.05;
+
+// Кандидат ближе этого расстояния к известному барьеру того же типа уточняет его, в метрах
+const MATCH_DISTANCE = 10;
+
+// Уверенность не доводится до 100%: подтверждение за модератором
+const MAX_CONFIDENCE = 0.99;
+
+// Причины, по которым обнаружение не принято
+export const REJECT_REASONS = {
+    invalid: 'Нет координат или класса',
+    unknownClass: 'Неизвестный класс',
+    lowConfidence: 'Низкая уверенность'
+};
+
+function toDetection(raw, lat, lng) {
+    return {
+        class: raw.class ?? raw.label,
+        confidence: Number(raw.confidence),
+        lat: Number(lat),
+        lng: Number(lng),
+        altitude: Number(raw.altitude) || 0,
+        timestamp: raw.timestamp || null,
+        image: raw.image || raw.imageUrl || null
+    };
+}
+
+/**
+ * Разбор пакета полёта
+ * Отдельные неверные обнаружения не мешают остальным и попадают в rejected
+ * @param {string | object} input — текст или объект JSON/GeoJSON
+ * @returns {{ flightId, droneId, startedAt, detections: Array, rejected: Array<{ detection, reason }> }}
+ * @throws {Error} если пакет целиком не распознан
+ */
+export function readFlightPackage(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch {
+            throw new Error('Пакет полёта повреждён');
+        }
+    }
+
+    let meta;
+    let raw;
+    if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        meta = data.properties || {};
+        raw = data.features.map(feature => {
+            const [lng, lat, altitude] = feature.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+            return toDetection({ altitude, ...feature.properties }, lat, lng);
+        });
+    } else if (Array.isArray(data?.detections)) {
+        meta = data;
+        raw = data.detections.map(detection => toDetection(detection, detection.lat, detection.lng));
+    } else {
+        throw new Error('Это не пакет полёта: нет обнаружений');
+    }
+
+    if (!meta.flightId) {
+        throw new Error('В пакете полёта не указан flightId');
+    }
+    const flightId = String(meta.flightId);
+
+    const detections = [];
+    const rejected = [];
+    raw.forEach(detection => {
+        let reason = null;
+        if (!detection.class || !Number.isFinite(detection.lat) || !Number.isFinite(detection.lng)) {
+            reason = REJECT_REASONS.invalid;
+        } else if (!DETECTION_CLASSES[detection.class]) {
+            reason = REJECT_REASONS.unknownClass;
+        } else if (!(detection.confidence >= MIN_CONFIDENCE)) {
+            reason = REJECT_REASONS.lowConfidence;
+        }
+
+        if (reason) {
+            rejected.push({ detection, reason });
+        } else {
+            detections.push({ ...detection, type: DETECTION_CLASSES[detection.class], flightId });
+        }
+    });
+
+    return {
+        flightId,
+        droneId: meta.droneId || null,
+        startedAt: meta.startedAt || null,
+        detections,
+        rejected
+    };
+}
+
+function getMergeDistance(detection) {
+    return MERGE_BASE_DISTANCE + detection.altitude * MERGE_DISTANCE_PER_ALTITUDE;
+}
+
+/**
+ * Объединение обнаружений одного препятствия
+ * Обнаружения перебираются от самых уверенных; каждое присоединяется к ближайшей
+ * группе того же типа в пределах радиуса, иначе начинает новую. Центр группы —
+ * среднее координат, взвешенное по уверенности
+ * @returns {Array<{ type, lat, lng, radius, detections: Array }>}
+ */
+export function clusterDetections(detections) {
+    const clusters = [];
+    const sorted = [...detections].sort((a, b) => b.confidence - a.confidence);
+
+    sorted.forEach(detection => {
+        let best = null;
+        let bestDistance = Infinity;
+
+        clusters.forEach(cluster => {
+            if (cluster.type !== detection.type) return;
+
+            const distance = calculateDistance(cluster.lat, cluster.lng, detection.lat, detection.lng);
+            if (distance <= Math.max(cluster.radius, getMergeDistance(detection)) && distance < bestDistance) {
+                best = cluster;
+                bestDistance = distance;
+            }
+        });
+
+        if (!best) {
+            clusters.push({
+                type: detection.type,
+                lat: detection.lat,
+                lng: detection.lng,
+                radius: getMergeDistance(detection),
+                weight: detection.confidence,
+                detections: [detection]
+            });
+            return;
+        }
+
+        const weight = best.weight + detection.confidence;
+        best.lat = (best.lat * best.weight + detection.lat * detection.confidence) / weight;
+        best.lng = (best.lng * best.weight + detection.lng * detection.confidence) / weight;
+        best.weight = weight;
+        best.radius = Math.max(best.radius, getMergeDistance(detection));
+        best.detections.push(detection);
+    });
+
+    return clusters.map(({ weight, ...cluster }) => cluster);
+}
+
+/**
+ * Общая уверенность группы
+ * Кадры одного полёта не независимы, от полёта берётся лучший кадр; разные
+ * полёты подтверждают друг друга: 1 − Π(1 − уверенность полёта)
+ */
+export function getClusterConfidence(cluster) {
+    const byFlight = new Map();
+    cluster.detections.forEach(detection => {
+        byFlight.set(detection.flightId, Math.max(byFlight.get(detection.flightId) || 0, detection.confidence));
+    });
+
+    const missed = [...byFlight.values()].reduce((product, confidence) => product * (1 - confidence), 1);
+    return Math.min(MAX_CONFIDENCE, 1 - missed);
+}
+
+// Одно и то же обнаружение из повторно загруженного пакета
+function getDetectionKey(detection) {
+    return [detection.flightId, detection.timestamp, detection.class, detection.lat, detection.lng].join('|');
+}
+
+// Сводка по обнаружениям одного препятствия; центр — среднее, взвешенное по уверенности
+function summarizeDetections(type, detections) {
+    const weight = detections.reduce((sum, detection) => sum + detection.confidence, 0);
+    const timestamps = detections.map(detection => detection.timestamp).filter(Boolean).sort();
+
+    return {
+        type,
+        lat: detections.reduce((sum, detection) => sum + detection.lat * detection.confidence, 0) / weight,
+        lng: detections.reduce((sum, detection) => sum + detection.lng * detection.confidence, 0) / weight,
+        confidence: getClusterConfidence({ detections }),
+        detectionCount: detections.length,
+        flightIds: [...new Set(detections.map(detection => detection.flightId))],
+        firstSeen: timestamps[0] || null,
+        lastSeen: timestamps[timestamps.length - 1] || null,
+        images: [...new Set(detections.map(detection => detection.image).filter(Boolean))],
+        classes: [...new Set(detections.map(detection => detection.class))],
+        detections
+    };
+}
+
+// Ближайший объект того же типа не дальше MATCH_DISTANCE
+function findMatch(items, cluster, isAvailable = () => true) {
+    return items
+        .filter(item => item.type === cluster.type && isAvailable(item))
+        .map(item => ({ item, distance: calculateDistance(cluster.lat, cluster.lng, item.lat, item.lng) }))
+        .filter(({ distance }) => distance <= MATCH_DISTANCE)
+        .sort((a, b) => a.distance - b.distance)[0];
+}
+
+/**
+ * Кандидаты на изменения барьеров по пакетам полётов
+ * Группа рядом с кандидатом, который уже ждёт модерации, дополняет его:
+ * возвращается тот же кандидат (с тем же id) с объединёнными обнаружениями.
+ * Остальные группы сопоставляются с известными барьерами
+ * @param {Array} flights — результаты readFlightPackage
+ * @param {Array} barriers — известные барьеры
+ * @param {Array} pending — кандидаты, ожидающие модерации
+ * @returns {Array<{ id, action: 'create' | 'update', barrierId?, movedBy?, type, lat, lng, confidence,
+ *   detectionCount, flightIds, firstSeen, lastSeen, images, classes, detections }>}
+ */
+export function createBarrierCandidates(flights, barriers = [], pending = []) {
+    const detections = flights.flatMap(flight => flight.detections);
+    const barriersById = new Map(barriers.map(barrier => [barrier.id, barrier]));
+    // Барьеры, которые уже уточняются кандидатами в очереди
+    const usedBarriers = new Set(pending.map(candidate => candidate.barrierId).filter(id => id !== undefined));
+    // Новые обнаружения кандидатов в очереди
+    const additions = new Map();
+    const candidates = [];
+
+    clusterDetections(detections).forEach(cluster => {
+        const queued = findMatch(pending, cluster);
+        if (queued) {
+            const added = additions.get(queued.item) || [];
+            additions.set(queued.item, [...added, ...cluster.detections]);
+            return;
+        }
+
+        const candidate = summarizeDetections(cluster.type, cluster.detections);
+
+        // Ближайший ещё не сопоставленный барьер того же типа
+        const match = findMatch(barriers, cluster, barrier => !usedBarriers.has(barrier.id));
+        if (match) {
+            usedBarriers.add(match.item.id);
+            candidates.push({
+                id: `drone-${match.item.id}`,
+                action: 'update',
+                barrierId: match.item.id,
+                movedBy: Math.round(match.distance * 10) / 10,
+                ...candidate
+            });
+            return;
+        }
+
+        candidates.push({
+            id: `drone-${cluster.type}-${cluster.lat.toFixed(6)}-${cluster.lng.toFixed(6)}`,
+            action: 'create',
+            ...candidate
+        });
+    });
+
+    // Кандидаты в очереди с новыми обнаружениями; повторно загруженные обнаружения не учитываются
+    additions.forEach((added, queued) => {
+        const known = new Set((queued.detections || []).map(getDetectionKey));
+        const fresh = added.filter(detection => !known.has(getDetectionKey(detection)));
+        if (fresh.length === 0) return;
+
+        const merged = { ...queued, ...summarizeDetections(queued.type, [...(queued.detections || []), ...fresh]) };
+        const barrier = barriersById.get(queued.barrierId);
+        if (barrier) {
+            merged.movedBy = Math.round(calculateDistance(merged.lat, merged.lng, barrier.lat, barrier.lng) * 10) / 10;
+        }
+        candidates.push(merged);
+    });
+
+    return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Описание кандидата для модератора
+ */
+export function describeCandidate(candidate) {
+    const confidence = `уверенность ${Math.round(candidate.confidence * 100)}%`;
+    const seen = `обнаружений: ${candidate.detectionCount}, полётов: ${candidate.flightIds.length}`;
+    const action = candidate.action === 'update'
+        ? `Уточнение барьера ${candidate.barrierId}${candidate.movedBy >= 1 ? `, смещение ${candidate.movedBy} м` : ''}`
+        : 'Новый барьер';
+    return `${action} по данным дрона: ${seen}, ${confidence}`;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { readFlightPackage, createBarrierCandidates } from './droneSurvey';
+
+// Смещение на север в метрах
+const north = (meters) => meters / 111320;
+
+function flight(flightId, detections) {
+    return readFlightPackage({
+        flightId,
+        detections: detections.map((detection, index) => ({
+            class: 'stairs',
+            confidence: 0.8,
+            lng: 37.6,
+            altitude: 20,
+            timestamp: `2026-10-0${index + 1}T10:00:00Z`,
+            image: `${flightId}-${index}.jpg`,
+            ...detection
+        }))
+    });
+}
+
+describe('createBarrierCandidates', () => {
+    const first = flight('f1', [{ lat: 55.75 }, { lat: 55.75 + north(1) }]);
+    const [pending] = createBarrierCandidates([first]);
+
+    it('extends a pending candidate when another flight sees the same object', () => {
+        const second = flight('f2', [{ lat: 55.75 + north(6), confidence: 0.7 }]);
+        const candidates = createBarrierCandidates([second], [], [pending]);
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0].id).toBe(pending.id);
+        expect(candidates[0].action).toBe('create');
+        expect(candidates[0].detectionCount).toBe(3);
+        expect(candidates[0].flightIds).toEqual(['f1', 'f2']);
+        expect(candidates[0].confidence).toBeGreaterThan(pending.confidence);
+    });
+
+    it('ignores detections that are already in the pending candidate', () => {
+        expect(createBarrierCandidates([first], [], [pending])).toEqual([]);
+    });
+
+    it('queues objects of another type or farther away as new candidates', () => {
+        const other = flight('f3', [
+            { lat: 55.75 + north(3), class: 'curb' },
+            { lat: 55.75 + north(40) }
+        ]);
+        const candidates = createBarrierCandidates([other], [], [pending]);
+
+        expect(candidates.map(candidate => [candidate.type, candidate.action])).toEqual([
+            ['curb', 'create'],
+            ['stairs', 'create']
+        ]);
+        expect(candidates.every(candidate => candidate.id !== pending.id)).toBe(true);
+    });
+
+    it('keeps the known barrier of a pending update', () => {
+        const barrier = { id: 'b1', type: 'stairs', lat: 55.75 + north(2), lng: 37.6 };
+        const [update] = createBarrierCandidates([first], [barrier]);
+        const second = flight('f2', [{ lat: 55.75 + north(8) }]);
+        const [merged] = createBarrierCandidates([second], [barrier], [update]);
+
+        expect(update.action).toBe('update');
+        expect(merged.id).toBe(update.id);
+        expect(merged.barrierId).toBe('b1');
+        expect(merged.detectionCount).toBe(3);
+    });
+});
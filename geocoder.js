@@ -0,0 +1,192 @@
+/**
+ * Поиск адресов и мест по названию
+ *
+ * Геокодер — адаптер с интерфейсом:
+ *   search(query, { limit, near }) → Promise<Place[]>
+ * Локальный справочник собирается из названий узлов графа и доступных мест
+ * и работает без сети; адреса города ищет удалённый геокодер с тем же
+ * интерфейсом, несколько геокодеров объединяются createCombinedGeocoder
+ *
+ * Place: { id, name, lat, lng, kind: 'node' | 'poi' | 'address', description? }
+ */
+
+import { calculateDistance } from './routing';
+import { POI_CATEGORIES } from './pois';
+
+// Поиск начинается с такой длины запроса
+export const MIN_QUERY_LENGTH = 2;
+
+// Сколько вариантов показывать по умолчанию
+export const SEARCH_LIMIT = 8;
+
+// Места ближе этого расстояния с тем же названием считаются одним, в метрах
+const DUPLICATE_DISTANCE = 30;
+
+// Качество совпадения: чем меньше, тем выше в списке
+const MATCH_RANK = {
+    exact: 0,
+    prefix: 1,
+    words: 2,
+    substring: 3,
+    description: 4
+};
+
+/**
+ * Текст для сравнения: нижний регистр, «ё» как «е», без знаков препинания
+ */
+export function normalizeText(text) {
+    return text
+        .toLowerCase()
+        .replace(/ё/g, 'е')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Ранг совпадения названия с запросом или null, если не совпадает
+function getMatchRank(name, query) {
+    if (name === query) return MATCH_RANK.exact;
+    if (name.startsWith(query)) return MATCH_RANK.prefix;
+
+    // Каждое слово запроса — начало какого-нибудь слова названия: «тверск ул»
+    const words = name.split(' ');
+    const terms = query.split(' ');
+    if (terms.every(term => words.some(word => word.startsWith(term)))) return MATCH_RANK.words;
+
+    if (terms.every(term => name.includes(term))) return MATCH_RANK.substring;
+    return null;
+}
+
+// Ранг места: совпадение в описании (категории) ниже любого совпадения в названии
+function rankEntry(entry, query) {
+    const rank = getMatchRank(entry.name, query);
+    if (rank !== null) return rank;
+    return getMatchRank(entry.text, query) === null ? null : MATCH_RANK.description;
+}
+
+/**
+ * Справочник мест из графа и доступных мест
+ * Узлы без названия пропускаются, одноимённые узлы рядом считаются одним местом
+ */
+export function buildGazetteer(nodes, pois = []) {
+    const places = [];
+
+    nodes.forEach(node => {
+        if (!node.name || node.virtual) return;
+        places.push({ id: node.id, name: node.name, lat: node.lat, lng: node.lng, kind: 'node' });
+    });
+
+    pois.forEach(poi => {
+        places.push({
+            id: poi.id,
+            name: poi.name,
+            lat: poi.lat,
+            lng: poi.lng,
+            kind: 'poi',
+            description: POI_CATEGORIES[poi.category]?.label
+        });
+    });
+
+    return removeDuplicates(places);
+}
+
+// Одноимённые места рядом друг с другом — первое из них
+function removeDuplicates(places) {
+    const byName = new Map();
+
+    return places.filter(place => {
+        const key = normalizeText(place.name);
+        const seen = byName.get(key) || [];
+        const duplicate = seen.some(other =>
+            calculateDistance(place.lat, place.lng, other.lat, other.lng) < DUPLICATE_DISTANCE
+        );
+
+        if (duplicate) return false;
+        byName.set(key, [...seen, place]);
+        return true;
+    });
+}
+
+/**
+ * Геокодер по локальному справочнику
+ * Варианты упорядочены по качеству совпадения, затем по расстоянию до near
+ */
+export function createGazetteerGeocoder(places) {
+    const entries = places.map(place => ({
+        place,
+        text: normalizeText(`${place.name} ${place.description || ''}`),
+        name: normalizeText(place.name)
+    }));
+
+    return {
+        async search(query, { limit = SEARCH_LIMIT, near = null } = {}) {
+            const text = normalizeText(query);
+            if (text.length < MIN_QUERY_LENGTH) return [];
+
+            return entries
+                .map(entry => ({
+                    place: entry.place,
+                    rank: rankEntry(entry, text),
+                    distance: near ? calculateDistance(near.lat, near.lng, entry.place.lat, entry.place.lng) : 0
+                }))
+                .filter(match => match.rank !== null)
+                .sort((a, b) => a.rank - b.rank || a.distance - b.distance || a.place.name.length - b.place.name.length)
+                .slice(0, limit)
+                .map(match => match.place);
+        }
+    };
+}
+
+/**
+ * Удалённый геокодер с API Nominatim (GET /search?format=jsonv2)
+ * @param {object} [options] — viewbox: [minLng, minLat, maxLng, maxLat] для поиска в пределах города
+ */
+export function createNominatimGeocoder(baseUrl = 'https://nominatim.openstreetmap.org', { viewbox = null } = {}) {
+    return {
+        async search(query, { limit = SEARCH_LIMIT } = {}) {
+            if (normalizeText(query).length < MIN_QUERY_LENGTH) return [];
+
+            const params = new URLSearchParams({
+                q: query,
+                format: 'jsonv2',
+                limit: String(limit),
+                'accept-language': 'ru'
+            });
+            if (viewbox) {
+                params.set('viewbox', viewbox.join(','));
+                params.set('bounded', '1');
+            }
+
+            const response = await fetch(`${baseUrl}/search?${params}`);
+            if (!response.ok) {
+                throw new Error(`Ошибка геокодера: ${response.status}`);
+            }
+
+            const results = await response.json();
+            return results.map(result => ({
+                id: `osm-${result.osm_type}-${result.osm_id}`,
+                name: result.name || result.display_name.split(',')[0],
+                lat: Number(result.lat),
+                lng: Number(result.lon),
+                kind: 'address',
+                description: result.display_name
+            }));
+        }
+    };
+}
+
+/**
+ * Несколько геокодеров как один
+ * Результаты идут в порядке геокодеров; недоступный геокодер пропускается,
+ * чтобы поиск по локальному справочнику работал без сети
+ */
+export function createCombinedGeocoder(geocoders) {
+    return {
+        async search(query, options = {}) {
+            const { limit = SEARCH_LIMIT } = options;
+            const settled = await Promise.allSettled(geocoders.map(geocoder => geocoder.search(query, options)));
+            const places = settled.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+
+            return removeDuplicates(places).slice(0, limit);
+        }
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Геометрия на малых расстояниях
+ * Координаты переводятся в метры локальной равнопромежуточной проекцией
+ * вокруг точки запроса, поэтому долгота корректно сжимается на высоких широтах
+ */
+
+// Метров в одном градусе широты
+const METERS_PER_DEGREE = 111320;
+
+function toRad(deg) {
+    return deg * (Math.PI / 180);
+}
+
+/**
+ * Проекция точки на отрезок a–b
+ * @returns {{ t: number, lat: number, lng: number, distance: number }}
+ *   t — доля пути от a до b (0…1), distance — расстояние до отрезка в метрах
+ */
+export function projectOntoSegment(point, a, b) {
+    const metersPerLng = METERS_PER_DEGREE * Math.cos(toRad(point.lat));
+
+    // Координаты концов отрезка относительно точки, в метрах
+    const ax = (a.lng - point.lng) * metersPerLng;
+    const ay = (a.lat - point.lat) * METERS_PER_DEGREE;
+    const dx = (b.lng - point.lng) * metersPerLng - ax;
+    const dy = (b.lat - point.lat) * METERS_PER_DEGREE - ay;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared));
+
+    const px = ax + t * dx;
+    const py = ay + t * dy;
+
+    return {
+        t,
+        lat: point.lat + py / METERS_PER_DEGREE,
+        lng: point.lng + px / metersPerLng,
+        distance: Math.sqrt(px * px + py * py)
+    };
+}
+
+/**
+ * Ограничивающий прямоугольник круга радиусом radius метров вокруг точки
+ */
+export function getRadiusBounds(point, radius) {
+    const dLat = radius / METERS_PER_DEGREE;
+    const dLng = radius / (METERS_PER_DEGREE * Math.cos(toRad(point.lat)));
+
+    return {
+        minLat: point.lat - dLat,
+        maxLat: point.lat + dLat,
+        minLng: point.lng - dLng,
+        maxLng: point.lng + dLng
+    };
+}
+
+/**
+ * Азимут направления из точки from в точку to, в градусах (0…360, 0 — север, по часовой стрелке)
+ */
+export function calculateBearing(from, to) {
+    const metersPerLng = METERS_PER_DEGREE * Math.cos(toRad((from.lat + to.lat) / 2));
+    const dx = (to.lng - from.lng) * metersPerLng;
+    const dy = (to.lat - from.lat) * METERS_PER_DEGREE;
+
+    return (Math.atan2(dx, dy) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Изменение направления при переходе с азимута from на азимут to, в градусах (-180…180]
+ * Положительное значение — поворот направо
+ */
+export function getTurnAngle(from, to) {
+    const angle = ((to - from) % 360 + 360) % 360;
+    return angle > 180 ? angle - 360 : angle;
+}
+
+/**
+ * Сетка квадратов со стороной cellSize метров вокруг широты latitude
+ * Координаты переводятся в метры на плоскости и обратно (для города искажение мало)
+ * @returns {{ toMeters, toLatLng, locate: (lat, lng) => { key, row, col }, getBounds: (row, col) => { south, west, north, east } }}
+ */
+export function createGrid(latitude, cellSize) {
+    const lngScale = METERS_PER_DEGREE * Math.cos(toRad(latitude));
+    const toMeters = (lat, lng) => ({ x: lng * lngScale, y: lat * METERS_PER_DEGREE });
+    const toLatLng = (x, y) => ({ lat: y / METERS_PER_DEGREE, lng: x / lngScale });
+
+    return {
+        toMeters,
+        toLatLng,
+
+        locate(lat, lng) {
+            const { x, y } = toMeters(lat, lng);
+            const row = Math.floor(y / cellSize);
+            const col = Math.floor(x / cellSize);
+            return { key: `${row}:${col}`, row, col };
+        },
+
+        getBounds(row, col) {
+            const southWest = toLatLng(col * cellSize, row * cellSize);
+            const northEast = toLatLng((col + 1) * cellSize, (row + 1) * cellSize);
+            return { south: southWest.lat, west: southWest.lng, north: northEast.lat, east: northEast.lng };
+        }
+    };
+}
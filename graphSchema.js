@@ -0,0 +1,324 @@
+/**
+ * Схема данных городского графа и проверка графа перед загрузкой
+ *
+ * Граф: { nodes: Node[], edges: Edge[], barriers?: Barrier[] }
+ * Поля каждого вида объектов описаны в GRAPH_SCHEMA. Кроме полей
+ * проверяются связи: рёбра между несуществующими узлами, повторяющиеся id,
+ * длины рёбер, которые не сходятся с расстоянием между узлами,
+ * невозможные уклоны и части сети, не связанные с основной
+ *
+ * Отчёт: { valid, errors: Problem[], warnings: Problem[], stats }
+ * Problem: { code, collection, index, id, field?, message }
+ * Ошибки делают граф непригодным для маршрутов, предупреждения — нет
+ */
+
+import { calculateDistance, SURFACE_PENALTIES } from './routing';
+import { BARRIER_LABELS } from './barriers';
+import { RESTRICTION_LABELS } from './restrictions';
+import { REST_LABELS } from './rests';
+import { DATA_SOURCES, MEASURED_ATTRIBUTES } from './provenance';
+
+// Уклон больше этого значения (в процентах) — ошибка в данных, а не улица
+export const MAX_SLOPE = 50;
+
+// Уклон больше этого значения подозрителен для улицы без ступеней
+const SUSPICIOUS_SLOPE = 25;
+
+// Допустимое расхождение длины ребра с расстоянием между узлами: доля и метры
+const DISTANCE_TOLERANCE = 0.05;
+const DISTANCE_TOLERANCE_METERS = 1;
+
+// Ребро длиннее расстояния между узлами во столько раз и ещё на столько метров — вероятно, ошибка
+const DETOUR_FACTOR = 3;
+const DETOUR_SLACK_METERS = 50;
+
+const ID = { type: ['string', 'number'], required: true };
+
+// Происхождение данных: источник, уверенность и дата проверки
+const SOURCE = { type: 'string', values: Object.keys(DATA_SOURCES) };
+const PROVENANCE_FIELDS = {
+    confidence: { type: 'number', min: 0, max: 1 },
+    verifiedAt: { type: 'string', date: true }
+};
+
+/**
+ * Поля записи о происхождении атрибута ребра (edge.provenance.curb и т. п.)
+ */
+export const PROVENANCE_SCHEMA = {
+    source: { ...SOURCE, required: true },
+    ...PROVENANCE_FIELDS
+};
+
+/**
+ * Поля узлов, рёбер и барьеров
+ * type — тип или список типов; values — известные значения (неизвестное — предупреждение);
+ * date — строка с датой
+ */
+export const GRAPH_SCHEMA = {
+    nodes: {
+        id: ID,
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 },
+        name: { type: 'string' },
+        rest: { type: 'string', values: Object.keys(REST_LABELS) }
+    },
+    edges: {
+        id: { type: ['string', 'number'] },
+        from: ID,
+        to: ID,
+        distance: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        name: { type: 'string' },
+        surface: { type: 'string', values: Object.keys(SURFACE_PENALTIES) },
+        slope: { type: 'number' },
+        curb: { type: 'number', min: 0 },
+        width: { type: 'number', min: 0, exclusiveMin: true },
+        stepCount: { type: 'number', min: 0, integer: true },
+        hasRamp: { type: 'boolean' },
+        oneway: { type: 'boolean' },
+        reverseAllowed: { type: 'boolean' },
+        crossingType: { type: 'string', values: ['none', 'signals', 'zebra', 'unmarked', 'underpass', 'overpass'] },
+        audibleSignal: { type: 'boolean' },
+        tactilePaving: { type: 'boolean' },
+        lit: { type: 'boolean' },
+        benches: { type: 'number', min: 0, integer: true },
+        temporary: { type: 'string', values: Object.keys(RESTRICTION_LABELS) },
+        restrictions: { type: 'array' },
+        wheelchair: { type: 'string', values: ['yes', 'limited', 'no'] },
+        provenance: { type: 'object' }
+    },
+    barriers: {
+        id: ID,
+        type: { type: 'string', required: true, values: Object.keys(BARRIER_LABELS) },
+        severity: { type: 'string', values: ['none', 'low', 'medium', 'high'] },
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 },
+        description: { type: 'string' },
+        edgeId: { type: ['string', 'number'] },
+        source: SOURCE,
+        ...PROVENANCE_FIELDS
+    }
+};
+
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return typeof value;
+}
+
+// Проблемы одного поля по его описанию в схеме
+function checkField(value, rule) {
+    if (value === undefined || value === null) {
+        return rule.required ? [{ severity: 'error', code: 'missing-field', message: 'нет обязательного поля' }] : [];
+    }
+
+    const types = [].concat(rule.type);
+    const type = getType(value);
+    if (!types.includes(type) || (type === 'number' && !Number.isFinite(value))) {
+        return [{ severity: 'error', code: 'invalid-type', message: `ожидается ${types.join(' или ')}, получено ${type === 'number' ? value : type}` }];
+    }
+
+    if (type === 'number') {
+        if (rule.integer && !Number.isInteger(value)) {
+            return [{ severity: 'error', code: 'out-of-range', message: `ожидается целое число, получено ${value}` }];
+        }
+        const belowMin = rule.exclusiveMin ? value <= rule.min : value < rule.min;
+        if (belowMin || value > rule.max) {
+            const range = rule.max !== undefined ? `от ${rule.min} до ${rule.max}` : `больше${rule.exclusiveMin ? '' : ' или равно'} ${rule.min}`;
+            return [{ severity: 'error', code: 'out-of-range', message: `значение ${value}, допустимо ${range}` }];
+        }
+    }
+
+    if (rule.date && !Number.isFinite(Date.parse(value))) {
+        return [{ severity: 'error', code: 'invalid-type', message: `ожидается дата, получено «${value}»` }];
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+        return [{ severity: 'warning', code: 'unknown-value', message: `неизвестное значение «${value}»` }];
+    }
+
+    return [];
+}
+
+// Проблемы записей о происхождении атрибутов ребра
+function checkProvenance(provenance) {
+    const problems = [];
+
+    Object.entries(provenance).forEach(([attribute, record]) => {
+        if (attribute !== 'default' && !MEASURED_ATTRIBUTES.includes(attribute)) {
+            problems.push({ severity: 'warning', code: 'unknown-value', field: `provenance.${attribute}`, message: 'неизвестный атрибут' });
+        }
+        if (getType(record) !== 'object') {
+            problems.push({ severity: 'error', code: 'invalid-type', field: `provenance.${attribute}`, message: 'ожидается объект' });
+            return;
+        }
+
+        Object.entries(PROVENANCE_SCHEMA).forEach(([field, rule]) => {
+            checkField(record[field], rule).forEach(problem => {
+                problems.push({ ...problem, field: `provenance.${attribute}.${field}` });
+            });
+        });
+    });
+
+    return problems;
+}
+
+// Разбиение узлов на связные части (направление рёбер не учитывается)
+function findComponents(nodeIds, edges) {
+    const parent = new Map(nodeIds.map(id => [id, id]));
+
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    edges.forEach(edge => {
+        const a = find(edge.from);
+        const b = find(edge.to);
+        if (a !== b) {
+            parent.set(a, b);
+        }
+    });
+
+    const components = new Map();
+    nodeIds.forEach(id => {
+        const root = find(id);
+        if (!components.has(root)) {
+            components.set(root, []);
+        }
+        components.get(root).push(id);
+    });
+
+    return [...components.values()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Проверка графа
+ * @returns {{ valid: boolean, errors: Array, warnings: Array, stats: { nodes: number, edges: number, barriers: number, components: number } }}
+ */
+export function validateGraph(graph) {
+    const problems = [];
+    const strip = ({ severity, ...problem }) => problem;
+    const report = (severity, code, collection, index, item, message, field) => {
+        problems.push({ severity, code, collection, index, id: item?.id, ...(field ? { field } : {}), message });
+    };
+
+    if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+        report('error', 'invalid-graph', 'graph', -1, null, 'граф должен содержать массивы nodes и edges');
+        return { valid: false, errors: problems.map(strip), warnings: [], stats: { nodes: 0, edges: 0, barriers: 0, components: 0 } };
+    }
+
+    const barriers = graph.barriers || [];
+    const collections = { nodes: graph.nodes, edges: graph.edges, barriers };
+
+    // Поля по схеме и повторяющиеся id
+    Object.entries(collections).forEach(([collection, items]) => {
+        const schema = GRAPH_SCHEMA[collection];
+        const seen = new Set();
+
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                report('error', 'invalid-type', collection, index, null, 'ожидается объект');
+                return;
+            }
+
+            Object.entries(schema).forEach(([field, rule]) => {
+                checkField(item[field], rule).forEach(({ severity, code, message }) => {
+                    report(severity, code, collection, index, item, `${field}: ${message}`, field);
+                });
+            });
+
+            if (collection === 'edges' && getType(item.provenance) === 'object') {
+                checkProvenance(item.provenance).forEach(({ severity, code, field, message }) => {
+                    report(severity, code, collection, index, item, `${field}: ${message}`, field);
+                });
+            }
+
+            if (item.id !== undefined) {
+                if (seen.has(item.id)) {
+                    report('error', 'duplicate-id', collection, index, item, `id ${item.id} повторяется`, 'id');
+                }
+                seen.add(item.id);
+            }
+        });
+    });
+
+    // Связи рёбер с узлами, длины и уклоны
+    const nodeMap = new Map(graph.nodes.filter(node => node?.id !== undefined).map(node => [node.id, node]));
+    const linkedEdges = [];
+
+    graph.edges.forEach((edge, index) => {
+        if (!edge || typeof edge !== 'object') return;
+
+        const from = nodeMap.get(edge.from);
+        const to = nodeMap.get(edge.to);
+        if (!from || !to) {
+            const missing = [!from && `from ${edge.from}`, !to && `to ${edge.to}`].filter(Boolean).join(', ');
+            report('error', 'dangling-edge', 'edges', index, edge, `ребро ссылается на несуществующие узлы: ${missing}`);
+            return;
+        }
+        linkedEdges.push(edge);
+
+        if (edge.from === edge.to) {
+            report('warning', 'self-loop', 'edges', index, edge, 'ребро начинается и заканчивается в одном узле');
+        }
+
+        if (Number.isFinite(edge.distance) && [from, to].every(node => Number.isFinite(node.lat) && Number.isFinite(node.lng))) {
+            const straight = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+            if (edge.distance < straight * (1 - DISTANCE_TOLERANCE) - DISTANCE_TOLERANCE_METERS) {
+                report('error', 'distance-too-short', 'edges', index, edge,
+                    `длина ${edge.distance} м меньше расстояния между узлами ${Math.round(straight)} м`, 'distance');
+            } else if (edge.distance > straight * DETOUR_FACTOR + DETOUR_SLACK_METERS) {
+                report('warning', 'distance-too-long', 'edges', index, edge,
+                    `длина ${edge.distance} м намного больше расстояния между узлами ${Math.round(straight)} м`, 'distance');
+            }
+        }
+
+        if (Number.isFinite(edge.slope)) {
+            const slope = Math.abs(edge.slope);
+            if (slope > MAX_SLOPE) {
+                report('error', 'impossible-slope', 'edges', index, edge, `уклон ${edge.slope}% невозможен (больше ${MAX_SLOPE}%)`, 'slope');
+            } else if (slope > SUSPICIOUS_SLOPE && !(edge.stepCount > 0)) {
+                report('warning', 'steep-slope', 'edges', index, edge, `уклон ${edge.slope}% слишком крутой для улицы без ступеней`, 'slope');
+            }
+        }
+    });
+
+    // Части сети, до которых нельзя дойти из основной
+    const components = findComponents([...nodeMap.keys()], linkedEdges);
+    components.slice(1).forEach(component => {
+        const node = nodeMap.get(component[0]);
+        const index = graph.nodes.indexOf(node);
+        const message = component.length === 1
+            ? `узел ${node.id} не соединён ни с одним ребром основной сети`
+            : `часть сети из ${component.length} узлов (например, ${node.id}) не связана с основной`;
+        report('warning', 'disconnected', 'nodes', index, node, message);
+    });
+
+    const errors = problems.filter(problem => problem.severity === 'error').map(strip);
+    const warnings = problems.filter(problem => problem.severity === 'warning').map(strip);
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        stats: {
+            nodes: graph.nodes.length,
+            edges: graph.edges.length,
+            barriers: barriers.length,
+            components: components.length
+        }
+    };
+}
+
+/**
+ * Строка проблемы для списка: «edges[3] (e12): distance: нет обязательного поля»
+ */
+export function formatProblem(problem) {
+    const place = problem.index >= 0 ? `${problem.collection}[${problem.index}]` : problem.collection;
+    const id = problem.id !== undefined ? ` (${problem.id})` : '';
+    return `${place}${id}: ${problem.message}`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Пошаговые инструкции по маршруту
+ * Направление на каждой вершине пути сравнивается с предыдущим, повороты
+ * классифицируются по углу. Рёбра одной улицы без поворотов сливаются в
+ * один шаг, между шагами вставляются заметки о доступности (переходы,
+ * начало участков с неровным покрытием, крутые уклоны, барьеры)
+ */
+
+import { calculateBearing, getTurnAngle } from './geometry';
+import { getDirectedSlope, isCrossing } from './routing';
+import { hasRamp, getActiveBarriers, describeBarrier } from './barriers';
+
+// Границы классов поворота по модулю угла, в градусах
+const STRAIGHT_ANGLE = 20;
+const SLIGHT_ANGLE = 45;
+const SHARP_ANGLE = 120;
+const U_TURN_ANGLE = 160;
+
+// Уклон, начиная с которого участок отмечается в инструкциях, в процентах
+const STEEP_SLOPE = 5;
+
+export const TURN_LABELS = {
+    depart: 'Начните движение',
+    straight: 'Продолжайте прямо',
+    'slight-left': 'Держитесь левее',
+    'slight-right': 'Держитесь правее',
+    left: 'Поверните налево',
+    right: 'Поверните направо',
+    'sharp-left': 'Резко поверните налево',
+    'sharp-right': 'Резко поверните направо',
+    uturn: 'Развернитесь',
+    arrive: 'Вы прибыли'
+};
+
+const CROSSING_NAMES = {
+    signals: 'Переход по светофору',
+    zebra: 'Пешеходный переход',
+    unmarked: 'Переход без разметки',
+    underpass: 'Подземный переход',
+    overpass: 'Надземный переход'
+};
+
+const SURFACE_NAMES = {
+    cobblestone: 'брусчатка',
+    gravel: 'гравий'
+};
+
+/**
+ * Класс поворота по изменению направления (положительный угол — направо)
+ */
+export function classifyTurn(angle) {
+    const size = Math.abs(angle);
+    const side = angle > 0 ? 'right' : 'left';
+
+    if (size < STRAIGHT_ANGLE) return 'straight';
+    if (size < SLIGHT_ANGLE) return `slight-${side}`;
+    if (size < SHARP_ANGLE) return side;
+    if (size < U_TURN_ANGLE) return `sharp-${side}`;
+    return 'uturn';
+}
+
+function toPoint([lat, lng]) {
+    return { lat, lng };
+}
+
+// Текст шага: «Поверните налево на ул. Ленина»
+function describeStep(type, name) {
+    const label = TURN_LABELS[type];
+    if (!name) return label;
+
+    return type === 'depart' || type === 'straight' ? `${label} по ${name}` : `${label} на ${name}`;
+}
+
+// Заметки о доступности в начале ребра
+function getEdgeNotes(edge, reverse, previousEdge, previousReverse) {
+    const notes = [];
+
+    if (isCrossing(edge)) {
+        const details = [];
+        if (edge.audibleSignal) {
+            details.push('со звуковым сигналом');
+        }
+        if (hasRamp(edge)) {
+            details.push('с пандусом');
+        } else if (edge.curb > 0) {
+            details.push(`бордюр ${edge.curb} см без пандуса`);
+        }
+        if (edge.stepCount > 0) {
+            details.push(`ступеней: ${edge.stepCount}`);
+        }
+
+        const name = CROSSING_NAMES[edge.crossingType] || 'Пешеходный переход';
+        notes.push(details.length > 0 ? `${name}, ${details.join(', ')}` : name);
+    }
+
+    const surface = SURFACE_NAMES[edge.surface];
+    if (surface && edge.surface !== previousEdge?.surface) {
+        notes.push(`Начинается ${surface}`);
+    }
+
+    const slope = getDirectedSlope(edge, reverse);
+    const previousSlope = previousEdge ? getDirectedSlope(previousEdge, previousReverse) : 0;
+    if (slope > STEEP_SLOPE && previousSlope <= STEEP_SLOPE) {
+        notes.push(`Начинается подъём ${slope}%`);
+    }
+    if (slope < -STEEP_SLOPE && previousSlope >= -STEEP_SLOPE) {
+        notes.push(`Начинается спуск ${-slope}%`);
+    }
+
+    getActiveBarriers(edge).forEach(barrier => notes.push(describeBarrier(barrier)));
+
+    return notes;
+}
+
+/**
+ * Инструкции по маршруту
+ * @param {object} route — маршрут с coordinates, edges и reversed
+ * @param {Array} [restStops] — остановки для отдыха (getRestStops), добавляются заметками
+ * @returns {Array<{ type: string, text: string, name: string, index: number, distance: number, note?: boolean }>}
+ *   index — вершина пути, с которой начинается шаг; distance — длина шага в метрах
+ *   (у заметок 0); у заметок type = 'note', у остановок для отдыха — 'rest'
+ */
+export function generateInstructions(route, restStops = []) {
+    const { coordinates, edges } = route;
+    const reversed = route.reversed || [];
+    const restsByIndex = new Map(restStops.map(stop => [stop.pathIndex, stop]));
+    const steps = [];
+    let current = null;
+
+    edges.forEach((edge, idx) => {
+        const name = edge.name || '';
+        let type = 'depart';
+
+        if (idx > 0) {
+            type = classifyTurn(getTurnAngle(
+                calculateBearing(toPoint(coordinates[idx - 1]), toPoint(coordinates[idx])),
+                calculateBearing(toPoint(coordinates[idx]), toPoint(coordinates[idx + 1]))
+            ));
+        }
+
+        // Остановка для отдыха — перед продолжением пути
+        if (restsByIndex.has(idx)) {
+            const rest = restsByIndex.get(idx);
+            steps.push({ type: 'rest', note: true, text: `Отдых: ${rest.label.toLowerCase()}`, name, index: idx, distance: 0 });
+        }
+
+        // Плавный изгиб той же улицы — продолжение текущего шага
+        const sameStreet = current && name === current.name;
+        const continues = current &&
+            (type === 'straight' || (sameStreet && type.startsWith('slight'))) &&
+            (sameStreet || !name || !current.name);
+
+        if (!continues) {
+            current = { type, text: describeStep(type, name), name, index: idx, distance: 0 };
+            steps.push(current);
+        } else if (!current.name && name) {
+            // Название улицы стало известно только сейчас
+            current.name = name;
+            current.text = describeStep(current.type, name);
+        }
+
+        getEdgeNotes(edge, reversed[idx], edges[idx - 1], reversed[idx - 1]).forEach(text => {
+            steps.push({ type: 'note', note: true, text, name, index: idx, distance: 0 });
+        });
+
+        current.distance += edge.distance;
+    });
+
+    steps.push({
+        type: 'arrive',
+        text: TURN_LABELS.arrive,
+        name: '',
+        index: coordinates.length - 1,
+        distance: 0
+    });
+
+    return steps;
+}
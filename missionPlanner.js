@@ -0,0 +1,340 @@
+/**
+ * Планирование облётов дронами
+ * Город делится на квадраты; у каждого квадрата есть оценка: насколько
+ * устарели или неточны данные его рёбер, сколько рядом сообщений
+ * пользователей и сколько маршрутов через него строят. Соседние квадраты
+ * с высокой оценкой объединяются в задание облёта: область съёмки
+ * (многоугольник) и упорядоченные точки маршрута дрона «змейкой»
+ *
+ * Mission: { id, priority, score, components, cells, polygon: [[lng, lat]], waypoints, length, duration }
+ * Waypoint: { seq, lat, lng, altitude }
+ */
+
+import { calculateDistance } from './routing';
+import { createGrid } from './geometry';
+import { MEASURED_ATTRIBUTES, STALE_AFTER_DAYS, getAttributeProvenance } from './provenance';
+import { REPORT_SOURCE, REPORT_STATUS } from './reports';
+import { toCsv } from './csv';
+
+// Сторона квадрата оценки, в метрах
+export const MISSION_CELL_SIZE = 250;
+
+// Вклад составляющих в оценку квадрата
+const SCORE_WEIGHTS = {
+    staleness: 0.5,
+    reports: 0.3,
+    demand: 0.2
+};
+
+// Подписи составляющих оценки
+export const SCORE_COMPONENTS = {
+    staleness: 'устаревшие или неточные данные',
+    reports: 'сообщения пользователей',
+    demand: 'востребованные маршруты'
+};
+
+// Квадраты с меньшей оценкой в задания не попадают
+export const MIN_MISSION_SCORE = 0.3;
+
+// Размер одного задания (ограничен зарядом батареи) и число заданий
+const MAX_MISSION_CELLS = 6;
+const MAX_MISSIONS = 10;
+
+// Высота съёмки и расстояние между проходами «змейки», в метрах
+export const SURVEY_ALTITUDE = 60;
+const SWATH_WIDTH = 50;
+
+// Скорость дрона при съёмке, м/с
+const SURVEY_SPEED = 8;
+
+// Учитываются сообщения за этот срок, в днях
+const REPORT_WINDOW_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEMAND_STORAGE_KEY = 'easyway-route-demand';
+
+/**
+ * Хранилище спроса на маршруты: сколько раз ребро входило в построенный маршрут
+ * Хранятся только счётчики по id рёбер, без самих маршрутов
+ */
+export function createDemandStore(storage = globalThis.localStorage) {
+    const load = () => {
+        try {
+            const saved = JSON.parse(storage.getItem(DEMAND_STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch {
+            return {};
+        }
+    };
+
+    return {
+        load,
+
+        // Учитывает рёбра маршрута и возвращает обновлённые счётчики
+        record(edges) {
+            const demand = load();
+            new Set(edges.map(edge => (edge.parentEdge ?? edge).id).filter(id => id !== undefined)).forEach(id => {
+                demand[id] = (demand[id] || 0) + 1;
+            });
+
+            try {
+                storage.setItem(DEMAND_STORAGE_KEY, JSON.stringify(demand));
+            } catch {
+                // Переполнение или запрет localStorage: спрос учитывается до перезагрузки
+            }
+            return demand;
+        }
+    };
+}
+
+/**
+ * Насколько данные ребра нуждаются в повторной съёмке (0–1)
+ * Худший из измеренных атрибутов: доля срока STALE_AFTER_DAYS, прошедшая
+ * с проверки, или недостающая уверенность; атрибут без сведений о
+ * происхождении или дате проверки — 1
+ */
+export function getEdgeStaleness(edge, time = Date.now()) {
+    const attributes = MEASURED_ATTRIBUTES.filter(attribute => edge[attribute] !== undefined);
+    if (attributes.length === 0) return 1;
+
+    return Math.max(...attributes.map(attribute => {
+        const provenance = getAttributeProvenance(edge, attribute);
+        const verifiedAt = Date.parse(provenance?.verifiedAt);
+        if (!Number.isFinite(verifiedAt)) return 1;
+
+        const age = Math.min(1, Math.max(0, time - verifiedAt) / (STALE_AFTER_DAYS * DAY));
+        return Math.max(age, 1 - (provenance.confidence ?? 0));
+    }));
+}
+
+/**
+ * Оценка квадратов города
+ * @param {Array} edges — рёбра графа
+ * @param {Map} nodeMap — узлы по id
+ * @param {Array} reports — сообщения о барьерах
+ * @param {object} demand — счётчики маршрутов по id рёбер (createDemandStore)
+ * @returns {{ cells: Array<{ key, row, col, bounds, length, staleness, reportCount, demand, components, score }>, projection }}
+ */
+export function scoreAreas(edges, nodeMap, reports = [], demand = {}, { time = Date.now(), cellSize = MISSION_CELL_SIZE } = {}) {
+    const nodes = [...nodeMap.values()];
+    const latitude = nodes.reduce((sum, node) => sum + node.lat, 0) / (nodes.length || 1);
+    const projection = createGrid(latitude, cellSize);
+    const cells = new Map();
+
+    const getCell = (lat, lng) => {
+        const { key, row, col } = projection.locate(lat, lng);
+
+        if (!cells.has(key)) {
+            cells.set(key, {
+                key,
+                row,
+                col,
+                bounds: projection.getBounds(row, col),
+                length: 0,
+                staleLength: 0,
+                reportCount: 0,
+                demand: 0
+            });
+        }
+        return cells.get(key);
+    };
+
+    // Ребро относится к квадрату своей середины
+    edges.forEach(edge => {
+        const from = nodeMap.get(edge.from);
+        const to = nodeMap.get(edge.to);
+        if (!from || !to) return;
+
+        const cell = getCell((from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+        cell.length += edge.distance;
+        cell.staleLength += edge.distance * getEdgeStaleness(edge, time);
+        cell.demand += (demand[edge.id] || 0) * edge.distance;
+    });
+
+    // Свежие сообщения пользователей (отклонённые не учитываются)
+    reports
+        .filter(report => report.source !== REPORT_SOURCE.drone && report.status !== REPORT_STATUS.rejected)
+        .filter(report => time - Date.parse(report.createdAt) <= REPORT_WINDOW_DAYS * DAY)
+        .forEach(report => {
+            getCell(report.lat, report.lng).reportCount++;
+        });
+
+    const maxReports = Math.max(1, ...[...cells.values()].map(cell => cell.reportCount));
+    const maxDemand = Math.max(1, ...[...cells.values()].map(cell => cell.demand));
+
+    const scored = [...cells.values()].map(({ staleLength, ...cell }) => {
+        const components = {
+            staleness: cell.length > 0 ? staleLength / cell.length : 0,
+            reports: cell.reportCount / maxReports,
+            demand: cell.demand / maxDemand
+        };
+        const score = Object.entries(SCORE_WEIGHTS).reduce((sum, [key, weight]) => sum + weight * components[key], 0);
+        return { ...cell, staleness: components.staleness, components, score };
+    });
+
+    return { cells: scored, projection };
+}
+
+// Выпуклая оболочка точек { x, y } (монотонная цепочка)
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const build = (list) => {
+        const hull = [];
+        list.forEach(point => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                hull.pop();
+            }
+            hull.push(point);
+        });
+        hull.pop();
+        return hull;
+    };
+
+    return [...build(sorted), ...build([...sorted].reverse())];
+}
+
+// Маршрут съёмки «змейкой»: проходы с запада на восток и обратно, ряд за рядом с юга на север
+function getSurveyPath(cells, cellSize) {
+    const rows = new Map();
+    cells.forEach(cell => {
+        const range = rows.get(cell.row) || { min: cell.col, max: cell.col };
+        rows.set(cell.row, { min: Math.min(range.min, cell.col), max: Math.max(range.max, cell.col) });
+    });
+
+    const path = [];
+    let eastward = true;
+    [...rows.keys()].sort((a, b) => a - b).forEach(row => {
+        const { min, max } = rows.get(row);
+        for (let offset = SWATH_WIDTH / 2; offset < cellSize; offset += SWATH_WIDTH) {
+            const y = row * cellSize + offset;
+            const west = { x: min * cellSize, y };
+            const east = { x: (max + 1) * cellSize, y };
+            path.push(...(eastward ? [west, east] : [east, west]));
+            eastward = !eastward;
+        }
+    });
+    return path;
+}
+
+/**
+ * Задания облёта по оценкам квадратов
+ * Задание начинается с лучшего свободного квадрата и растёт за счёт
+ * лучших соседних, пока не наберёт MAX_MISSION_CELLS
+ * @param {{ cells, projection }} areas — результат scoreAreas
+ * @returns {Array} задания в порядке приоритета
+ */
+export function planMissions({ cells, projection }, { cellSize = MISSION_CELL_SIZE, minScore = MIN_MISSION_SCORE, altitude = SURVEY_ALTITUDE } = {}) {
+    const candidates = new Map(cells.filter(cell => cell.score >= minScore).map(cell => [cell.key, cell]));
+    const missions = [];
+
+    while (candidates.size > 0 && missions.length < MAX_MISSIONS) {
+        const [seed] = [...candidates.values()].sort((a, b) => b.score - a.score);
+        const group = [seed];
+        candidates.delete(seed.key);
+
+        while (group.length < MAX_MISSION_CELLS) {
+            const neighbors = group
+                .flatMap(cell => [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dr, dc]) => candidates.get(`${cell.row + dr}:${cell.col + dc}`)))
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score);
+            if (neighbors.length === 0) break;
+
+            group.push(neighbors[0]);
+            candidates.delete(neighbors[0].key);
+        }
+
+        const corners = group.flatMap(cell => [0, 1].flatMap(dr => [0, 1].map(dc => ({
+            x: (cell.col + dc) * cellSize,
+            y: (cell.row + dr) * cellSize
+        }))));
+        const hull = convexHull(corners).map(({ x, y }) => {
+            const { lat, lng } = projection.toLatLng(x, y);
+            return [lng, lat];
+        });
+
+        const waypoints = getSurveyPath(group, cellSize).map(({ x, y }, index) => ({
+            seq: index + 1,
+            ...projection.toLatLng(x, y),
+            altitude
+        }));
+        const length = waypoints.slice(1).reduce((sum, point, index) =>
+            sum + calculateDistance(waypoints[index].lat, waypoints[index].lng, point.lat, point.lng), 0);
+
+        const average = (key) => group.reduce((sum, cell) => sum + cell.components[key], 0) / group.length;
+        missions.push({
+            id: `mission-${missions.length + 1}`,
+            priority: missions.length + 1,
+            score: group.reduce((sum, cell) => sum + cell.score, 0) / group.length,
+            components: Object.fromEntries(Object.keys(SCORE_WEIGHTS).map(key => [key, average(key)])),
+            cells: group.map(cell => cell.key),
+            polygon: [...hull, hull[0]],
+            waypoints,
+            length: Math.round(length),
+            duration: Math.ceil(length / SURVEY_SPEED / 60)
+        });
+    }
+
+    return missions;
+}
+
+/**
+ * Главная причина задания: составляющая с наибольшим вкладом в оценку
+ */
+export function getMainReason(mission) {
+    const [key] = Object.entries(SCORE_WEIGHTS)
+        .sort((a, b) => b[1] * mission.components[b[0]] - a[1] * mission.components[a[0]])[0];
+    return SCORE_COMPONENTS[key];
+}
+
+/**
+ * Задания в GeoJSON: область съёмки (Polygon) и маршрут дрона (LineString) каждого задания
+ */
+export function missionsToGeoJSON(missions) {
+    return {
+        type: 'FeatureCollection',
+        features: missions.flatMap(mission => {
+            const properties = {
+                missionId: mission.id,
+                priority: mission.priority,
+                score: Math.round(mission.score * 100) / 100,
+                reason: getMainReason(mission),
+                length: mission.length,
+                duration: mission.duration
+            };
+
+            return [
+                {
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [mission.polygon] },
+                    properties: { ...properties, kind: 'survey-area' }
+                },
+                {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: mission.waypoints.map(point => [point.lng, point.lat, point.altitude])
+                    },
+                    properties: { ...properties, kind: 'flight-path' }
+                }
+            ];
+        })
+    };
+}
+
+/**
+ * Точки маршрутов всех заданий в CSV: mission, seq, lat, lng, altitude
+ */
+export function missionsToCsv(missions) {
+    return toCsv(
+        ['mission', 'seq', 'lat', 'lng', 'altitude'],
+        missions.flatMap(mission => mission.waypoints.map(point => [
+            mission.id,
+            point.seq,
+            point.lat.toFixed(6),
+            point.lng.toFixed(6),
+            point.altitude
+        ]))
+    );
+}
@@ -0,0 +1,159 @@
+/**
+ * Навигация по построенному маршруту
+ * Положение пользователя проецируется на ломаную маршрута; по пройденному
+ * расстоянию определяются ближайший манёвр, предупреждения о проблемных
+ * участках и уход с маршрута
+ */
+
+import { calculateDistance } from './routing';
+import { projectOntoSegment } from './geometry';
+import { generateInstructions } from './instructions';
+
+// Дальше этого расстояния от маршрута (в метрах) пользователь считается ушедшим с него
+export const OFF_ROUTE_DISTANCE = 25;
+
+// Сколько отметок подряд вне маршрута нужно для перестроения (защита от скачков GPS)
+export const OFF_ROUTE_FIXES = 3;
+
+// За сколько метров предупреждать о проблемном участке
+export const ISSUE_WARNING_DISTANCE = 50;
+
+// На таком расстоянии от конца маршрута пользователь считается прибывшим
+export const ARRIVAL_DISTANCE = 15;
+
+// Насколько можно «откатиться» назад по маршруту при поиске положения, в метрах
+const BACKTRACK_TOLERANCE = 20;
+
+function toPoint([lat, lng]) {
+    return { lat, lng };
+}
+
+/**
+ * Подготовка маршрута к навигации
+ * @param {object} route — маршрут с coordinates, edges, issues и, для многоточечного, legs
+ * @returns {{ coordinates, cumulative: number[], length: number, maneuvers: Array, hazards: Array, legEnds: number[] }}
+ *   cumulative[i] — расстояние от начала маршрута до i-й вершины;
+ *   hazards[i].key — ребро (или уровень проблемы) и место на маршруте, уникальное в пределах маршрута
+ */
+export function createRouteTrack(route) {
+    const points = route.coordinates.map(toPoint);
+    const cumulative = [0];
+
+    for (let i = 1; i < points.length; i++) {
+        const segment = calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        cumulative.push(cumulative[i - 1] + segment);
+    }
+
+    const length = cumulative[cumulative.length - 1];
+
+    // Манёвры — шаги инструкций после начала движения (заметки озвучиваются как проблемные участки)
+    const maneuvers = generateInstructions(route)
+        .filter(step => step.type !== 'depart' && !step.note)
+        .map(step => ({ type: step.type, text: step.text, index: step.index, distance: cumulative[step.index] }));
+
+    // Проблемные участки — от начала ребра, на котором они находятся
+    const hazards = route.issues.map(issue => {
+        const pathIndex = issue.pathIndex ?? route.edges.indexOf(issue.edge);
+        const distance = cumulative[pathIndex] ?? 0;
+        return {
+            issue,
+            key: `${issue.edge?.id ?? issue.level}@${Math.round(distance)}`,
+            distance,
+            text: issue.reasons.join(', ')
+        };
+    });
+
+    // Конец каждого участка многоточечного маршрута
+    const legEnds = [];
+    let vertex = 0;
+    (route.legs || []).forEach(leg => {
+        vertex += leg.path.length - 1;
+        legEnds.push(cumulative[vertex]);
+    });
+
+    return { coordinates: route.coordinates, cumulative, length, maneuvers, hazards, legEnds };
+}
+
+/**
+ * Положение на маршруте: ближайшая точка ломаной
+ * Участки позади уже пройденного (с запасом) не рассматриваются,
+ * чтобы на маршрутах, проходящих дважды по одной улице, не прыгать назад
+ * @returns {{ distanceAlong: number, offset: number, segment: number, lat: number, lng: number }}
+ */
+export function locateOnTrack(track, position, progress = 0) {
+    const { coordinates, cumulative } = track;
+    let best = null;
+
+    if (coordinates.length === 1) {
+        const offset = calculateDistance(position.lat, position.lng, coordinates[0][0], coordinates[0][1]);
+        return { distanceAlong: 0, offset, segment: 0, lat: coordinates[0][0], lng: coordinates[0][1] };
+    }
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        if (cumulative[i + 1] < progress - BACKTRACK_TOLERANCE) continue;
+
+        const projection = projectOntoSegment(position, toPoint(coordinates[i]), toPoint(coordinates[i + 1]));
+        if (!best || projection.distance < best.offset) {
+            best = {
+                distanceAlong: cumulative[i] + projection.t * (cumulative[i + 1] - cumulative[i]),
+                offset: projection.distance,
+                segment: i,
+                lat: projection.lat,
+                lng: projection.lng
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Форматирует предупреждение: «через 40 м бордюр 6 см»
+ */
+export function formatHazardWarning(hazard, distanceTo) {
+    const text = hazard.text.charAt(0).toLowerCase() + hazard.text.slice(1);
+    const rounded = Math.round(distanceTo / 10) * 10;
+    return rounded < 10 ? `здесь ${text}` : `через ${rounded} м ${text}`;
+}
+
+/**
+ * Состояние навигации для очередной отметки местоположения
+ * @param {object} track — результат createRouteTrack
+ * @param {{ lat: number, lng: number, accuracy?: number }} position
+ * @param {object|null} previous — состояние для предыдущей отметки
+ */
+export function getNavigationState(track, position, previous = null) {
+    const progress = previous ? previous.distanceAlong : 0;
+    const located = locateOnTrack(track, position, progress);
+
+    // Погрешность GPS расширяет допустимое отклонение
+    const allowedOffset = Math.max(OFF_ROUTE_DISTANCE, position.accuracy || 0);
+    const offRoute = located.offset > allowedOffset;
+    const offRouteCount = offRoute ? (previous?.offRouteCount || 0) + 1 : 0;
+
+    // Продвижение не уменьшается, пока пользователь на маршруте
+    const distanceAlong = offRoute ? progress : Math.max(located.distanceAlong, progress - BACKTRACK_TOLERANCE);
+
+    const nextManeuver = track.maneuvers.find(maneuver => maneuver.distance > distanceAlong) ||
+        track.maneuvers[track.maneuvers.length - 1];
+
+    const upcomingHazards = track.hazards
+        .map(hazard => ({ ...hazard, distanceTo: hazard.distance - distanceAlong }))
+        .filter(hazard => hazard.distanceTo >= 0 && hazard.distanceTo <= ISSUE_WARNING_DISTANCE);
+
+    const legIndex = track.legEnds.findIndex(end => distanceAlong < end);
+
+    return {
+        position,
+        distanceAlong,
+        offset: located.offset,
+        offRoute,
+        offRouteCount,
+        needsReroute: offRouteCount >= OFF_ROUTE_FIXES,
+        remaining: Math.max(0, track.length - distanceAlong),
+        nextManeuver: { ...nextManeuver, distanceTo: Math.max(0, nextManeuver.distance - distanceAlong) },
+        upcomingHazards,
+        legIndex: legIndex === -1 ? Math.max(0, track.legEnds.length - 1) : legIndex,
+        arrived: !offRoute && track.length - distanceAlong <= ARRIVAL_DISTANCE
+    };
+}
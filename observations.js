@@ -0,0 +1,337 @@
+/**
+ * Наблюдения о барьерах и рёбрах и согласование противоречивых данных
+ * Каждый источник — данные графа, облёт дроном, сообщение пользователя,
+ * проверка на месте — добавляет наблюдение, а не перезаписывает значение.
+ * Текущее значение атрибута — согласие наблюдений с весом по источнику,
+ * уверенности и давности; заметные расхождения передаются на проверку
+ *
+ * Observation: { id, target: 'barrier' | 'edge', targetId, attribute, value,
+ *                source, confidence, observedAt, reportId? }
+ * attribute 'present' — есть ли барьер (false — устранён); измерения
+ * барьера (MEASUREMENTS) уточняют атрибут ребра, к которому он привязан
+ */
+
+import { reportToBarrier, REPORT_STATUS } from './reports';
+import { getAttributeProvenance, describeProvenance } from './provenance';
+
+// Вес источника: проверка на месте надёжнее дрона, дрон — сообщения пользователя
+export const SOURCE_WEIGHTS = {
+    audit: 1,
+    drone: 0.8,
+    user: 0.6,
+    osm: 0.5
+};
+
+const UNKNOWN_SOURCE_WEIGHT = 0.4;
+
+// Уверенность наблюдения, для которого она не указана
+const DEFAULT_CONFIDENCE = 0.5;
+
+// Вес наблюдения уменьшается вдвое за этот срок, в днях
+export const RECENCY_HALF_LIFE_DAYS = 180;
+
+// Множитель давности для наблюдения без даты
+const UNDATED_RECENCY = 0.25;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Что можно измерить у барьера каждого типа и какой атрибут ребра это уточняет
+export const MEASUREMENTS = {
+    curb: { attribute: 'curb', label: 'Высота бордюра', unit: ' см' },
+    narrow: { attribute: 'width', label: 'Ширина прохода', unit: ' см' },
+    slope: { attribute: 'slope', label: 'Уклон', unit: '%' }
+};
+
+// Значения, отличающиеся не больше чем на столько, считаются совпадающими
+const TOLERANCES = {
+    curb: 2,
+    width: 15,
+    slope: 2
+};
+
+// Доля веса несогласных наблюдений, начиная с которой нужна проверка
+const DISAGREEMENT_SHARE = 0.25;
+
+function getTime(observation) {
+    const time = Date.parse(observation.observedAt);
+    return Number.isFinite(time) ? time : -Infinity;
+}
+
+function byNewest(a, b) {
+    return getTime(b) - getTime(a);
+}
+
+/**
+ * Вес наблюдения: источник × уверенность × давность
+ */
+export function getObservationWeight(observation, time = Date.now()) {
+    const source = SOURCE_WEIGHTS[observation.source] ?? UNKNOWN_SOURCE_WEIGHT;
+    const confidence = observation.confidence ?? DEFAULT_CONFIDENCE;
+    const observedAt = getTime(observation);
+    const recency = Number.isFinite(observedAt)
+        ? Math.pow(0.5, Math.max(0, time - observedAt) / (RECENCY_HALF_LIFE_DAYS * DAY))
+        : UNDATED_RECENCY;
+
+    return source * confidence * recency;
+}
+
+function agrees(attribute, a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= (TOLERANCES[attribute] ?? 0);
+    }
+    return a === b;
+}
+
+// Взвешенная медиана для чисел (один ошибочный замер не сдвигает значение), иначе взвешенное голосование
+function getConsensusValue(weighted, total) {
+    if (weighted.every(({ observation }) => typeof observation.value === 'number')) {
+        const sorted = [...weighted].sort((a, b) => a.observation.value - b.observation.value);
+        let sum = 0;
+        for (const { observation, weight } of sorted) {
+            sum += weight;
+            if (sum >= total / 2) return observation.value;
+        }
+    }
+
+    const votes = new Map();
+    weighted.forEach(({ observation, weight }) => {
+        votes.set(observation.value, (votes.get(observation.value) || 0) + weight);
+    });
+    return [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Согласованное значение одного атрибута по его наблюдениям
+ * Проверка на месте отменяет более ранние наблюдения; source и observedAt —
+ * самого свежего наблюдения, согласного с итогом
+ * @returns {{ value, confidence, source, observedAt, disputed: boolean } | null}
+ */
+export function fuseAttribute(observations, time = Date.now()) {
+    if (observations.length === 0) return null;
+    const { attribute } = observations[0];
+
+    const [lastAudit] = observations.filter(observation => observation.source === 'audit').sort(byNewest);
+    const current = lastAudit
+        ? observations.filter(observation => getTime(observation) >= getTime(lastAudit))
+        : observations;
+
+    const weighted = current
+        .map(observation => ({ observation, weight: getObservationWeight(observation, time) }))
+        .filter(({ weight }) => weight > 0);
+    if (weighted.length === 0) return null;
+
+    const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+    const value = getConsensusValue(weighted, total);
+    const agreeing = weighted.filter(({ observation }) => agrees(attribute, observation.value, value));
+    const agreeingWeight = agreeing.reduce((sum, { weight }) => sum + weight, 0);
+    const [newest] = agreeing.map(({ observation }) => observation).sort(byNewest);
+
+    return {
+        value,
+        confidence: agreeingWeight / total *
+            Math.max(...agreeing.map(({ observation }) => observation.confidence ?? DEFAULT_CONFIDENCE)),
+        source: newest.source,
+        observedAt: newest.observedAt,
+        disputed: (total - agreeingWeight) / total >= DISAGREEMENT_SHARE
+    };
+}
+
+// Наблюдения одобренного сообщения; происхождение — как у барьера из этого сообщения
+function getReportObservations(report) {
+    const { id, replaces, source, confidence, verifiedAt } = reportToBarrier(report);
+    const base = {
+        target: 'barrier',
+        targetId: replaces ?? id,
+        source,
+        confidence,
+        observedAt: verifiedAt,
+        reportId: report.id
+    };
+
+    const observations = [{ ...base, id: `${report.id}-present`, attribute: 'present', value: !report.resolved }];
+    const measurement = MEASUREMENTS[report.type];
+    if (measurement && !report.resolved && Number.isFinite(report.measurement)) {
+        observations.push({
+            ...base,
+            id: `${report.id}-${measurement.attribute}`,
+            attribute: measurement.attribute,
+            value: report.measurement
+        });
+    }
+    return observations;
+}
+
+/**
+ * Наблюдения о барьерах: барьеры графа и одобренные сообщения
+ * @param {Array} barriers — барьеры графа (до учёта сообщений)
+ */
+export function collectBarrierObservations(barriers, reports) {
+    const fromGraph = barriers.map(barrier => ({
+        id: `${barrier.id}-present`,
+        target: 'barrier',
+        targetId: barrier.id,
+        attribute: 'present',
+        value: true,
+        source: barrier.source ?? null,
+        confidence: barrier.confidence ?? null,
+        observedAt: barrier.verifiedAt ?? null
+    }));
+
+    const fromReports = reports
+        .filter(report => report.status === REPORT_STATUS.approved)
+        .flatMap(getReportObservations);
+
+    return [...fromGraph, ...fromReports];
+}
+
+/**
+ * Барьеры с согласованными данными
+ * Устранённый барьер убирается; если устранение оспаривается, барьер остаётся
+ * безопасным (severity: 'none') до проверки. Барьер получает происхождение
+ * согласованного значения, measurement, историю наблюдений (history, от новых
+ * к старым) и список оспариваемых атрибутов (disputed)
+ */
+export function applyBarrierObservations(barriers, observations, time = Date.now()) {
+    const byBarrier = new Map();
+    observations.forEach(observation => {
+        if (!byBarrier.has(observation.targetId)) {
+            byBarrier.set(observation.targetId, []);
+        }
+        byBarrier.get(observation.targetId).push(observation);
+    });
+
+    return barriers.flatMap(barrier => {
+        const history = [...(byBarrier.get(barrier.id) || [])].sort(byNewest);
+        if (history.length === 0) return [barrier];
+
+        const present = fuseAttribute(history.filter(observation => observation.attribute === 'present'), time);
+        const measured = MEASUREMENTS[barrier.type]?.attribute;
+        const measurement = measured
+            ? fuseAttribute(history.filter(observation => observation.attribute === measured), time)
+            : null;
+        const disputed = [present?.disputed && 'present', measurement?.disputed && measured].filter(Boolean);
+
+        if (present && !present.value && disputed.length === 0) return [];
+
+        return [{
+            ...barrier,
+            ...(present ? { source: present.source, confidence: present.confidence, verifiedAt: present.observedAt } : {}),
+            ...(present && !present.value ? { severity: 'none', removed: true } : {}),
+            ...(measurement ? { measurement: { attribute: measured, value: measurement.value, confidence: measurement.confidence } } : {}),
+            history,
+            disputed
+        }];
+    });
+}
+
+// Значение атрибута ребра как наблюдение из данных графа
+function getEdgeObservation(edge, attribute) {
+    const provenance = getAttributeProvenance(edge, attribute);
+    return {
+        id: `${edge.id}-${attribute}`,
+        target: 'edge',
+        targetId: edge.id,
+        attribute,
+        // Уклон в сообщениях — без направления, сравнивается крутизна
+        value: attribute === 'slope' ? Math.abs(edge.slope) : edge[attribute],
+        source: provenance?.source ?? null,
+        confidence: provenance?.confidence ?? null,
+        observedAt: provenance?.verifiedAt ?? null
+    };
+}
+
+/**
+ * Рёбра, уточнённые измерениями привязанных барьеров
+ * Вызывается после attachBarriersToEdges для барьеров из applyBarrierObservations;
+ * у уточнённого ребра меняются значение и происхождение атрибута, добавляются
+ * history и disputed
+ */
+export function applyEdgeObservations(edges, time = Date.now()) {
+    return edges.map(edge => {
+        const measured = (edge.barriers || []).filter(barrier => barrier.measurement && barrier.history);
+        if (measured.length === 0) return edge;
+
+        const updated = { ...edge, provenance: { ...edge.provenance } };
+        const history = [];
+        const disputed = [];
+
+        new Set(measured.map(barrier => barrier.measurement.attribute)).forEach(attribute => {
+            const observations = [
+                ...(edge[attribute] !== undefined ? [getEdgeObservation(edge, attribute)] : []),
+                ...measured.flatMap(barrier => barrier.history.filter(observation => observation.attribute === attribute))
+            ];
+            const fused = fuseAttribute(observations, time);
+            if (!fused) return;
+
+            updated[attribute] = attribute === 'slope' && edge.slope < 0 ? -fused.value : fused.value;
+            if (fused.source) {
+                updated.provenance[attribute] = { source: fused.source, confidence: fused.confidence, verifiedAt: fused.observedAt };
+            }
+            if (fused.disputed) {
+                disputed.push(attribute);
+            }
+            history.push(...observations);
+        });
+
+        updated.history = history.sort(byNewest);
+        updated.disputed = disputed;
+        return updated;
+    });
+}
+
+/**
+ * Расхождения для проверки: оспариваемые атрибуты барьеров и рёбер
+ * barrier — барьер, через который проверка записывает итоговое значение
+ * @returns {Array<{ key, target, item, barrier, attribute, history }>}
+ */
+export function getDisputes(barriers, edges) {
+    const barrierDisputes = barriers.flatMap(barrier => (barrier.disputed || []).map(attribute => ({
+        key: `barrier-${barrier.id}-${attribute}`,
+        target: 'barrier',
+        item: barrier,
+        barrier,
+        attribute,
+        history: barrier.history.filter(observation => observation.attribute === attribute)
+    })));
+
+    // Расхождение ребра, которое уже есть у его барьера, не повторяется
+    const edgeDisputes = edges.flatMap(edge => (edge.disputed || []).flatMap(attribute => {
+        const barrier = edge.barriers.find(candidate => candidate.measurement?.attribute === attribute);
+        if (barrier.disputed?.includes(attribute)) return [];
+
+        return [{
+            key: `edge-${edge.id}-${attribute}`,
+            target: 'edge',
+            item: edge,
+            barrier,
+            attribute,
+            history: edge.history.filter(observation => observation.attribute === attribute)
+        }];
+    }));
+
+    return [...barrierDisputes, ...edgeDisputes];
+}
+
+/**
+ * Значение наблюдения для списка: «Барьер устранён», «Высота бордюра 9 см»
+ */
+export function describeValue(attribute, value) {
+    if (attribute === 'present') {
+        return value ? 'Барьер на месте' : 'Барьер устранён';
+    }
+
+    const measurement = Object.values(MEASUREMENTS).find(entry => entry.attribute === attribute);
+    return measurement ? `${measurement.label} ${value}${measurement.unit}` : `${attribute}: ${value}`;
+}
+
+/**
+ * Наблюдение для истории: «Высота бордюра 9 см — по сообщению пользователя, 01.10.2026, уверенность 80%»
+ */
+export function describeObservation(observation, time = Date.now()) {
+    const provenance = describeProvenance({
+        source: observation.source,
+        confidence: observation.confidence,
+        verifiedAt: observation.observedAt
+    }, time);
+    return `${describeValue(observation.attribute, observation.value)} — ${provenance}`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Выгрузки OSM для тестов импорта
+ * SAMPLE_OSM_XML — несколько кварталов с тротуаром, переходами, лестницей
+ * и скамейкой; encodeOsmPbf записывает элементы в формате PBF
+ */
+
+import { deflateSync } from 'node:zlib';
+
+export const SAMPLE_OSM_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="test">
+  <node id="1" lat="55.75" lon="37.6"/>
+  <node id="2" lat="55.7505" lon="37.6"/>
+  <node id="3" lat="55.751" lon="37.6">
+    <tag k="kerb:height" v="0.04"/>
+  </node>
+  <node id="4" lat="55.751" lon="37.6008"/>
+  <node id="5" lat="55.7512" lon="37.6008"/>
+  <node id="6" lat="55.75101" lon="37.60001">
+    <tag k="amenity" v="bench"/>
+  </node>
+  <node id="7" lat="55.75" lon="37.6008"/>
+  <way id="100" timestamp="2015-03-01T10:00:00Z">
+    <nd ref="1"/>
+    <nd ref="2"/>
+    <nd ref="3"/>
+    <tag k="highway" v="footway"/>
+    <tag k="name" v="Тверская &amp; Co"/>
+    <tag k="surface" v="paving_stones"/>
+    <tag k="incline" v="5%"/>
+    <tag k="width" v="2.5"/>
+  </way>
+  <way id="101">
+    <nd ref="3"/>
+    <nd ref="4"/>
+    <tag k="highway" v="footway"/>
+    <tag k="footway" v="crossing"/>
+    <tag k="crossing" v="traffic_signals"/>
+    <tag k="traffic_signals:sound" v="yes"/>
+    <tag k="tactile_paving" v="yes"/>
+  </way>
+  <way id="102">
+    <nd ref="4"/>
+    <nd ref="5"/>
+    <tag k="highway" v="steps"/>
+    <tag k="incline" v="down"/>
+    <tag k="step_count" v="12"/>
+  </way>
+  <way id="103">
+    <nd ref="1"/>
+    <nd ref="5"/>
+    <tag k="highway" v="primary"/>
+  </way>
+  <way id="104">
+    <nd ref="1"/>
+    <nd ref="7"/>
+    <tag k="highway" v="footway"/>
+    <tag k="footway" v="crossing"/>
+  </way>
+</osm>`;
+
+// Запись сообщений protobuf
+function varint(value) {
+    const bytes = [];
+    while (value >= 128) {
+        bytes.push((value % 128) | 128);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+const zigzag = (value) => value < 0 ? -value * 2 - 1 : value * 2;
+const key = (number, wireType) => varint(number * 8 + wireType);
+const varintField = (number, value) => [...key(number, 0), ...varint(value)];
+const bytesField = (number, bytes) => [...key(number, 2), ...varint(bytes.length), ...bytes];
+const packed = (number, values) => bytesField(number, values.flatMap(varint));
+const text = (value) => [...new TextEncoder().encode(value)];
+
+// Разности с предыдущим значением (так в PBF хранятся id, координаты и ссылки линий)
+const deltas = (values) => values.map((value, idx) => zigzag(value - (idx > 0 ? values[idx - 1] : 0)));
+
+const toUnits = (degrees) => Math.round(degrees * 1e7);
+
+function encodeBlock(type, data, compress) {
+    const blob = compress
+        ? [...varintField(2, data.length), ...bytesField(3, [...deflateSync(Uint8Array.from(data))])]
+        : bytesField(1, data);
+    const header = [...bytesField(1, text(type)), ...varintField(3, blob.length)];
+    const length = [header.length >>> 24, (header.length >>> 16) & 255, (header.length >>> 8) & 255, header.length & 255];
+    return [...length, ...header, ...blob];
+}
+
+/**
+ * Файл PBF из элементов OSM: первая точка — отдельным сообщением Node,
+ * остальные — в DenseNodes; блок данных сжат zlib
+ * @returns {Uint8Array}
+ */
+export function encodeOsmPbf(elements) {
+    const strings = [''];
+    const stringId = (value) => {
+        if (!strings.includes(value)) strings.push(value);
+        return strings.indexOf(value);
+    };
+    const tagIds = (tags) => Object.entries(tags || {}).map(([k, v]) => [stringId(k), stringId(v)]);
+
+    const [plain, ...dense] = elements.filter(element => element.type === 'node');
+    const ways = elements.filter(element => element.type === 'way');
+
+    const plainTags = tagIds(plain.tags);
+    const plainNode = [
+        ...varintField(1, zigzag(plain.id)),
+        ...packed(2, plainTags.map(([k]) => k)),
+        ...packed(3, plainTags.map(([, v]) => v)),
+        ...varintField(8, zigzag(toUnits(plain.lat))),
+        ...varintField(9, zigzag(toUnits(plain.lon)))
+    ];
+
+    const denseNodes = [
+        ...packed(1, deltas(dense.map(node => node.id))),
+        ...packed(8, deltas(dense.map(node => toUnits(node.lat)))),
+        ...packed(9, deltas(dense.map(node => toUnits(node.lon)))),
+        ...packed(10, dense.flatMap(node => [...tagIds(node.tags).flat(), 0]))
+    ];
+
+    const wayMessages = ways.map(way => {
+        const tags = tagIds(way.tags);
+        return bytesField(3, [
+            ...varintField(1, way.id),
+            ...packed(2, tags.map(([k]) => k)),
+            ...packed(3, tags.map(([, v]) => v)),
+            ...packed(8, deltas(way.nodes))
+        ]);
+    });
+
+    const block = [
+        ...bytesField(1, strings.flatMap(value => bytesField(1, text(value)))),
+        ...bytesField(2, [...bytesField(1, plainNode), ...bytesField(2, denseNodes)]),
+        ...bytesField(2, wayMessages.flat()),
+        ...varintField(17, 100)
+    ];
+    const header = [...bytesField(4, text('OsmSchema-V0.6')), ...bytesField(4, text('DenseNodes'))];
+
+    return Uint8Array.from([...encodeBlock('OSMHeader', header, false), ...encodeBlock('OSMData', block, true)]);
+}
@@ -0,0 +1,478 @@
+/**
+ * Импорт пешеходной сети из OpenStreetMap
+ * Выгрузка OSM превращается в граф { nodes, edges, barriers } того же
+ * формата, что data/cityGraph.json. Каждая пара соседних точек линии
+ * становится ребром, теги линии и её точек переводятся в атрибуты ребра
+ *
+ * Поддерживаются OSM XML (.osm) и список элементов { type, id, lat, lon, tags,
+ * nodes | refs } — формат Overpass JSON и parseOsmPbf (osmPbf.js) для выгрузок PBF.
+ * Из командной строки: npm run import-osm -- <выгрузка> [data/cityGraph.json]
+ *
+ * Для каждого ребра отчёт перечисляет атрибуты, которых не было в данных
+ * и которые взяты по умолчанию или оставлены пустыми; в происхождении
+ * ребра такие атрибуты отмечены низкой уверенностью. Дата проверки
+ * в происхождении не ставится: время правки в OSM не говорит о том,
+ * когда атрибут видели на месте
+ */
+
+import { calculateDistance } from './routing';
+import { buildPointIndex } from './spatialIndex';
+import { MEASURED_ATTRIBUTES } from './provenance';
+
+// Пешеходные линии
+const FOOT_HIGHWAYS = ['footway', 'pedestrian', 'path', 'steps', 'living_street', 'residential', 'service', 'track', 'corridor'];
+
+// Дороги, по которым идут по тротуару, если он отмечен тегом sidewalk
+const SIDEWALK_HIGHWAYS = ['primary', 'secondary', 'tertiary', 'unclassified', 'primary_link', 'secondary_link', 'tertiary_link'];
+
+// Значения по умолчанию для атрибутов, которых нет в данных
+export const DEFAULT_ATTRIBUTES = {
+    surface: 'asphalt',
+    slope: 0,
+    width: 150,
+    curb: 0
+};
+
+// Покрытия OSM, приведённые к значениям, которые учитывает маршрутизатор
+const SURFACES = {
+    asphalt: 'asphalt',
+    concrete: 'concrete',
+    'concrete:plates': 'concrete',
+    'concrete:lanes': 'concrete',
+    paving_stones: 'concrete',
+    wood: 'wood',
+    gravel: 'gravel',
+    fine_gravel: 'gravel',
+    compacted: 'gravel',
+    pebblestone: 'gravel',
+    sett: 'cobblestone',
+    cobblestone: 'cobblestone',
+    unhewn_cobblestone: 'cobblestone',
+    'cobblestone:flattened': 'cobblestone',
+    stone: 'stone',
+    sand: 'sand'
+};
+
+// Типичная высота бордюра по тегу kerb, в сантиметрах
+const KERB_HEIGHTS = {
+    flush: 0,
+    no: 0,
+    lowered: 2,
+    rolled: 3,
+    raised: 12
+};
+
+const CROSSING_TYPES = {
+    traffic_signals: 'signals',
+    zebra: 'zebra',
+    marked: 'zebra',
+    uncontrolled: 'zebra',
+    unmarked: 'unmarked'
+};
+
+// Места для отдыха рядом с сетью привязываются к узлу не дальше этого расстояния, в метрах
+const REST_LINK_DISTANCE = 15;
+
+// Средняя длина ступени лестницы по горизонтали, в метрах, — для оценки числа ступеней
+const STEP_DEPTH = 0.3;
+
+// Уверенность в атрибутах из тегов OSM и в значениях, взятых по умолчанию или оценённых
+const OSM_CONFIDENCE = 0.7;
+const ESTIMATED_CONFIDENCE = 0.3;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, key, , value] of text.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/gs)) {
+        attributes[key] = decodeXml(value);
+    }
+    return attributes;
+}
+
+/**
+ * Разбор OSM XML в список элементов
+ * Отношения пропускаются — для пешеходной сети нужны только точки и линии
+ * @returns {Array<{ type: 'node' | 'way', id: number, lat?: number, lon?: number, tags: object, nodes?: number[] }>}
+ */
+export function parseOsmXml(xml) {
+    const elements = [];
+    let current = null;
+
+    const pattern = /<(node|way|relation)\b([^>]*?)(\/?)>|<\/(node|way|relation)>|<(tag|nd)\b([^>]*?)\/>/g;
+    for (const match of xml.matchAll(pattern)) {
+        const [, openType, openAttributes, selfClosing, closeType, childType, childAttributes] = match;
+
+        if (openType) {
+            const attributes = parseAttributes(openAttributes);
+            const element = { type: openType, id: Number(attributes.id), tags: {} };
+            if (openType === 'node') {
+                element.lat = Number(attributes.lat);
+                element.lon = Number(attributes.lon);
+            }
+            if (openType === 'way') {
+                element.nodes = [];
+            }
+
+            if (openType !== 'relation') {
+                elements.push(element);
+            }
+            current = selfClosing ? null : element;
+        } else if (closeType) {
+            current = null;
+        } else if (current) {
+            const attributes = parseAttributes(childAttributes);
+            if (childType === 'tag') {
+                current.tags[attributes.k] = attributes.v;
+            } else if (current.type === 'way') {
+                current.nodes.push(Number(attributes.ref));
+            }
+        }
+    }
+
+    return elements;
+}
+
+/**
+ * Элементы OSM из текста XML, текста или объекта Overpass JSON или готового списка
+ */
+export function readOsmElements(input) {
+    if (Array.isArray(input)) return input;
+
+    if (typeof input === 'string') {
+        const text = input.trimStart();
+        return text.startsWith('<') ? parseOsmXml(text) : readOsmElements(JSON.parse(text));
+    }
+
+    if (input && Array.isArray(input.elements)) return input.elements;
+
+    throw new Error('Неизвестный формат данных OSM');
+}
+
+/**
+ * Длина из тега OSM в сантиметрах: «1.5», «1,5 m», «150 cm», «5'»
+ * @param {string} [defaultUnit] — единицы для значения без единиц
+ * @returns {number | null}
+ */
+export function parseLength(value, defaultUnit = 'm') {
+    if (value === undefined) return null;
+
+    const match = String(value).trim().replace(',', '.').match(/^(-?\d+(?:\.\d+)?)\s*(mm|cm|m|'|ft)?$/);
+    if (!match) return null;
+
+    const number = Number(match[1]);
+    const unit = match[2] || defaultUnit;
+    const centimeters = { mm: 0.1, cm: 1, m: 100, "'": 30.48, ft: 30.48 };
+    return Math.round(number * centimeters[unit] * 10) / 10;
+}
+
+/**
+ * Уклон из тега incline в процентах: «5%», «-3%», «4°», «0»
+ * Значения up/down задают только направление и уклоном не считаются
+ * @returns {number | null}
+ */
+export function parseIncline(value) {
+    if (value === undefined) return null;
+
+    const match = String(value).trim().replace(',', '.').match(/^(-?\d+(?:\.\d+)?)\s*(%|°)?$/);
+    if (!match) return null;
+
+    const number = Number(match[1]);
+    const percent = match[2] === '°' ? Math.tan(number * Math.PI / 180) * 100 : number;
+    return Math.round(percent * 10) / 10;
+}
+
+// Высота бордюра из тегов точки или линии, в сантиметрах
+function getKerbHeight(tags) {
+    if (tags['kerb:height'] !== undefined) {
+        // Без единиц высота указывается в метрах, но «6» явно означает сантиметры
+        const value = String(tags['kerb:height']).trim().replace(',', '.');
+        const height = parseLength(value, Number(value) > 1 ? 'cm' : 'm');
+        if (height !== null) return height;
+    }
+    return KERB_HEIGHTS[tags.kerb] ?? null;
+}
+
+// Ходят ли по линии пешком
+function isFootWay(tags) {
+    if (['no', 'private'].includes(tags.foot) || (['no', 'private'].includes(tags.access) && !tags.foot)) {
+        return false;
+    }
+    if (['yes', 'designated', 'permissive'].includes(tags.foot) && tags.highway) return true;
+    if (FOOT_HIGHWAYS.includes(tags.highway)) return true;
+
+    const sidewalk = tags.sidewalk || tags['sidewalk:both'];
+    return SIDEWALK_HIGHWAYS.includes(tags.highway) && !!sidewalk && !['no', 'none', 'separate'].includes(sidewalk);
+}
+
+function isCrossingWay(tags) {
+    return tags.footway === 'crossing' || tags.path === 'crossing' || (!!tags.crossing && tags.highway !== 'steps');
+}
+
+function getCrossingType(tags) {
+    if (tags.tunnel === 'yes' || Number(tags.layer) < 0) return 'underpass';
+    if (tags.bridge === 'yes') return 'overpass';
+    return CROSSING_TYPES[tags.crossing] || CROSSING_TYPES[tags['crossing:markings'] === 'no' ? 'unmarked' : 'marked'];
+}
+
+function toBoolean(value) {
+    if (value === 'yes') return true;
+    if (value === 'no') return false;
+    return undefined;
+}
+
+// Место для отдыха в точке OSM
+function getRestType(tags) {
+    if (tags.amenity === 'bench' || tags.leisure === 'picnic_table') return 'bench';
+    if (tags.amenity === 'toilets' && tags.wheelchair === 'yes') return 'toilet';
+    if (tags.amenity === 'shelter' || tags.leisure === 'outdoor_seating') return 'rest_area';
+    return null;
+}
+
+/**
+ * Атрибуты ребра по тегам линии и точек на концах ребра
+ * @param {object[]} endTags — теги концов, которые относятся к этой линии
+ * @returns {{ attributes: object, missing: string[] }}
+ */
+function mapWayTags(tags, endTags, distance, defaults) {
+    const attributes = {};
+    const missing = [];
+
+    if (tags.name) {
+        attributes.name = tags.name;
+    }
+
+    const surface = tags.surface;
+    if (surface) {
+        attributes.surface = SURFACES[surface] || surface;
+    } else {
+        attributes.surface = defaults.surface;
+        missing.push('surface');
+    }
+
+    const incline = parseIncline(tags.incline);
+    if (incline !== null) {
+        attributes.slope = incline;
+    } else {
+        attributes.slope = defaults.slope;
+        missing.push('slope');
+    }
+
+    const width = parseLength(tags.width) ?? parseLength(tags.est_width);
+    if (width !== null) {
+        attributes.width = width;
+    } else {
+        attributes.width = defaults.width;
+        missing.push('width');
+    }
+
+    // Бордюр — на линии перехода или в точках на её концах
+    const kerbs = [tags, ...endTags].map(getKerbHeight).filter(height => height !== null);
+    const crossing = isCrossingWay(tags);
+    if (kerbs.length > 0) {
+        attributes.curb = Math.max(...kerbs);
+    } else {
+        attributes.curb = defaults.curb;
+        if (crossing) {
+            missing.push('curb');
+        }
+    }
+
+    if (tags.highway === 'steps') {
+        const stepCount = Number.parseInt(tags.step_count, 10);
+        if (stepCount > 0) {
+            attributes.stepCount = stepCount;
+        } else {
+            attributes.stepCount = Math.max(1, Math.round(distance / STEP_DEPTH));
+            missing.push('stepCount');
+        }
+    }
+
+    if (tags.ramp === 'yes' || tags['ramp:wheelchair'] === 'yes' || (tags.highway === 'steps' && tags.wheelchair === 'yes')) {
+        attributes.hasRamp = true;
+    }
+    if (tags.wheelchair) {
+        attributes.wheelchair = tags.wheelchair;
+    }
+
+    if (crossing) {
+        attributes.crossingType = getCrossingType(tags);
+        attributes.audibleSignal = tags['traffic_signals:sound'] === 'yes';
+    }
+
+    const tactilePaving = [tags, ...endTags].map(endTag => toBoolean(endTag.tactile_paving)).find(value => value !== undefined);
+    if (tactilePaving !== undefined) {
+        attributes.tactilePaving = tactilePaving;
+    } else if (crossing) {
+        missing.push('tactilePaving');
+    }
+
+    const lit = toBoolean(tags.lit);
+    if (lit !== undefined) {
+        attributes.lit = lit;
+    }
+
+    return { attributes, missing };
+}
+
+// Происхождение атрибутов ребра: данные OSM без даты проверки, пропущенные значения — с низкой уверенностью
+function getOsmProvenance(missing) {
+    const provenance = { default: { source: 'osm', confidence: OSM_CONFIDENCE } };
+    missing
+        .filter(attribute => MEASURED_ATTRIBUTES.includes(attribute))
+        .forEach(attribute => {
+            provenance[attribute] = { source: 'osm', confidence: ESTIMATED_CONFIDENCE };
+        });
+    return provenance;
+}
+
+// Направление одностороннего движения для пешехода: 1, -1 или 0
+function getOneway(tags) {
+    if (tags.conveying === 'forward') return 1;
+    if (tags.conveying === 'backward') return -1;
+
+    const oneway = tags['oneway:foot'] ?? (FOOT_HIGHWAYS.includes(tags.highway) ? tags.oneway : undefined);
+    if (oneway === 'yes' || oneway === '1') return 1;
+    if (oneway === '-1') return -1;
+    return 0;
+}
+
+/**
+ * Граф пешеходной сети из данных OSM
+ * @param {string | object | Array} input — OSM XML, Overpass JSON или список элементов
+ * @param {object} [options] — defaults: замена значений DEFAULT_ATTRIBUTES
+ * @returns {{ graph: { nodes, edges, barriers }, report: { edges: Array<{ id, wayId, missing: string[] }>, missing: object, skippedWays: number } }}
+ *   report.missing — сколько рёбер без каждого атрибута
+ */
+export function importOsm(input, options = {}) {
+    const defaults = { ...DEFAULT_ATTRIBUTES, ...options.defaults };
+    const elements = readOsmElements(input);
+    const osmNodes = new Map();
+    const ways = [];
+
+    elements.forEach(element => {
+        if (element.type === 'node') {
+            osmNodes.set(element.id, element);
+        } else if (element.type === 'way') {
+            ways.push(element);
+        }
+    });
+
+    // Пешеходные линии и число таких линий через каждую точку
+    const footWays = ways.filter(way => isFootWay(way.tags || {}) && way.tags.area !== 'yes');
+    const wayCounts = new Map();
+    footWays.forEach(way => {
+        new Set(way.nodes || way.refs || []).forEach(ref => wayCounts.set(ref, (wayCounts.get(ref) || 0) + 1));
+    });
+
+    const nodes = new Map();
+    const nodeWayNames = new Map();
+    const edges = [];
+    const reportEdges = [];
+    const missingCounts = {};
+    let skippedWays = ways.length - footWays.length;
+
+    const addNode = (osmNode, wayName) => {
+        const id = `osm-n${osmNode.id}`;
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, lat: osmNode.lat, lng: osmNode.lon });
+            nodeWayNames.set(id, new Set());
+            if (osmNode.tags?.name) {
+                nodes.get(id).name = osmNode.tags.name;
+            }
+        }
+        if (wayName) {
+            nodeWayNames.get(id).add(wayName);
+        }
+        return nodes.get(id);
+    };
+
+    footWays.forEach(way => {
+        const { tags } = way;
+        const refs = way.nodes || way.refs || [];
+        const points = refs.map(ref => osmNodes.get(ref));
+        if (points.some(point => !point)) {
+            // Линия обрезана границей выгрузки: её точек нет в данных
+            skippedWays++;
+            return;
+        }
+
+        // Бордюр или плитка в точке на стыке линий относится к переходу, а не к тротуару вдоль него
+        const crossing = isCrossingWay(tags);
+        const getEndTags = (osmNode) => crossing || wayCounts.get(osmNode.id) === 1 ? osmNode.tags || {} : {};
+
+        const oneway = getOneway(tags);
+        const ordered = oneway === -1 ? [...points].reverse() : points;
+
+        for (let i = 0; i < ordered.length - 1; i++) {
+            const fromOsm = ordered[i];
+            const toOsm = ordered[i + 1];
+            if (fromOsm.id === toOsm.id) continue;
+
+            const from = addNode(fromOsm, tags.name);
+            const to = addNode(toOsm, tags.name);
+            const distance = Math.round(calculateDistance(from.lat, from.lng, to.lat, to.lng) * 10) / 10;
+
+            // Уклон в теге задан по направлению линии
+            const { attributes, missing } = mapWayTags(tags, [getEndTags(fromOsm), getEndTags(toOsm)], distance, defaults);
+            if (oneway === -1) {
+                attributes.slope = -attributes.slope;
+            }
+
+            const edge = {
+                id: `osm-w${way.id}-${i}`,
+                from: from.id,
+                to: to.id,
+                distance,
+                ...attributes,
+                provenance: getOsmProvenance(missing)
+            };
+            if (oneway !== 0) {
+                edge.oneway = true;
+            }
+            edges.push(edge);
+
+            reportEdges.push({ id: edge.id, wayId: way.id, missing });
+            missing.forEach(key => {
+                missingCounts[key] = (missingCounts[key] || 0) + 1;
+            });
+        }
+    });
+
+    // Безымянные узлы называются по улицам, на которых стоят: «Тверская / Моховая»
+    nodes.forEach(node => {
+        const names = [...nodeWayNames.get(node.id)];
+        if (!node.name && names.length > 0) {
+            node.name = names.slice(0, 2).join(' / ');
+        }
+    });
+
+    // Скамейки и туалеты рядом с сетью — места для отдыха в ближайшем узле
+    const nodeIndex = buildPointIndex([...nodes.values()]);
+    osmNodes.forEach(osmNode => {
+        const rest = getRestType(osmNode.tags || {});
+        if (!rest) return;
+
+        const [nearest] = nodeIndex.nearest({ lat: osmNode.lat, lng: osmNode.lon }, 1, REST_LINK_DISTANCE);
+        if (nearest && !nearest.item.rest) {
+            nearest.item.rest = rest;
+        }
+    });
+
+    return {
+        graph: { nodes: [...nodes.values()], edges, barriers: [] },
+        report: { edges: reportEdges, missing: missingCounts, skippedWays }
+    };
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { importOsm, parseOsmXml, parseLength, parseIncline } from './osmImport';
+import { parseOsmPbf } from './osmPbf';
+import { SAMPLE_OSM_XML, encodeOsmPbf } from './osmImport.fixtures';
+import { validateGraph } from './graphSchema';
+import { getSafetyMargins } from './provenance';
+
+describe('importOsm', () => {
+    const { graph, report } = importOsm(SAMPLE_OSM_XML);
+    const edgeById = new Map(graph.edges.map(edge => [edge.id, edge]));
+
+    it('maps way and node tags onto edge attributes', () => {
+        const sidewalk = edgeById.get('osm-w100-0');
+        expect(sidewalk).toMatchObject({ name: 'Тверская & Co', surface: 'concrete', slope: 5, width: 250, curb: 0 });
+
+        // kerb:height в метрах на конце перехода, звуковой сигнал и плитка на линии
+        expect(edgeById.get('osm-w101-0')).toMatchObject({
+            curb: 4,
+            crossingType: 'signals',
+            audibleSignal: true,
+            tactilePaving: true
+        });
+
+        expect(edgeById.get('osm-w102-0')).toMatchObject({ stepCount: 12, slope: 0 });
+        expect(edgeById.has('osm-w103-0')).toBe(false);
+    });
+
+    it('reads tag values in different units', () => {
+        expect(parseLength('1,5 m')).toBe(150);
+        expect(parseLength('90 cm')).toBe(90);
+        expect(parseLength("3'")).toBe(91.4);
+        expect(parseLength('wide')).toBeNull();
+        expect(parseIncline('-3%')).toBe(-3);
+        expect(parseIncline('4°')).toBe(7);
+        expect(parseIncline('up')).toBeNull();
+    });
+
+    it('reports missing and defaulted attributes per edge', () => {
+        const missingOf = (id) => report.edges.find(edge => edge.id === id).missing;
+
+        expect(missingOf('osm-w100-0')).toEqual([]);
+        expect(missingOf('osm-w101-0')).toEqual(['surface', 'slope', 'width']);
+        expect(missingOf('osm-w102-0')).toEqual(['surface', 'slope', 'width']);
+        expect(missingOf('osm-w104-0')).toEqual(['surface', 'slope', 'width', 'curb', 'tactilePaving']);
+        expect(report.missing).toEqual({ surface: 3, slope: 3, width: 3, curb: 1, tactilePaving: 1 });
+        expect(report.skippedWays).toBe(1);
+
+        // Атрибуты по умолчанию отмечены низкой уверенностью
+        expect(edgeById.get('osm-w104-0').provenance.curb.confidence).toBeLessThan(0.5);
+    });
+
+    it('does not take the OSM edit time for a verification date', () => {
+        const sidewalk = edgeById.get('osm-w100-0');
+
+        expect(sidewalk.provenance.default.verifiedAt).toBeUndefined();
+        expect(getSafetyMargins(sidewalk, Date.parse('2026-10-19')).uncertain).toEqual([]);
+    });
+
+    it('links benches to the nearest node', () => {
+        expect(graph.nodes.find(node => node.id === 'osm-n3').rest).toBe('bench');
+    });
+
+    it('produces a graph that passes the schema check', () => {
+        expect(validateGraph(graph).errors).toEqual([]);
+    });
+});
+
+describe('parseOsmPbf', () => {
+    it('reads the same elements as the XML extract', () => {
+        const elements = parseOsmXml(SAMPLE_OSM_XML);
+        const decoded = parseOsmPbf(encodeOsmPbf(elements));
+
+        expect(decoded).toEqual(elements);
+        expect(importOsm(decoded)).toEqual(importOsm(SAMPLE_OSM_XML));
+    });
+
+    it('rejects a truncated file', () => {
+        const bytes = encodeOsmPbf(parseOsmXml(SAMPLE_OSM_XML));
+
+        expect(() => parseOsmPbf(bytes.subarray(0, bytes.length - 10))).toThrow('обрывается');
+    });
+});
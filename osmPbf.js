@@ -0,0 +1,318 @@
+/**
+ * Чтение выгрузок OpenStreetMap в формате PBF (.osm.pbf)
+ * Файл — последовательность блоков: длина заголовка (4 байта, big-endian),
+ * BlobHeader и Blob в protobuf. Блок OSMData — PrimitiveBlock с точками
+ * (обычными и DenseNodes) и линиями; отношения и метаданные правок пропускаются
+ *
+ * Результат — список элементов того же вида, что даёт parseOsmXml:
+ * { type: 'node', id, lat, lon, tags } и { type: 'way', id, tags, nodes }
+ *
+ * Формат: https://wiki.openstreetmap.org/wiki/PBF_Format
+ */
+
+import { inflateSync } from 'node:zlib';
+
+// Обязательные возможности формата, которые умеет читать импорт
+const SUPPORTED_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+
+// Типы полей protobuf
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Последовательное чтение сообщения protobuf
+ * Целые до 2^53 читаются как обычные числа — этого хватает для id и координат OSM
+ */
+class ProtoReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    get done() {
+        return this.pos >= this.bytes.length;
+    }
+
+    // Номер поля и тип значения
+    next() {
+        const key = this.varint();
+        return { field: Math.floor(key / 8), wireType: key % 8 };
+    }
+
+    varint() {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (this.pos >= this.bytes.length) {
+                throw new Error('Файл PBF обрывается посреди блока');
+            }
+            byte = this.bytes[this.pos++];
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    // int64 со знаком: отрицательные значения занимают все 64 бита
+    int64() {
+        let result = 0n;
+        let shift = 0n;
+        let byte;
+        do {
+            byte = this.bytes[this.pos++];
+            result |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+        } while (byte & 0x80);
+        return Number(BigInt.asIntN(64, result));
+    }
+
+    // sint32 и sint64 (zigzag)
+    sint() {
+        const value = this.varint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    bytesField() {
+        const length = this.varint();
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    string() {
+        return textDecoder.decode(this.bytesField());
+    }
+
+    // Повторяющееся числовое поле: упакованное или по одному значению
+    repeated(wireType, read) {
+        if (wireType !== WIRE_BYTES) {
+            return [read.call(this)];
+        }
+
+        const packed = new ProtoReader(this.bytesField());
+        const values = [];
+        while (!packed.done) {
+            values.push(read.call(packed));
+        }
+        return values;
+    }
+
+    skip(wireType) {
+        if (wireType === WIRE_VARINT) this.varint();
+        else if (wireType === WIRE_FIXED64) this.pos += 8;
+        else if (wireType === WIRE_BYTES) this.pos += this.varint();
+        else if (wireType === WIRE_FIXED32) this.pos += 4;
+        else throw new Error(`Неизвестный тип поля protobuf: ${wireType}`);
+    }
+}
+
+// Перебор полей сообщения: handler возвращает false для полей, которые надо пропустить
+function readMessage(bytes, handler) {
+    const reader = new ProtoReader(bytes);
+    while (!reader.done) {
+        const { field, wireType } = reader.next();
+        if (handler(field, wireType, reader) === false) {
+            reader.skip(wireType);
+        }
+    }
+}
+
+function readBlobHeader(bytes) {
+    const header = { type: '', datasize: 0 };
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) header.type = reader.string();
+        else if (field === 3) header.datasize = reader.varint();
+        else return false;
+    });
+    return header;
+}
+
+// Содержимое блока: без сжатия или zlib
+function readBlob(bytes) {
+    let data = null;
+    let compression = null;
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) data = reader.bytesField();
+        else if (field === 3) data = inflateSync(reader.bytesField());
+        else if (field >= 4 && field <= 7) {
+            compression = { 4: 'lzma', 5: 'bzip2', 6: 'lz4', 7: 'zstd' }[field];
+            return false;
+        } else return false;
+    });
+
+    if (!data) {
+        throw new Error(compression
+            ? `Сжатие ${compression} в файле PBF не поддерживается`
+            : 'Пустой блок в файле PBF');
+    }
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function checkHeaderBlock(bytes) {
+    const unsupported = [];
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field !== 4) return false;
+        const feature = reader.string();
+        if (!SUPPORTED_FEATURES.includes(feature)) {
+            unsupported.push(feature);
+        }
+    });
+
+    if (unsupported.length > 0) {
+        throw new Error(`Файл PBF требует неподдерживаемых возможностей: ${unsupported.join(', ')}`);
+    }
+}
+
+function readTags(keys, values, strings) {
+    const tags = {};
+    keys.forEach((key, idx) => {
+        tags[strings[key]] = strings[values[idx]];
+    });
+    return tags;
+}
+
+function readNode(bytes, block) {
+    const node = { type: 'node', id: 0, lat: 0, lon: 0, tags: {} };
+    let keys = [];
+    let values = [];
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) node.id = reader.sint();
+        else if (field === 2) keys = keys.concat(reader.repeated(wireType, reader.varint));
+        else if (field === 3) values = values.concat(reader.repeated(wireType, reader.varint));
+        else if (field === 8) node.lat = block.toDegrees(reader.sint(), block.latOffset);
+        else if (field === 9) node.lon = block.toDegrees(reader.sint(), block.lonOffset);
+        else return false;
+    });
+    node.tags = readTags(keys, values, block.strings);
+    return node;
+}
+
+// DenseNodes: id и координаты записаны разностями с предыдущей точкой,
+// теги всех точек — одним списком пар ключ/значение, точки разделены нулём
+function readDenseNodes(bytes, block, elements) {
+    let ids = [];
+    let lats = [];
+    let lons = [];
+    let keysValues = [];
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) ids = ids.concat(reader.repeated(wireType, reader.sint));
+        else if (field === 8) lats = lats.concat(reader.repeated(wireType, reader.sint));
+        else if (field === 9) lons = lons.concat(reader.repeated(wireType, reader.sint));
+        else if (field === 10) keysValues = keysValues.concat(reader.repeated(wireType, reader.varint));
+        else return false;
+    });
+
+    let id = 0;
+    let lat = 0;
+    let lon = 0;
+    let tagIndex = 0;
+    ids.forEach((delta, idx) => {
+        id += delta;
+        lat += lats[idx];
+        lon += lons[idx];
+
+        const tags = {};
+        while (tagIndex < keysValues.length && keysValues[tagIndex] !== 0) {
+            tags[block.strings[keysValues[tagIndex]]] = block.strings[keysValues[tagIndex + 1]];
+            tagIndex += 2;
+        }
+        tagIndex++;
+
+        elements.push({
+            type: 'node',
+            id,
+            lat: block.toDegrees(lat, block.latOffset),
+            lon: block.toDegrees(lon, block.lonOffset),
+            tags
+        });
+    });
+}
+
+function readWay(bytes, block) {
+    const way = { type: 'way', id: 0, tags: {}, nodes: [] };
+    let keys = [];
+    let values = [];
+    let refs = [];
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) way.id = reader.varint();
+        else if (field === 2) keys = keys.concat(reader.repeated(wireType, reader.varint));
+        else if (field === 3) values = values.concat(reader.repeated(wireType, reader.varint));
+        else if (field === 8) refs = refs.concat(reader.repeated(wireType, reader.sint));
+        else return false;
+    });
+
+    way.tags = readTags(keys, values, block.strings);
+    let ref = 0;
+    way.nodes = refs.map(delta => (ref += delta));
+    return way;
+}
+
+function readPrimitiveBlock(bytes, elements) {
+    const groups = [];
+    const block = { strings: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+    readMessage(bytes, (field, wireType, reader) => {
+        if (field === 1) {
+            readMessage(reader.bytesField(), (stringField, stringWireType, strings) => {
+                if (stringField !== 1) return false;
+                block.strings.push(strings.string());
+            });
+        } else if (field === 2) groups.push(reader.bytesField());
+        else if (field === 17) block.granularity = reader.varint();
+        else if (field === 19) block.latOffset = reader.int64();
+        else if (field === 20) block.lonOffset = reader.int64();
+        else return false;
+    });
+
+    // Координата в наноградусах: offset + granularity * value; точность OSM — 7 знаков
+    block.toDegrees = (value, offset) => Math.round((offset + block.granularity * value) / 100) / 1e7;
+
+    // Группы читаются после всего блока: granularity и смещения могут идти после них
+    groups.forEach(group => {
+        readMessage(group, (field, wireType, reader) => {
+            if (field === 1) elements.push(readNode(reader.bytesField(), block));
+            else if (field === 2) readDenseNodes(reader.bytesField(), block, elements);
+            else if (field === 3) elements.push(readWay(reader.bytesField(), block));
+            else return false;
+        });
+    });
+}
+
+/**
+ * Элементы OSM из файла PBF
+ * @param {Uint8Array | ArrayBuffer} buffer — содержимое файла
+ * @returns {Array<{ type: 'node' | 'way', id: number, lat?: number, lon?: number, tags: object, nodes?: number[] }>}
+ */
+export function parseOsmPbf(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const elements = [];
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        if (pos + 4 > bytes.length) {
+            throw new Error('Файл PBF обрывается посреди блока');
+        }
+        const headerLength = view.getUint32(pos);
+        pos += 4;
+        const header = readBlobHeader(bytes.subarray(pos, pos + headerLength));
+        pos += headerLength;
+        if (pos + header.datasize > bytes.length) {
+            throw new Error('Файл PBF обрывается посреди блока');
+        }
+        const data = readBlob(bytes.subarray(pos, pos + header.datasize));
+        pos += header.datasize;
+
+        if (header.type === 'OSMHeader') {
+            checkHeaderBlock(data);
+        } else if (header.type === 'OSMData') {
+            readPrimitiveBlock(data, elements);
+        }
+    }
+
+    return elements;
+}
@@ -0,0 +1,83 @@
+/**
+ * Доступные места (POI): туалеты, входы с пандусами, лифты, парковки, аптеки
+ * Места хранятся отдельно от графа и при построении маршрута
+ * привязываются к ближайшему доступному пути
+ *
+ * POI: { id, category, name, lat, lng, description?, hours? }
+ */
+
+import { calculateDistance } from './routing';
+
+// Категории мест
+export const POI_CATEGORIES = {
+    toilet: { label: 'Доступный туалет', icon: '🚻' },
+    entrance: { label: 'Вход с пандусом', icon: '🚪' },
+    elevator: { label: 'Лифт', icon: '🛗' },
+    parking: { label: 'Парковка для инвалидов', icon: '🅿️' },
+    pharmacy: { label: 'Аптека', icon: '💊' }
+};
+
+// Сколько ближайших мест проверять при поиске маршрута к ближайшему
+export const NEAREST_POI_CANDIDATES = 5;
+
+// Поиск по кандидатам ограничен этим радиусом, в метрах
+const NEAREST_POI_RADIUS = 3000;
+
+/**
+ * Места выбранных категорий, в названии, адресе или категории которых есть запрос
+ * @param {Set<string>} categories — видимые категории
+ */
+export function filterPois(pois, categories, query = '') {
+    const text = query.trim().toLowerCase();
+
+    return pois.filter(poi => {
+        if (!categories.has(poi.category)) return false;
+        if (!text) return true;
+
+        const label = POI_CATEGORIES[poi.category]?.label || '';
+        return [poi.name, poi.description, label].some(value => value?.toLowerCase().includes(text));
+    });
+}
+
+/**
+ * Ближайшие по прямой места категории
+ * @param {object} poiIndex — индекс мест (buildPointIndex)
+ * @returns {Array<{ item: object, distance: number }>}
+ */
+export function getNearestPois(poiIndex, point, category, count = NEAREST_POI_CANDIDATES) {
+    return poiIndex.withinRadius(point, NEAREST_POI_RADIUS)
+        .filter(({ item }) => item.category === category)
+        .slice(0, count);
+}
+
+/**
+ * Лучший достижимый маршрут к одному из мест
+ * Стоимость — вес маршрута до точки на пути плюс подход от неё к месту; она
+ * не меньше расстояния по прямой, поэтому кандидаты перебираются по его
+ * возрастанию и перебор останавливается, как только следующий кандидат
+ * по прямой дальше стоимости лучшего найденного
+ * @param {Array<{ item: object, distance: number }>} candidates — результат getNearestPois
+ * @param {Function} routeTo — (poi) => { route, cost } или null, если место недостижимо
+ * @returns {{ poi: object, route: object, cost: number } | null}
+ */
+export function findBestReachable(candidates, routeTo) {
+    let best = null;
+
+    for (const { item: poi, distance } of candidates) {
+        if (best && distance >= best.cost) break;
+
+        const result = routeTo(poi);
+        if (result && (!best || result.cost < best.cost)) {
+            best = { poi, ...result };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Расстояние от точки до места для подписи в списке
+ */
+export function getPoiDistance(point, poi) {
+    return calculateDistance(point.lat, point.lng, poi.lat, poi.lng);
+}
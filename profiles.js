@@ -0,0 +1,299 @@
+/**
+ * Профили доступности пользователя
+ * Несколько именованных профилей хранятся в localStorage; профиль можно
+ * передать другому человеку файлом JSON или ссылкой с параметром ?profile=
+ *
+ * Формат файла: { format: 'easyway-profile', version: 1, name, settings }
+ */
+
+const STORAGE_KEY = 'easyway-profiles';
+const EXPORT_FORMAT = 'easyway-profile';
+const EXPORT_VERSION = 1;
+
+// Параметр ссылки с профилем
+export const PROFILE_URL_PARAM = 'profile';
+
+export const MOBILITY_TYPES = ['wheelchair', 'wheelchair_assisted', 'stroller', 'crutches', 'blind', 'low_vision', 'cognitive'];
+
+// Названия способов передвижения для отчётов
+export const MOBILITY_LABELS = {
+    wheelchair: 'Инвалидная коляска',
+    wheelchair_assisted: 'Коляска с сопровождающим',
+    stroller: 'Детская коляска',
+    crutches: 'Костыли/трость',
+    blind: 'Незрячий',
+    low_vision: 'Слабовидящий',
+    cognitive: 'Когнитивные особенности'
+};
+
+// Штраф за поворот для тех, кому проще маршрут с меньшим числом поворотов, в метрах
+export const SIMPLE_ROUTE_TURN_PENALTY = 30;
+
+// Ограничения по умолчанию для каждого способа передвижения
+export const PROFILE_PRESETS = {
+    wheelchair: {
+        maxCurbHeight: 5,
+        maxSlopeUp: 6,
+        maxSlopeDown: 8,
+        minWidth: 90,
+        maxSteps: 0,
+        allowRepair: false
+    },
+    wheelchair_assisted: {
+        maxCurbHeight: 8,
+        maxSlopeUp: 8,
+        maxSlopeDown: 10,
+        minWidth: 90,
+        maxSteps: 0
+    },
+    stroller: {
+        maxCurbHeight: 10,
+        maxSlopeUp: 10,
+        maxSlopeDown: 12,
+        minWidth: 70,
+        maxSteps: 0
+    },
+    crutches: {
+        maxCurbHeight: 15,
+        maxSlopeUp: 8,
+        maxSlopeDown: 8,
+        minWidth: 60,
+        maxSteps: 10,
+        maxRestDistance: 800,
+        prefersBenches: true
+    },
+    blind: {
+        maxCurbHeight: 15,
+        maxSlopeUp: 10,
+        maxSlopeDown: 10,
+        minWidth: 60,
+        maxSteps: 50,
+        needsTactilePaving: true,
+        needsAudibleSignal: true
+    },
+    low_vision: {
+        maxCurbHeight: 15,
+        maxSlopeUp: 10,
+        maxSlopeDown: 10,
+        minWidth: 60,
+        maxSteps: 50,
+        needsTactilePaving: true,
+        needsLighting: true
+    },
+    cognitive: {
+        maxCurbHeight: 15,
+        maxSlopeUp: 10,
+        maxSlopeDown: 10,
+        minWidth: 60,
+        maxSteps: 50,
+        avoidComplexCrossings: true,
+        turnPenalty: SIMPLE_ROUTE_TURN_PENALTY
+    }
+};
+
+// Допустимые диапазоны числовых настроек (как у ползунков в панели профиля)
+const NUMBER_FIELDS = {
+    maxCurbHeight: [0, 15],
+    maxSlopeUp: [0, 15],
+    maxSlopeDown: [0, 15],
+    minWidth: [60, 150],
+    maxSteps: [0, 50],
+    maxRestDistance: [0, 1000],
+    turnPenalty: [0, 100]
+};
+
+const BOOLEAN_FIELDS = [
+    'allowRepair',
+    'needsTactilePaving',
+    'needsAudibleSignal',
+    'needsLighting',
+    'avoidComplexCrossings',
+    'prefersBenches',
+    'voiceEnabled',
+    'cautiousData'
+];
+
+// Личные настройки, которые не зависят от способа передвижения
+const PERSONAL_FIELDS = ['voiceEnabled', 'cautiousData'];
+
+// Настройки, которые задаются шаблоном способа передвижения
+const PRESET_FIELDS = [...Object.keys(NUMBER_FIELDS), ...BOOLEAN_FIELDS.filter(key => !PERSONAL_FIELDS.includes(key))];
+
+export const DEFAULT_PROFILE = {
+    mobilityType: 'wheelchair',
+    ...PROFILE_PRESETS.wheelchair,
+    voiceEnabled: false,
+    // Неточные и устаревшие данные учитываются с запасом
+    cautiousData: true
+};
+
+/**
+ * Профиль с ограничениями по умолчанию для способа передвижения
+ * Настройки прежнего шаблона сбрасываются, остальные (голосовые подсказки, запас на неточные данные) сохраняются
+ */
+export function applyPreset(profile, mobilityType) {
+    const rest = Object.fromEntries(Object.entries(profile).filter(([key]) => !PRESET_FIELDS.includes(key)));
+    return { ...rest, mobilityType, ...PROFILE_PRESETS[mobilityType] };
+}
+
+/**
+ * Проверка настроек профиля из внешнего источника
+ * Неизвестные поля отбрасываются, числа ограничиваются допустимым диапазоном,
+ * отсутствующие значения берутся из шаблона для способа передвижения
+ */
+export function sanitizeProfile(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Неверный формат профиля');
+    }
+    if (!MOBILITY_TYPES.includes(data.mobilityType)) {
+        throw new Error(`Неизвестный способ передвижения: ${data.mobilityType}`);
+    }
+
+    const personal = Object.fromEntries(PERSONAL_FIELDS.map(key => [key, DEFAULT_PROFILE[key]]));
+    const profile = applyPreset(personal, data.mobilityType);
+
+    Object.entries(NUMBER_FIELDS).forEach(([key, [min, max]]) => {
+        if (Number.isFinite(data[key])) {
+            profile[key] = Math.min(max, Math.max(min, data[key]));
+        }
+    });
+
+    BOOLEAN_FIELDS.forEach(key => {
+        if (typeof data[key] === 'boolean') {
+            profile[key] = data[key];
+        }
+    });
+
+    return profile;
+}
+
+function createProfileId() {
+    return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Новая запись в списке профилей
+ */
+export function createNamedProfile(name, settings = DEFAULT_PROFILE) {
+    return { id: createProfileId(), name, settings };
+}
+
+function getDefaultState() {
+    const first = createNamedProfile('Мой профиль');
+    return { profiles: [first], activeId: first.id };
+}
+
+/**
+ * Хранилище списка профилей
+ * Состояние: { profiles: [{ id, name, settings }], activeId }
+ */
+export function createProfileStorage(storage = globalThis.localStorage) {
+    return {
+        load() {
+            try {
+                const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+                const profiles = (saved?.profiles || []).flatMap(entry => {
+                    try {
+                        return [{ ...entry, settings: sanitizeProfile(entry.settings) }];
+                    } catch {
+                        return [];
+                    }
+                });
+
+                if (profiles.length === 0) {
+                    return getDefaultState();
+                }
+
+                const activeId = profiles.some(entry => entry.id === saved.activeId)
+                    ? saved.activeId
+                    : profiles[0].id;
+                return { profiles, activeId };
+            } catch {
+                // localStorage недоступен или содержит повреждённые данные
+                return getDefaultState();
+            }
+        },
+
+        save(state) {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(state));
+                return true;
+            } catch {
+                // Приватный режим или переполнение хранилища
+                return false;
+            }
+        }
+    };
+}
+
+/**
+ * Профиль в виде JSON для передачи другому человеку
+ * @param {number} [indent] — отступ; 0 — компактная запись для ссылки
+ */
+export function exportProfile({ name, settings }, indent = 2) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, name, settings }, null, indent);
+}
+
+/**
+ * Разбор профиля из JSON
+ * @returns {{ name: string, settings: object }}
+ */
+export function importProfile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Файл профиля повреждён');
+    }
+
+    if (data?.format !== EXPORT_FORMAT) {
+        throw new Error('Это не файл профиля');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('Профиль создан в более новой версии приложения');
+    }
+
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Импортированный профиль',
+        settings: sanitizeProfile(data.settings)
+    };
+}
+
+// base64url от UTF-8, чтобы в ссылке сохранялись русские названия
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Ссылка на приложение с профилем в параметре ?profile=
+ */
+export function getProfileShareUrl(namedProfile, baseUrl = window.location.href) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(PROFILE_URL_PARAM, encodeBase64Url(exportProfile(namedProfile, 0)));
+    return url.toString();
+}
+
+/**
+ * Профиль из ссылки или null, если параметра нет
+ * @throws {Error} если параметр есть, но профиль в нём неверный
+ */
+export function readProfileFromUrl(href = window.location.href) {
+    const value = new URL(href).searchParams.get(PROFILE_URL_PARAM);
+    if (!value) return null;
+
+    try {
+        return importProfile(decodeBase64Url(value));
+    } catch (error) {
+        throw new Error(`Ссылка с профилем повреждена: ${error.message}`);
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Происхождение и достоверность данных
+ * Для каждого измеренного атрибута ребра и для каждого барьера известно,
+ * откуда взято значение, насколько ему можно верить и когда его проверяли.
+ * Неточные или устаревшие значения маршрутизатор может учитывать с запасом
+ *
+ * Provenance: { source, confidence (0–1), verifiedAt (ISO-дата) }
+ * Ребро: provenance: { default?: Provenance, curb?: Provenance, slope?: Provenance, ... } —
+ * запись атрибута важнее записи default
+ * Барьер: поля source, confidence, verifiedAt на самом барьере
+ */
+
+// Источники данных
+export const DATA_SOURCES = {
+    drone: { label: 'по данным дрона' },
+    user: { label: 'по сообщению пользователя' },
+    osm: { label: 'по данным OpenStreetMap' },
+    audit: { label: 'по данным обследования' }
+};
+
+// Атрибуты ребра, у которых может быть своё происхождение
+export const MEASURED_ATTRIBUTES = ['curb', 'slope', 'width', 'stepCount', 'surface'];
+
+// Подписи и единицы атрибутов для подсказки
+const ATTRIBUTE_LABELS = {
+    curb: { label: 'Бордюр', unit: ' см' },
+    slope: { label: 'Уклон', unit: '%' },
+    width: { label: 'Ширина прохода', unit: ' см' },
+    stepCount: { label: 'Ступени', unit: '' },
+    surface: { label: 'Покрытие', unit: '' }
+};
+
+// Значение с меньшей уверенностью считается неточным
+export const LOW_CONFIDENCE = 0.6;
+
+// Значение, не проверявшееся дольше этого срока, считается устаревшим, в днях
+export const STALE_AFTER_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Запас для неточных значений: бордюр выше, уклон круче, проход уже
+const SAFETY_MARGINS = {
+    curb: 3,
+    slope: 2,
+    width: 15
+};
+
+// Запасы для ребра, все значения которого достоверны
+export const NO_MARGINS = Object.freeze({ curb: 0, slope: 0, width: 0, uncertain: Object.freeze([]) });
+
+// Запасы рёбер, посчитанные за день: достоверность меняется только с возрастом данных
+const marginCache = new WeakMap();
+
+/**
+ * Происхождение атрибута ребра или null, если оно неизвестно
+ */
+export function getAttributeProvenance(edge, attribute) {
+    return edge.provenance?.[attribute] ?? edge.provenance?.default ?? null;
+}
+
+/**
+ * Происхождение барьера или null, если оно неизвестно
+ */
+export function getBarrierProvenance(barrier) {
+    if (!barrier.source) return null;
+    return { source: barrier.source, confidence: barrier.confidence, verifiedAt: barrier.verifiedAt };
+}
+
+/**
+ * Данные не проверялись дольше STALE_AFTER_DAYS к моменту time
+ */
+export function isStale(provenance, time = Date.now()) {
+    const verifiedAt = Date.parse(provenance?.verifiedAt);
+    return Number.isFinite(verifiedAt) && time - verifiedAt > STALE_AFTER_DAYS * DAY;
+}
+
+/**
+ * Значению нельзя верить как есть: уверенность низкая или данные устарели
+ * Значение без сведений о происхождении неточным не считается
+ */
+export function isUncertain(provenance, time = Date.now()) {
+    if (!provenance) return false;
+    return provenance.confidence < LOW_CONFIDENCE || isStale(provenance, time);
+}
+
+// Неточные атрибуты ребра
+function getUncertainAttributes(edge, time) {
+    return MEASURED_ATTRIBUTES.filter(attribute =>
+        edge[attribute] !== undefined && isUncertain(getAttributeProvenance(edge, attribute), time)
+    );
+}
+
+/**
+ * Запасы для неточных атрибутов ребра
+ * Бордюр проверяется как более высокий, уклон — как более крутой в обе стороны,
+ * проход — как более узкий; uncertain — все неточные атрибуты
+ * @returns {{ curb: number, slope: number, width: number, uncertain: string[] }}
+ */
+export function getSafetyMargins(edge, time = Date.now()) {
+    if (!edge.provenance) return NO_MARGINS;
+
+    const day = Math.floor(time / DAY);
+    const cached = marginCache.get(edge);
+    if (cached?.day === day) return cached.margins;
+
+    const uncertain = getUncertainAttributes(edge, time);
+    const margins = uncertain.length === 0 ? NO_MARGINS : {
+        curb: uncertain.includes('curb') ? SAFETY_MARGINS.curb : 0,
+        slope: uncertain.includes('slope') ? SAFETY_MARGINS.slope : 0,
+        width: uncertain.includes('width') ? SAFETY_MARGINS.width : 0,
+        uncertain
+    };
+
+    marginCache.set(edge, { day, margins });
+    return margins;
+}
+
+/**
+ * Запасы с учётом профиля: без настройки cautiousData данные берутся как есть
+ */
+export function getProfileMargins(edge, profile, time = Date.now()) {
+    return profile.cautiousData ? getSafetyMargins(edge, time) : NO_MARGINS;
+}
+
+/**
+ * Измеренные атрибуты ребра с известным происхождением — для подсказки на карте
+ * @returns {Array<{ attribute, text, provenance, uncertain }>} text — «Бордюр 4 см»
+ */
+export function getEdgeProvenance(edge, time = Date.now()) {
+    return MEASURED_ATTRIBUTES
+        .filter(attribute => edge[attribute] !== undefined)
+        .map(attribute => {
+            const provenance = getAttributeProvenance(edge, attribute);
+            const { label, unit } = ATTRIBUTE_LABELS[attribute];
+            return {
+                attribute,
+                text: `${label} ${edge[attribute]}${unit}`,
+                provenance,
+                uncertain: isUncertain(provenance, time)
+            };
+        })
+        .filter(entry => entry.provenance);
+}
+
+/**
+ * Описание происхождения для подсказки: «по данным дрона, 12.09.2026, уверенность 87%»
+ */
+export function describeProvenance(provenance, time = Date.now()) {
+    if (!provenance) return '';
+
+    const source = DATA_SOURCES[provenance.source]?.label ||
+        (provenance.source ? `источник: ${provenance.source}` : 'источник неизвестен');
+    const parts = [source];
+    const verifiedAt = Date.parse(provenance.verifiedAt);
+    if (Number.isFinite(verifiedAt)) {
+        parts.push(new Date(verifiedAt).toLocaleDateString('ru-RU'));
+    }
+    if (Number.isFinite(provenance.confidence)) {
+        parts.push(`уверенность ${Math.round(provenance.confidence * 100)}%`);
+    }
+    if (isStale(provenance, time)) {
+        parts.push('данные устарели');
+    }
+
+    return parts.join(', ');
+}
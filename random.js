@@ -0,0 +1,16 @@
+/**
+ * Генератор псевдослучайных чисел (mulberry32)
+ * При одном seed даёт одну и ту же последовательность — для воспроизводимых
+ * выборок аналитики и тестовых графов
+ * @returns {() => number} число от 0 до 1
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,304 @@
+/**
+ * Сообщения пользователей о барьерах и очередь модерации
+ *
+ * Хранилище работает через адаптер с интерфейсом:
+ *   list()               → Promise<Report[]>
+ *   save(report)         → Promise<Report>
+ *   update(id, changes)  → Promise<Report>
+ * Локально сообщения хранятся в IndexedDB, для сервера подключается
+ * другой адаптер с тем же интерфейсом
+ *
+ * Report: { id, type, comment, lat, lng, photos: Blob[], status, createdAt,
+ *           source, evidence?, barrierId?, measurement?, resolved?,
+ *           moderatedAt?, severity?, rejectReason? }
+ * Сообщения от облёта дронами (source: 'drone') несут в evidence кандидата
+ * из createBarrierCandidates; кандидат с barrierId уточняет известный барьер.
+ * Сообщение об известном барьере (barrierId) уточняет его измерение
+ * (measurement, см. MEASUREMENTS в observations.js) или сообщает, что барьер
+ * устранён (resolved); source: 'audit' — итог проверки на месте
+ */
+
+import { BARRIER_LABELS } from './barriers';
+
+// Статусы сообщения
+export const REPORT_STATUS = {
+    pending: 'pending',
+    approved: 'approved',
+    rejected: 'rejected'
+};
+
+// Откуда пришло сообщение
+export const REPORT_SOURCE = {
+    user: 'user',
+    drone: 'drone',
+    audit: 'audit'
+};
+
+// Уверенность в барьере из одобренного сообщения пользователя и из проверки на месте
+const REPORT_CONFIDENCE = {
+    [REPORT_SOURCE.user]: 0.8,
+    [REPORT_SOURCE.audit]: 1
+};
+
+const DB_NAME = 'easyway-reports';
+const STORE_NAME = 'reports';
+
+// Обёртка запроса IndexedDB в Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createReportId() {
+    return `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Адаптер IndexedDB (фотографии хранятся как Blob)
+ */
+export function createIndexedDbAdapter(dbName = DB_NAME) {
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (!dbPromise) {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            dbPromise = promisifyRequest(request);
+        }
+        return dbPromise;
+    };
+
+    const withStore = async (mode, callback) => {
+        const db = await openDb();
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return promisifyRequest(callback(store));
+    };
+
+    return {
+        list() {
+            return withStore('readonly', store => store.getAll());
+        },
+
+        async save(report) {
+            await withStore('readwrite', store => store.put(report));
+            return report;
+        },
+
+        async update(id, changes) {
+            const current = await withStore('readonly', store => store.get(id));
+            if (!current) {
+                throw new Error(`Сообщение ${id} не найдено`);
+            }
+
+            const updated = { ...current, ...changes };
+            await withStore('readwrite', store => store.put(updated));
+            return updated;
+        }
+    };
+}
+
+/**
+ * Адаптер в памяти — когда IndexedDB недоступна (приватный режим, тесты)
+ */
+export function createMemoryAdapter(initialReports = []) {
+    const reports = new Map(initialReports.map(report => [report.id, report]));
+
+    return {
+        async list() {
+            return [...reports.values()];
+        },
+
+        async save(report) {
+            reports.set(report.id, report);
+            return report;
+        },
+
+        async update(id, changes) {
+            if (!reports.has(id)) {
+                throw new Error(`Сообщение ${id} не найдено`);
+            }
+
+            const updated = { ...reports.get(id), ...changes };
+            reports.set(id, updated);
+            return updated;
+        }
+    };
+}
+
+/**
+ * Адаптер для REST API сервера
+ * Ожидает GET /reports, POST /reports (multipart) и PATCH /reports/:id
+ */
+export function createRestAdapter(baseUrl) {
+    const request = async (path, options = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, options);
+        if (!response.ok) {
+            throw new Error(`Ошибка сервера: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    return {
+        list() {
+            return request('/reports');
+        },
+
+        save(report) {
+            const form = new FormData();
+            const { photos, ...fields } = report;
+            form.append('report', JSON.stringify(fields));
+            photos.forEach(photo => form.append('photos', photo));
+            return request('/reports', { method: 'POST', body: form });
+        },
+
+        update(id, changes) {
+            return request(`/reports/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+        }
+    };
+}
+
+/**
+ * Адаптер по умолчанию: IndexedDB, если она есть, иначе память
+ */
+export function createDefaultAdapter() {
+    return typeof indexedDB !== 'undefined' ? createIndexedDbAdapter() : createMemoryAdapter();
+}
+
+/**
+ * Барьер для графа из одобренного сообщения
+ * Происхождение барьера: уверенность и время последнего обнаружения дроном
+ * или время сообщения пользователя
+ */
+export function reportToBarrier(report) {
+    const fromDrone = report.source === REPORT_SOURCE.drone;
+    const barrier = {
+        id: `report-${report.id}`,
+        type: report.type,
+        severity: report.severity || 'medium',
+        description: report.comment || BARRIER_LABELS[report.type] || 'Барьер',
+        lat: report.lat,
+        lng: report.lng,
+        reportId: report.id,
+        source: report.source || REPORT_SOURCE.user,
+        confidence: (fromDrone && report.evidence?.confidence) || REPORT_CONFIDENCE[report.source] || REPORT_CONFIDENCE.user,
+        verifiedAt: (fromDrone && report.evidence?.lastSeen) || report.createdAt
+    };
+
+    const replaces = report.barrierId ?? report.evidence?.barrierId;
+    if (replaces !== undefined) {
+        barrier.replaces = replaces;
+    }
+    if (report.resolved) {
+        barrier.resolved = true;
+    }
+    return barrier;
+}
+
+// Момент, с которого действует сообщение: одобрение модератором или, если его нет, отправка
+function getModerationTime(report) {
+    return report.moderatedAt || report.createdAt || '';
+}
+
+/**
+ * Барьеры с учётом одобренных сообщений
+ * Уточнение известного барьера (в том числе добавленного сообщением) переносит
+ * его и меняет серьёзность, сохраняя id, описание и привязку к ребру; остальные сообщения
+ * добавляют новые барьеры. Из нескольких уточнений одного барьера действует
+ * одобренное последним, в каком бы порядке их ни вернуло хранилище
+ */
+export function mergeApprovedReports(barriers, reports) {
+    const approved = reports
+        .filter(report => report.status === REPORT_STATUS.approved)
+        .sort((a, b) => getModerationTime(a).localeCompare(getModerationTime(b)))
+        .map(reportToBarrier);
+    const updates = new Map(approved.filter(barrier => barrier.replaces !== undefined).map(barrier => [barrier.replaces, barrier]));
+
+    const merged = [...barriers, ...approved.filter(barrier => barrier.replaces === undefined)];
+    const ids = new Set(merged.map(barrier => barrier.id));
+
+    return [
+        ...merged.map(barrier => updates.has(barrier.id)
+            ? { ...barrier, ...updates.get(barrier.id), id: barrier.id, description: barrier.description }
+            : barrier
+        ),
+        // Уточнение барьера, которого уже нет, становится новым барьером (кроме сообщения об устранении)
+        ...approved.filter(barrier => barrier.replaces !== undefined && !ids.has(barrier.replaces) && !barrier.resolved)
+    ];
+}
+
+/**
+ * Хранилище сообщений поверх адаптера
+ */
+export function createReportStore(adapter = createDefaultAdapter()) {
+    return {
+        list() {
+            return adapter.list();
+        },
+
+        // Новое сообщение попадает в очередь модерации
+        // Ошибки проверки, как и ошибки хранилища, приходят отклонённым промисом
+        async submit({
+            type,
+            comment = '',
+            location,
+            photos = [],
+            source = REPORT_SOURCE.user,
+            evidence = null,
+            barrierId,
+            measurement,
+            resolved = false
+        }) {
+            if (!type) {
+                throw new Error('Не указан тип барьера');
+            }
+            if (!location) {
+                throw new Error('Не указано местоположение барьера');
+            }
+
+            return adapter.save({
+                id: createReportId(),
+                type,
+                comment,
+                lat: location.lat,
+                lng: location.lng,
+                photos,
+                source,
+                ...(evidence ? { evidence } : {}),
+                ...(barrierId !== undefined ? { barrierId } : {}),
+                ...(Number.isFinite(measurement) ? { measurement } : {}),
+                ...(resolved ? { resolved } : {}),
+                status: REPORT_STATUS.pending,
+                createdAt: new Date().toISOString()
+            });
+        },
+
+        // Новые данные облёта для сообщения, которое ещё ждёт модерации
+        updateEvidence(id, evidence) {
+            return adapter.update(id, { evidence, lat: evidence.lat, lng: evidence.lng });
+        },
+
+        approve(id, severity = 'medium') {
+            return adapter.update(id, {
+                status: REPORT_STATUS.approved,
+                severity,
+                moderatedAt: new Date().toISOString()
+            });
+        },
+
+        reject(id, rejectReason = '') {
+            return adapter.update(id, {
+                status: REPORT_STATUS.rejected,
+                rejectReason,
+                moderatedAt: new Date().toISOString()
+            });
+        }
+    };
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { createMemoryAdapter, createReportStore, mergeApprovedReports, REPORT_STATUS } from './reports';
+
+const location = { lat: 55.75, lng: 37.6 };
+
+describe('createReportStore', () => {
+    it('rejects invalid reports the same way as storage errors', async () => {
+        const store = createReportStore(createMemoryAdapter());
+
+        const missingType = store.submit({ location });
+        expect(missingType).toBeInstanceOf(Promise);
+        await expect(missingType).rejects.toThrow('Не указан тип барьера');
+        await expect(store.submit({ type: 'curb' })).rejects.toThrow('Не указано местоположение барьера');
+    });
+
+    it('queues valid reports for moderation', async () => {
+        const store = createReportStore(createMemoryAdapter());
+        const saved = await store.submit({ type: 'curb', location });
+
+        expect(saved.status).toBe(REPORT_STATUS.pending);
+        expect(await store.list()).toEqual([saved]);
+    });
+});
+
+describe('mergeApprovedReports', () => {
+    const barrier = { id: 'b1', type: 'curb', severity: 'low', description: 'Бордюр', lat: 55.75, lng: 37.6 };
+    const update = (id, severity, moderatedAt) => ({
+        id, type: 'curb', severity, lat: 55.75, lng: 37.6, evidence: { barrierId: 'b1' },
+        status: REPORT_STATUS.approved, createdAt: '2026-10-01T10:00:00.000Z', moderatedAt
+    });
+    const older = update('r1', 'medium', '2026-10-02T10:00:00.000Z');
+    const newer = update('r2', 'high', '2026-10-03T10:00:00.000Z');
+
+    it('applies the latest approved update of a barrier whatever the listing order', () => {
+        [[older, newer], [newer, older]].forEach(reports => {
+            const [merged] = mergeApprovedReports([barrier], reports);
+
+            expect(merged.id).toBe('b1');
+            expect(merged.severity).toBe('high');
+            expect(merged.reportId).toBe('r2');
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Временные ограничения на рёбрах (ремонт, мероприятия, перекрытия)
+ *
+ * Формат ограничения в данных ребра:
+ * edge.restrictions = [{
+ *     type: 'repair' | 'event' | 'closure',
+ *     closed: true,                        // участок перекрыт для всех
+ *     start: '2026-10-01',                 // начало действия (дата или дата и время)
+ *     end: '2026-10-25',                   // окончание; дата без времени — включительно
+ *     hours: { from: '08:00', to: '20:00' }, // ежедневные часы действия
+ *     description: 'Замена покрытия'
+ * }]
+ * Старый флаг edge.temporary = 'repair' считается ограничением без срока
+ */
+
+// Названия типов ограничений
+export const RESTRICTION_LABELS = {
+    repair: 'Ремонт',
+    event: 'Мероприятие',
+    closure: 'Перекрытие'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Дата без времени разбирается как местная полночь; для конца — полночь следующего дня
+function parseDate(value, isEnd = false) {
+    if (!value) return null;
+
+    if (DATE_ONLY.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, isEnd ? day + 1 : day);
+    }
+    return new Date(value);
+}
+
+function parseMinutes(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60) % 24;
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Все ограничения ребра с учётом старого флага temporary
+ */
+export function getEdgeRestrictions(edge) {
+    const restrictions = edge.restrictions || [];
+    if (edge.temporary && !restrictions.some(restriction => restriction.type === edge.temporary)) {
+        return [...restrictions, { type: edge.temporary }];
+    }
+    return restrictions;
+}
+
+/**
+ * Действует ли ограничение в момент time
+ */
+export function isRestrictionActive(restriction, time = new Date()) {
+    const moment = new Date(time);
+    const start = parseDate(restriction.start);
+    const end = parseDate(restriction.end, true);
+
+    if (start && moment < start) return false;
+    if (end && moment >= end) return false;
+
+    if (restriction.hours) {
+        const minutes = moment.getHours() * 60 + moment.getMinutes();
+        const from = parseMinutes(restriction.hours.from);
+        const to = parseMinutes(restriction.hours.to);
+
+        // Интервал может переходить через полночь (22:00–06:00)
+        const inWindow = from <= to
+            ? minutes >= from && minutes < to
+            : minutes >= from || minutes < to;
+        if (!inWindow) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Ограничения ребра, действующие в момент time
+ */
+export function getActiveRestrictions(edge, time = new Date()) {
+    return getEdgeRestrictions(edge).filter(restriction => isRestrictionActive(restriction, time));
+}
+
+/**
+ * Срок действия ограничения для подписи: «до 20:00», «до 25 окт.»
+ * Для ограничения по часам указывается время окончания в этот день
+ */
+export function formatRestrictionUntil(restriction) {
+    if (restriction.hours) {
+        return `до ${formatTime(parseMinutes(restriction.hours.to))}`;
+    }
+
+    if (restriction.end) {
+        // Последний день действия
+        const lastDay = new Date(parseDate(restriction.end, true).getTime() - 1);
+        return `до ${lastDay.toLocaleDateString('ru-RU', { day: 'numeric', month: 'short' })}`;
+    }
+
+    return '';
+}
+
+/**
+ * Описание действующего ограничения: «Закрыто до 25 окт. (ремонт)»
+ */
+export function describeRestriction(restriction) {
+    const label = RESTRICTION_LABELS[restriction.type] || 'Временные ограничения';
+    const until = formatRestrictionUntil(restriction);
+
+    const text = restriction.closed
+        ? `Закрыто${until ? ` ${until}` : ''} (${label.toLowerCase()})`
+        : `${label}${until ? ` ${until}` : ''}`;
+
+    return restriction.description ? `${text}: ${restriction.description}` : text;
+}
@@ -0,0 +1,94 @@
+/**
+ * Места для отдыха на маршруте
+ * Узлы графа с полем rest (скамейка, зона отдыха, доступный туалет) — точки,
+ * где можно передохнуть. Для профиля с maxRestDistance маршрут строится так,
+ * чтобы между отдыхами не было участка длиннее этого расстояния
+ */
+
+// Типы мест для отдыха
+export const REST_LABELS = {
+    bench: 'Скамейка',
+    rest_area: 'Зона отдыха',
+    toilet: 'Доступный туалет'
+};
+
+/**
+ * Можно ли отдохнуть в узле
+ */
+export function isRestNode(node) {
+    return !!node && !!REST_LABELS[node.rest];
+}
+
+/**
+ * Самый длинный участок маршрута без мест для отдыха, в метрах
+ * Начало и конец маршрута считаются точками отдыха
+ * Это наименьшее значение maxRestDistance, при котором маршрут допустим
+ */
+export function getLongestStretch(route, nodeMap) {
+    let longest = 0;
+    let stretch = 0;
+
+    route.edges.forEach((edge, idx) => {
+        if (idx > 0 && isRestNode(nodeMap.get(route.path[idx]))) {
+            stretch = 0;
+        }
+        stretch += edge.distance;
+        longest = Math.max(longest, stretch);
+    });
+
+    return longest;
+}
+
+/**
+ * Расстояние от последнего места для отдыха до конца маршрута, в метрах
+ * initial — сколько пройдено без отдыха до начала маршрута
+ */
+export function getDistanceSinceRest(route, nodeMap, initial = 0) {
+    let sinceRest = isRestNode(nodeMap.get(route.path[0])) ? 0 : initial;
+
+    route.edges.forEach((edge, idx) => {
+        sinceRest = isRestNode(nodeMap.get(route.path[idx + 1])) ? 0 : sinceRest + edge.distance;
+    });
+
+    return sinceRest;
+}
+
+/**
+ * Остановки для отдыха, без которых маршрут не пройти
+ * Отдых откладывается до последнего места перед превышением предела,
+ * поэтому остановок получается как можно меньше
+ * @returns {Array<{ node: object, pathIndex: number, distance: number, label: string }>}
+ *   distance — расстояние от начала маршрута до остановки
+ */
+export function getRestStops(route, nodeMap, maxRestDistance) {
+    const stops = [];
+    if (!maxRestDistance) return stops;
+
+    let sinceRest = 0;
+    let distance = 0;
+    // Последнее место для отдыха после предыдущей остановки
+    let candidate = null;
+
+    route.edges.forEach((edge, idx) => {
+        const node = nodeMap.get(route.path[idx]);
+
+        if (idx > 0 && isRestNode(node)) {
+            candidate = { node, pathIndex: idx, distance, label: REST_LABELS[node.rest], sinceCandidate: 0 };
+        }
+
+        if (sinceRest + edge.distance > maxRestDistance && candidate) {
+            const { sinceCandidate, ...stop } = candidate;
+            stops.push(stop);
+            sinceRest = sinceCandidate;
+            candidate = null;
+        }
+
+        sinceRest += edge.distance;
+        distance += edge.distance;
+        if (candidate) {
+            candidate.sinceCandidate += edge.distance;
+        }
+    });
+
+    return stops;
+}
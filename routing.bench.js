@@ -0,0 +1,21 @@
+import { bench, describe } from 'vitest';
+import { buildAdjacencyList, findAccessibleRoute } from './routing';
+import { createGridGraph, findRouteBaseline, TEST_PROFILES } from './routing.fixtures';
+
+// Сетки около 10k, 40k и 100k узлов, маршрут из угла в угол
+[100, 200, 317].forEach(size => {
+    describe(`${size}×${size} grid`, () => {
+        const { nodes, edges } = createGridGraph(size, size, 7);
+        const graph = buildAdjacencyList(nodes, edges);
+        const from = 'n1-1';
+        const to = `n${size - 2}-${size - 2}`;
+
+        bench('findAccessibleRoute', () => {
+            findAccessibleRoute(graph, nodes, from, to, TEST_PROFILES.wheelchair);
+        }, { iterations: 3, time: 0 });
+
+        bench('baseline (sorted array, no closed set)', () => {
+            findRouteBaseline(graph, nodes, from, to, TEST_PROFILES.wheelchair);
+        }, { iterations: 3, time: 0 });
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Генерируемые графы для тестов и замеров маршрутизации
+ * Сетка rows × cols узлов с шагом около 100 м; длины, покрытия, бордюры
+ * и уклоны рёбер псевдослучайны, но одинаковы при одном seed
+ */
+
+import { calculateDistance, isEdgeAccessible, calculateEdgeWeight, SURFACE_PENALTIES } from './routing';
+import { createRandom } from './random';
+
+const LAT_STEP = 0.0009;
+const LNG_STEP = 0.0015;
+
+// Доля рёбер, которых нет в сетке (дворы, заборы)
+const MISSING_EDGE_SHARE = 0.1;
+
+// Профили, на которых сравниваются поиски: ограничения по умолчанию
+// для инвалидной и детской коляски
+export const TEST_PROFILES = {
+    wheelchair: { mobilityType: 'wheelchair', maxCurbHeight: 5, maxSlope: 8, minWidth: 90 },
+    stroller: { mobilityType: 'stroller', maxCurbHeight: 10, maxSlope: 10, minWidth: 70 }
+};
+
+/**
+ * Сетка улиц
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function createGridGraph(rows, cols, seed = 1) {
+    const random = createRandom(seed);
+    const surfaces = Object.keys(SURFACE_PENALTIES);
+    const nodes = [];
+    const edges = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            nodes.push({ id: `n${row}-${col}`, lat: 55.7 + row * LAT_STEP, lng: 37.5 + col * LNG_STEP });
+        }
+    }
+
+    const addEdge = (from, to) => {
+        if (random() < MISSING_EDGE_SHARE) return;
+
+        // Улица не короче прямой между узлами: эвристика A* остаётся допустимой
+        const distance = calculateDistance(from.lat, from.lng, to.lat, to.lng) * (1 + random() * 0.3);
+        edges.push({
+            id: `e${edges.length}`,
+            from: from.id,
+            to: to.id,
+            distance: Math.round(distance * 10) / 10,
+            surface: surfaces[Math.floor(random() * surfaces.length)],
+            curb: random() < 0.1 ? 8 + Math.floor(random() * 8) : Math.floor(random() * 4),
+            slope: Math.round((random() * 16 - 8) * 10) / 10,
+            width: random() < 0.05 ? 70 : 120 + Math.floor(random() * 200)
+        });
+    };
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const node = nodes[row * cols + col];
+            if (col + 1 < cols) addEdge(node, nodes[row * cols + col + 1]);
+            if (row + 1 < rows) addEdge(node, nodes[(row + 1) * cols + col]);
+        }
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Поиск маршрута в прежнем виде — до перехода на двоичную кучу: очередь
+ * пересортировывается на каждом шаге, закрытого множества нет
+ * Нужен как эталон, с которым сравнивается findAccessibleRoute; в отличие
+ * от прежнего кода оценка узла, уже стоящего в очереди, обновляется —
+ * иначе и эталон иногда находил не кратчайший путь
+ * @returns {{ path: string[], totalWeight: number } | null}
+ */
+export function findRouteBaseline(graph, nodes, startId, endId, profile) {
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    const endNode = nodeMap.get(endId);
+    const heuristic = (nodeId) => {
+        const node = nodeMap.get(nodeId);
+        return calculateDistance(node.lat, node.lng, endNode.lat, endNode.lng);
+    };
+
+    const openSet = [{ id: startId, fScore: heuristic(startId) }];
+    const cameFrom = new Map();
+    const gScore = new Map([[startId, 0]]);
+
+    while (openSet.length > 0) {
+        openSet.sort((a, b) => a.fScore - b.fScore);
+        const current = openSet.shift();
+
+        if (current.id === endId) {
+            const path = [endId];
+            while (cameFrom.has(path[0])) {
+                path.unshift(cameFrom.get(path[0]));
+            }
+            return { path, totalWeight: gScore.get(endId) };
+        }
+
+        for (const neighbor of graph.get(current.id) || []) {
+            if (!isEdgeAccessible(neighbor.edge, profile, neighbor.reverse)) {
+                continue;
+            }
+
+            const tentativeGScore = gScore.get(current.id) + calculateEdgeWeight(neighbor.edge, profile, neighbor.reverse);
+            if (!gScore.has(neighbor.to) || tentativeGScore < gScore.get(neighbor.to)) {
+                cameFrom.set(neighbor.to, current.id);
+                gScore.set(neighbor.to, tentativeGScore);
+
+                const fScore = tentativeGScore + heuristic(neighbor.to);
+                const queued = openSet.find(n => n.id === neighbor.to);
+                if (queued) {
+                    queued.fScore = fScore;
+                } else {
+                    openSet.push({ id: neighbor.to, fScore });
+                }
+            }
+        }
+    }
+
+    return null;
+}
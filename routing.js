@@ -3,6 +3,57 @@
  * Учитывает параметры доступности из профиля пользователя
  */
 
+import {
+    hasRamp,
+    getActiveBarriers,
+    isBarrierBlocking,
+    getBarrierPenalty,
+    describeBarrier
+} from './barriers';
+import { getActiveRestrictions, describeRestriction } from './restrictions';
+import { calculateBearing, getTurnAngle } from './geometry';
+import { isRestNode, getDistanceSinceRest } from './rests';
+import { getProfileMargins } from './provenance';
+
+// Средняя скорость в м/мин
+const WALKING_SPEEDS = {
+    'wheelchair': 40,
+    'wheelchair_assisted': 50,
+    'stroller': 60,
+    'crutches': 30,
+    'blind': 45,
+    'low_vision': 55,
+    'cognitive': 60
+};
+
+// Множитель веса по типу покрытия; остальные покрытия считаются умеренно неудобными
+export const SURFACE_PENALTIES = {
+    'asphalt': 1.0,
+    'concrete': 1.0,
+    'wood': 1.1,
+    'gravel': 1.5,
+    'cobblestone': 1.8,
+    'stone': 2.0,
+    'sand': 2.5
+};
+
+const UNKNOWN_SURFACE_PENALTY = 1.2;
+
+// Переходы без светофора: их сложнее перейти и на них нет звукового сигнала
+const UNCONTROLLED_CROSSINGS = ['zebra', 'unmarked'];
+
+// Тёмное время суток (часы), когда важно освещение
+const DARK_HOURS = { from: 20, to: 7 };
+
+// Участок без скамеек отмечается, если он длиннее этого расстояния, в метрах
+const BENCH_GAP_DISTANCE = 150;
+
+// Изменение направления, начиная с которого переход на следующее ребро считается поворотом
+const TURN_PENALTY_ANGLE = 45;
+
+// Штраф за ребро с неточными или устаревшими данными, если профиль учитывает их с запасом
+const UNCERTAIN_DATA_PENALTY = 1.2;
+
 // Расчёт расстояния между двумя точками (формула Haversine)
 export function calculateDistance(lat1, lng1, lat2, lng2) {
     const R = 6371000; // Радиус Земли в метрах
@@ -19,27 +70,182 @@ function toRad(deg) {
     return deg * (Math.PI / 180);
 }
 
+/**
+ * Уклон ребра с учётом направления движения
+ * Положительный — подъём, отрицательный — спуск.
+ * В данных уклон задаётся со знаком для направления from → to
+ */
+export function getDirectedSlope(edge, reverse = false) {
+    const slope = edge.slope || 0;
+    return reverse ? -slope : slope;
+}
+
+/**
+ * Можно ли пройти ребро в обратном направлении (to → from)
+ * oneway: true делает ребро односторонним (эскалатор, односторонний пандус),
+ * reverseAllowed явно разрешает или запрещает обратный проход
+ */
+export function isReverseAllowed(edge) {
+    return edge.reverseAllowed ?? !edge.oneway;
+}
+
+/**
+ * Является ли ребро пешеходным переходом
+ * crossingType: 'signals' | 'zebra' | 'unmarked' | 'underpass' | 'overpass'
+ */
+export function isCrossing(edge) {
+    return !!edge.crossingType && edge.crossingType !== 'none';
+}
+
+function isDark(time) {
+    const hour = new Date(time).getHours();
+    return hour >= DARK_HOURS.from || hour < DARK_HOURS.to;
+}
+
+/**
+ * Особенности ребра, важные для незрячих, слабовидящих и людей
+ * с когнитивными нарушениями, — с учётом потребностей профиля
+ * Отмечаются только явно известные недостатки: отсутствие данных проблемой не считается
+ * @returns {Array<{ reason: string, penalty: number }>} penalty — множитель веса ребра
+ */
+function getSensoryConcerns(edge, profile, time) {
+    const concerns = [];
+    const crossing = isCrossing(edge);
+
+    if (profile.needsTactilePaving && edge.tactilePaving === false) {
+        concerns.push(crossing
+            ? { reason: 'Переход без тактильной плитки', penalty: 2.0 }
+            : { reason: 'Нет тактильной плитки', penalty: 1.3 });
+    }
+
+    if (profile.needsAudibleSignal && crossing) {
+        if (UNCONTROLLED_CROSSINGS.includes(edge.crossingType)) {
+            concerns.push({ reason: 'Переход без светофора', penalty: 2.5 });
+        } else if (edge.crossingType === 'signals' && edge.audibleSignal === false) {
+            concerns.push({ reason: 'Светофор без звукового сигнала', penalty: 2.5 });
+        }
+    }
+
+    if (profile.needsLighting && edge.lit === false && isDark(time)) {
+        concerns.push({ reason: 'Не освещено', penalty: 1.5 });
+    }
+
+    if (profile.avoidComplexCrossings && UNCONTROLLED_CROSSINGS.includes(edge.crossingType)) {
+        concerns.push({ reason: 'Нерегулируемый переход', penalty: 3.0 });
+    }
+
+    if (profile.prefersBenches && edge.benches === 0 && edge.distance > BENCH_GAP_DISTANCE) {
+        concerns.push({ reason: 'Нет скамеек для отдыха', penalty: 1.2 });
+    }
+
+    return concerns;
+}
+
+/**
+ * Штраф за поворот в узле via при движении from → via → to, в метрах
+ * Задаётся в профиле (turnPenalty) для тех, кому проще маршрут с меньшим числом поворотов
+ */
+function getTurnPenalty(from, via, to, profile) {
+    if (!profile.turnPenalty || !from) return 0;
+
+    const angle = getTurnAngle(calculateBearing(from, via), calculateBearing(via, to));
+    return Math.abs(angle) >= TURN_PENALTY_ANGLE ? profile.turnPenalty : 0;
+}
+
+// Сумма штрафов за повороты вдоль пути
+function getPathTurnPenalty(path, nodeMap, profile) {
+    let penalty = 0;
+    for (let i = 1; i < path.length - 1; i++) {
+        penalty += getTurnPenalty(nodeMap.get(path[i - 1]), nodeMap.get(path[i]), nodeMap.get(path[i + 1]), profile);
+    }
+    return penalty;
+}
+
+/**
+ * Ключ состояния поиска: узел или, при штрафе за повороты, узел вместе
+ * с предыдущим — от него зависит штраф за поворот на следующее ребро
+ */
+function getSearchState(profile) {
+    return profile.turnPenalty > 0
+        ? (nodeId, previousId) => `${previousId ?? ''}>${nodeId}`
+        : (nodeId) => nodeId;
+}
+
+// Допустимые подъём и спуск профиля; maxSlope задаёт оба предела сразу
+function getSlopeLimits(profile) {
+    return {
+        up: profile.maxSlopeUp ?? profile.maxSlope,
+        down: profile.maxSlopeDown ?? profile.maxSlope
+    };
+}
+
+/**
+ * Скорость передвижения для профиля, м/мин
+ */
+export function getWalkingSpeed(profile) {
+    return WALKING_SPEEDS[profile.mobilityType] || 50;
+}
+
+/**
+ * Момент прохода каждого ребра маршрута (мс) при отправлении в departureTime
+ */
+function getTraversalTimes(edges, profile, departureTime) {
+    const speed = getWalkingSpeed(profile);
+    const times = [];
+    let distance = 0;
+
+    edges.forEach(edge => {
+        times.push(departureTime + distance / speed * 60000);
+        distance += edge.distance;
+    });
+
+    return times;
+}
+
 /**
  * Проверяет, доступно ли ребро для данного профиля пользователя
+ * time — момент прохода ребра; учитываются только действующие в этот момент ограничения
  */
-export function isEdgeAccessible(edge, profile) {
+export function isEdgeAccessible(edge, profile, reverse = false, time = Date.now()) {
+    // Неточные значения проверяются с запасом
+    const margins = getProfileMargins(edge, profile, time);
+
     // Проверка высоты бордюра
-    if (edge.curb > profile.maxCurbHeight && !edge.hasRamp) {
+    if (edge.curb + margins.curb > profile.maxCurbHeight && !hasRamp(edge)) {
         return false;
     }
 
-    // Проверка уклона
-    if (edge.slope > profile.maxSlope) {
+    // Проверка уклона: подъём и спуск ограничиваются отдельно
+    const slope = getDirectedSlope(edge, reverse);
+    const slopeLimits = getSlopeLimits(profile);
+    if (slope + margins.slope > slopeLimits.up || -slope + margins.slope > slopeLimits.down) {
         return false;
     }
 
     // Проверка ширины прохода
-    if (edge.width < profile.minWidth) {
+    if (edge.width - margins.width < profile.minWidth) {
         return false;
     }
 
-    // Временные ограничения (ремонт)
-    if (edge.temporary === 'repair' && profile.mobilityType === 'wheelchair') {
+    // Ступени без пандуса
+    if (edge.stepCount > (profile.maxSteps ?? Infinity) && !hasRamp(edge)) {
+        return false;
+    }
+
+    // Временные ограничения: перекрытие (ignoreClosures используется только диагностикой)
+    const restrictions = getActiveRestrictions(edge, time);
+    if (!profile.ignoreClosures && restrictions.some(restriction => restriction.closed)) {
+        return false;
+    }
+
+    // Ремонт, если пользователь не разрешил его явно
+    if (restrictions.some(restriction => restriction.type === 'repair') &&
+        profile.mobilityType === 'wheelchair' && !profile.allowRepair) {
+        return false;
+    }
+
+    // Привязанные барьеры (ignoreBarriers используется только диагностикой)
+    if (!profile.ignoreBarriers && getActiveBarriers(edge).some(barrier => isBarrierBlocking(barrier, edge, profile))) {
         return false;
     }
 
@@ -50,34 +256,29 @@ export function isEdgeAccessible(edge, profile) {
  * Рассчитывает вес ребра на основе его доступности
  * Чем менее доступно ребро, тем выше его вес
  */
-export function calculateEdgeWeight(edge, profile) {
+export function calculateEdgeWeight(edge, profile, reverse = false, time = Date.now()) {
     let weight = edge.distance;
 
     // Штраф за тип покрытия
-    const surfacePenalty = {
-        'asphalt': 1.0,
-        'concrete': 1.0,
-        'wood': 1.1,
-        'gravel': 1.5,
-        'cobblestone': 1.8,
-        'stone': 2.0,
-        'sand': 2.5
-    };
-    weight *= (surfacePenalty[edge.surface] || 1.2);
+    weight *= (SURFACE_PENALTIES[edge.surface] || UNKNOWN_SURFACE_PENALTY);
 
-    // Штраф за уклон
-    if (edge.slope > 0) {
-        const slopePenalty = 1 + (edge.slope / 10);
+    // Штраф за уклон: подъём даётся тяжелее спуска
+    const slope = getDirectedSlope(edge, reverse);
+    if (slope > 0) {
+        const slopePenalty = 1 + (slope / 10);
         weight *= slopePenalty;
 
         // Дополнительный штраф для колясок без сопровождающего
-        if (profile.mobilityType === 'wheelchair' && edge.slope > 5) {
+        if (profile.mobilityType === 'wheelchair' && slope > 5) {
             weight *= 1.5;
         }
+    } else if (slope < 0) {
+        const slopePenalty = 1 + (-slope / 20);
+        weight *= slopePenalty;
     }
 
     // Штраф за бордюр без пандуса
-    if (edge.curb > 0 && !edge.hasRamp) {
+    if (edge.curb > 0 && !hasRamp(edge)) {
         const curbPenalty = 1 + (edge.curb / 5);
         weight *= curbPenalty;
     }
@@ -88,11 +289,31 @@ export function calculateEdgeWeight(edge, profile) {
         weight *= widthPenalty;
     }
 
+    // Штраф за ступени без пандуса
+    if (edge.stepCount > 0 && !hasRamp(edge)) {
+        weight *= 1 + (edge.stepCount / 10);
+    }
+
+    // Штрафы за особенности, важные для профиля (тактильная плитка, звуковые сигналы, освещение)
+    getSensoryConcerns(edge, profile, time).forEach(concern => {
+        weight *= concern.penalty;
+    });
+
     // Штраф за временные ограничения
-    if (edge.temporary) {
+    if (getActiveRestrictions(edge, time).length > 0) {
         weight *= 2.0;
     }
 
+    // Штраф за привязанные барьеры
+    getActiveBarriers(edge).forEach(barrier => {
+        weight *= getBarrierPenalty(barrier, edge);
+    });
+
+    // Штраф за неточные данные: при прочих равных выбираются проверенные участки
+    if (getProfileMargins(edge, profile, time).uncertain.length > 0) {
+        weight *= UNCERTAIN_DATA_PENALTY;
+    }
+
     return weight;
 }
 
@@ -100,18 +321,21 @@ export function calculateEdgeWeight(edge, profile) {
  * Определяет уровень доступности ребра
  * @returns {'accessible' | 'partial' | 'inaccessible'}
  */
-export function getEdgeAccessibilityLevel(edge, profile) {
-    if (!isEdgeAccessible(edge, profile)) {
+export function getEdgeAccessibilityLevel(edge, profile, reverse = false, time = Date.now()) {
+    if (!isEdgeAccessible(edge, profile, reverse, time)) {
         return 'inaccessible';
     }
 
     // Частично доступно: есть барьеры, но проходимо
     if (
         edge.curb > 3 ||
-        edge.slope > 5 ||
+        Math.abs(getDirectedSlope(edge, reverse)) > 5 ||
         edge.surface === 'cobblestone' ||
         edge.surface === 'gravel' ||
-        edge.temporary
+        edge.stepCount > 0 ||
+        getActiveRestrictions(edge, time).length > 0 ||
+        getActiveBarriers(edge).length > 0 ||
+        getSensoryConcerns(edge, profile, time).length > 0
     ) {
         return 'partial';
     }
@@ -130,25 +354,145 @@ export function buildAdjacencyList(nodes, edges) {
         adjacencyList.set(node.id, []);
     });
 
-    // Добавление рёбер (граф неориентированный)
+    // Добавление рёбер: обратное направление только для двусторонних рёбер
     edges.forEach(edge => {
         adjacencyList.get(edge.from)?.push({
             to: edge.to,
-            edge: edge
-        });
-        adjacencyList.get(edge.to)?.push({
-            to: edge.from,
-            edge: edge
+            edge: edge,
+            reverse: false
         });
+        if (isReverseAllowed(edge)) {
+            adjacencyList.get(edge.to)?.push({
+                to: edge.from,
+                edge: edge,
+                reverse: true
+            });
+        }
     });
 
     return adjacencyList;
 }
 
+/**
+ * Двоичная куча (min-heap) для приоритетной очереди A*
+ * Вместо decrease-key узел добавляется повторно, а устаревшие записи
+ * отбрасываются при извлечении (ленивое удаление)
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        // Порядковый номер вставки: при равном приоритете первым извлекается
+        // узел, добавленный раньше (как при стабильной сортировке)
+        this.counter = 0;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(id, priority) {
+        this.items.push({ id, priority, order: this.counter++ });
+        this.siftUp(this.items.length - 1);
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            this.siftDown(0);
+        }
+
+        return top.id;
+    }
+
+    less(i, j) {
+        const a = this.items[i];
+        const b = this.items[j];
+        return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+    }
+
+    swap(i, j) {
+        const items = this.items;
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.less(index, parent)) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.items.length;
+
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.less(left, smallest)) smallest = left;
+            if (right < length && this.less(right, smallest)) smallest = right;
+            if (smallest === index) break;
+
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+}
+
+// Наименьшее отношение длины ребра к расстоянию по прямой между его узлами, по графам
+const heuristicScales = new WeakMap();
+
+/**
+ * Множитель эвристики A*: расстояние до цели по прямой допустимо, только если
+ * ни одно ребро не короче прямой между своими узлами. В импортированных или
+ * исправленных вручную данных такие рёбра встречаются, и тогда эвристика
+ * уменьшается во столько же раз, во сколько самое «короткое» ребро короче прямой
+ */
+function getHeuristicScale(graph, nodeMap) {
+    if (heuristicScales.has(graph)) {
+        return heuristicScales.get(graph);
+    }
+
+    let scale = 1;
+    graph.forEach((neighbors, nodeId) => {
+        const node = nodeMap.get(nodeId);
+        neighbors.forEach(({ to, edge }) => {
+            const other = nodeMap.get(to);
+            if (!node || !other) return;
+
+            const straight = calculateDistance(node.lat, node.lng, other.lat, other.lng);
+            if (edge.distance < straight) {
+                scale = Math.min(scale, edge.distance / straight);
+            }
+        });
+    });
+
+    heuristicScales.set(graph, scale);
+    return scale;
+}
+
 /**
  * Алгоритм A* для поиска оптимального доступного маршрута
+ * options.excludedEdges / options.excludedNodes — рёбра и узлы, которые
+ * нельзя использовать (нужно для поиска альтернативных маршрутов)
+ * options.departureTime — время отправления (мс или Date); временные
+ * ограничения проверяются на момент, когда пользователь дойдёт до ребра
+ * options.previousId и options.initialSinceRest нужны, когда маршрут продолжает
+ * уже пройденный путь (следующий участок поездки, ответвление альтернативы):
+ * узел, из которого пришли в начальную точку (для штрафа за поворот в ней),
+ * и расстояние, пройденное до неё после последнего отдыха
  */
-export function findAccessibleRoute(graph, nodes, startId, endId, profile) {
+export function findAccessibleRoute(graph, nodes, startId, endId, profile, options = {}) {
+    const { excludedEdges = new Set(), excludedNodes = new Set(), previousId = null, initialSinceRest = 0 } = options;
+    const departureTime = new Date(options.departureTime ?? Date.now()).getTime();
+    const speed = getWalkingSpeed(profile);
     const nodeMap = new Map(nodes.map(n => [n.id, n]));
     const startNode = nodeMap.get(startId);
     const endNode = nodeMap.get(endId);
@@ -157,51 +501,91 @@ export function findAccessibleRoute(graph, nodes, startId, endId, profile) {
         return { path: [], edges: [], totalDistance: 0, issues: [] };
     }
 
-    // Эвристика: расстояние до цели
+    // Эвристика: расстояние до цели, уменьшенное, если в графе есть рёбра короче прямой
+    const heuristicScale = getHeuristicScale(graph, nodeMap);
     const heuristic = (nodeId) => {
         const node = nodeMap.get(nodeId);
-        return calculateDistance(node.lat, node.lng, endNode.lat, endNode.lng);
+        return calculateDistance(node.lat, node.lng, endNode.lat, endNode.lng) * heuristicScale;
     };
 
-    // Приоритетная очередь (простая реализация)
-    const openSet = [{ id: startId, fScore: heuristic(startId) }];
+    if (profile.maxRestDistance > 0) {
+        return findRouteWithRests(graph, nodeMap, startId, endId, profile, {
+            excludedEdges,
+            excludedNodes,
+            departureTime,
+            heuristic,
+            previousId,
+            initialSinceRest
+        });
+    }
+
+    // Со штрафом за повороты вес продолжения зависит от того, откуда пришли
+    // в узел, поэтому состояние поиска — узел вместе с предыдущим узлом;
+    // без штрафа состояние — сам узел
+    const getState = getSearchState(profile);
+
+    // Приоритетная очередь на двоичной куче и множество закрытых состояний
+    const openSet = new MinHeap();
+    const closedSet = new Set();
     const cameFrom = new Map();
     const gScore = new Map();
     const edgeUsed = new Map();
+    const nodeOf = new Map();
+    // Пройденное расстояние до состояния — по нему оценивается время прибытия
+    const distanceFromStart = new Map();
+
+    const startState = getState(startId, previousId);
+    nodeOf.set(startState, startId);
+    gScore.set(startState, 0);
+    distanceFromStart.set(startState, 0);
+    openSet.push(startState, heuristic(startId));
 
-    gScore.set(startId, 0);
+    while (openSet.size > 0) {
+        // Извлечение состояния с минимальным fScore
+        const current = openSet.pop();
 
-    while (openSet.length > 0) {
-        // Извлечение узла с минимальным fScore
-        openSet.sort((a, b) => a.fScore - b.fScore);
-        const current = openSet.shift();
+        // Устаревшая запись: состояние уже раскрыто с лучшей оценкой
+        if (closedSet.has(current)) {
+            continue;
+        }
 
-        if (current.id === endId) {
+        const currentId = nodeOf.get(current);
+        if (currentId === endId) {
             // Восстановление пути
-            return reconstructPath(cameFrom, edgeUsed, current.id, gScore.get(endId), profile);
+            return reconstructPath(cameFrom, edgeUsed, nodeOf, current, gScore.get(current), profile, departureTime);
         }
 
-        const neighbors = graph.get(current.id) || [];
+        closedSet.add(current);
+
+        const neighbors = graph.get(currentId) || [];
+        const arrivalTime = departureTime + distanceFromStart.get(current) / speed * 60000;
+        const previousNode = nodeMap.get(cameFrom.has(current) ? nodeOf.get(cameFrom.get(current)) : previousId);
 
         for (const neighbor of neighbors) {
-            // Пропуск недоступных рёбер
-            if (!isEdgeAccessible(neighbor.edge, profile)) {
+            const next = getState(neighbor.to, currentId);
+            if (closedSet.has(next) || excludedNodes.has(neighbor.to) || excludedEdges.has(neighbor.edge)) {
                 continue;
             }
 
-            const tentativeGScore = gScore.get(current.id) + calculateEdgeWeight(neighbor.edge, profile);
+            // Пропуск недоступных рёбер
+            if (!isEdgeAccessible(neighbor.edge, profile, neighbor.reverse, arrivalTime)) {
+                continue;
+            }
 
-            if (!gScore.has(neighbor.to) || tentativeGScore < gScore.get(neighbor.to)) {
-                cameFrom.set(neighbor.to, current.id);
-                edgeUsed.set(neighbor.to, neighbor.edge);
-                gScore.set(neighbor.to, tentativeGScore);
+            // Штраф за поворот считается по ребру, которым был достигнут текущий узел
+            const tentativeGScore = gScore.get(current) +
+                calculateEdgeWeight(neighbor.edge, profile, neighbor.reverse, arrivalTime) +
+                getTurnPenalty(previousNode, nodeMap.get(currentId), nodeMap.get(neighbor.to), profile);
 
-                const fScore = tentativeGScore + heuristic(neighbor.to);
+            if (!gScore.has(next) || tentativeGScore < gScore.get(next)) {
+                cameFrom.set(next, current);
+                edgeUsed.set(next, neighbor);
+                nodeOf.set(next, neighbor.to);
+                gScore.set(next, tentativeGScore);
+                distanceFromStart.set(next, distanceFromStart.get(current) + neighbor.edge.distance);
 
-                // Добавление в очередь, если ещё не там
-                if (!openSet.find(n => n.id === neighbor.to)) {
-                    openSet.push({ id: neighbor.to, fScore });
-                }
+                // Старая запись состояния в куче остаётся и будет пропущена при извлечении
+                openSet.push(next, tentativeGScore + heuristic(neighbor.to));
             }
         }
     }
@@ -211,74 +595,422 @@ export function findAccessibleRoute(graph, nodes, startId, endId, profile) {
 }
 
 /**
- * Восстановление пути из результатов A*
+ * A* с ограничением на расстояние между отдыхами (profile.maxRestDistance)
+ * Состояние поиска — узел и расстояние, пройденное после последнего отдыха,
+ * поэтому узел может раскрываться несколько раз: более длинный путь бывает
+ * допустим благодаря скамейке по дороге. Метка отбрасывается, если в узле
+ * уже есть метка не хуже и по весу, и по расстоянию после отдыха; при штрафе
+ * за повороты сравниваются только метки, пришедшие из того же узла
+ * Начальная метка получает options.initialSinceRest, если в начальной точке нельзя отдохнуть
+ */
+function findRouteWithRests(graph, nodeMap, startId, endId, profile, options) {
+    const { excludedEdges, excludedNodes, departureTime, heuristic, previousId, initialSinceRest } = options;
+    const speed = getWalkingSpeed(profile);
+    const limit = profile.maxRestDistance;
+    const getState = getSearchState(profile);
+
+    // Метки: { nodeId, g, distance, sinceRest, parent, via, dominated }
+    const labels = [];
+    const labelsAt = new Map();
+    const openSet = new MinHeap();
+
+    // Узел, из которого пришли в узел метки; для начальной метки — узел до начала маршрута
+    const previousOf = (label) => label.parent !== null ? labels[label.parent].nodeId : previousId;
+
+    const addLabel = (label) => {
+        const state = getState(label.nodeId, previousOf(label));
+        const existing = labelsAt.get(state) || [];
+        if (existing.some(i => labels[i].g <= label.g && labels[i].sinceRest <= label.sinceRest)) {
+            return;
+        }
+
+        // Метки, которые новая метка превосходит, больше не раскрываются
+        existing.forEach(i => {
+            if (label.g <= labels[i].g && label.sinceRest <= labels[i].sinceRest) {
+                labels[i].dominated = true;
+            }
+        });
+
+        const index = labels.length;
+        labels.push(label);
+        labelsAt.set(state, [...existing.filter(i => !labels[i].dominated), index]);
+        openSet.push(index, label.g + heuristic(label.nodeId));
+    };
+
+    addLabel({
+        nodeId: startId,
+        g: 0,
+        distance: 0,
+        sinceRest: isRestNode(nodeMap.get(startId)) ? 0 : initialSinceRest,
+        parent: null,
+        via: null
+    });
+
+    while (openSet.size > 0) {
+        const index = openSet.pop();
+        const label = labels[index];
+
+        if (label.dominated) {
+            continue;
+        }
+
+        if (label.nodeId === endId) {
+            return reconstructLabelPath(labels, index, profile, departureTime);
+        }
+
+        const arrivalTime = departureTime + label.distance / speed * 60000;
+        const previousNode = nodeMap.get(previousOf(label));
+
+        for (const neighbor of graph.get(label.nodeId) || []) {
+            if (excludedNodes.has(neighbor.to) || excludedEdges.has(neighbor.edge)) {
+                continue;
+            }
+
+            if (!isEdgeAccessible(neighbor.edge, profile, neighbor.reverse, arrivalTime)) {
+                continue;
+            }
+
+            // Участок без отдыха не должен превышать предел профиля
+            const walked = label.sinceRest + neighbor.edge.distance;
+            if (walked > limit) {
+                continue;
+            }
+
+            addLabel({
+                nodeId: neighbor.to,
+                g: label.g +
+                    calculateEdgeWeight(neighbor.edge, profile, neighbor.reverse, arrivalTime) +
+                    getTurnPenalty(previousNode, nodeMap.get(label.nodeId), nodeMap.get(neighbor.to), profile),
+                distance: label.distance + neighbor.edge.distance,
+                sinceRest: isRestNode(nodeMap.get(neighbor.to)) ? 0 : walked,
+                parent: index,
+                via: neighbor
+            });
+        }
+    }
+
+    return { path: [], edges: [], totalDistance: 0, issues: [], notFound: true };
+}
+
+/**
+ * Маршрут через несколько точек в заданном порядке
+ * Каждый участок между соседними точками строится отдельно,
+ * итоговая оценка доступности считается по всей поездке.
+ * Каждый следующий участок начинается в момент прибытия с предыдущего
+ * и продолжает его: промежуточная точка — не место для отдыха, а поворот
+ * в ней штрафуется так же, как в любом другом узле
  */
-function reconstructPath(cameFrom, edgeUsed, endId, totalWeight, profile) {
-    const path = [endId];
+export function findMultiStopRoute(graph, nodes, waypointIds, profile, options = {}) {
+    const departureTime = new Date(options.departureTime ?? Date.now()).getTime();
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    const legs = [];
+    let legDeparture = departureTime;
+    let previousId = null;
+    let sinceRest = 0;
+
+    for (let i = 0; i < waypointIds.length - 1; i++) {
+        const leg = findAccessibleRoute(graph, nodes, waypointIds[i], waypointIds[i + 1], profile, {
+            departureTime: legDeparture,
+            previousId,
+            initialSinceRest: sinceRest
+        });
+
+        if (leg.notFound || leg.path.length === 0) {
+            // Участок недостижим — вся поездка невозможна
+            return {
+                path: [],
+                edges: [],
+                totalDistance: 0,
+                issues: [],
+                legs,
+                failedLeg: i,
+                failedLegDepartureTime: legDeparture,
+                notFound: true
+            };
+        }
+
+        legs.push({ ...leg, from: waypointIds[i], to: waypointIds[i + 1] });
+        legDeparture += leg.totalDistance / getWalkingSpeed(profile) * 60000;
+        if (leg.path.length > 1) {
+            previousId = leg.path[leg.path.length - 2];
+        }
+        sinceRest = getDistanceSinceRest(leg, nodeMap, sinceRest);
+    }
+
+    // Склейка участков: последняя точка участка совпадает с первой точкой следующего
+    const path = legs.length > 0 ? [legs[0].path[0]] : [];
     const edges = [];
+    const reversed = [];
     const issues = [];
-    let current = endId;
     let totalDistance = 0;
+    let totalWeight = 0;
+
+    legs.forEach((leg, legIndex) => {
+        const edgeOffset = edges.length;
+        path.push(...leg.path.slice(1));
+        edges.push(...leg.edges);
+        reversed.push(...leg.reversed);
+        issues.push(...leg.issues.map(issue => ({ ...issue, leg: legIndex, pathIndex: issue.pathIndex + edgeOffset })));
+        totalDistance += leg.totalDistance;
+        totalWeight += leg.totalWeight;
+    });
+
+    return {
+        path,
+        edges,
+        reversed,
+        totalDistance,
+        totalWeight,
+        issues,
+        legs,
+        accessibilityScore: calculateAccessibilityScore(
+            edges, profile, reversed, getTraversalTimes(edges, profile, departureTime)
+        )
+    };
+}
+
+/**
+ * Поиск нескольких альтернативных маршрутов (алгоритм Йена)
+ * Возвращает до count маршрутов по возрастанию веса. Кандидат, который
+ * совпадает с уже выбранным маршрутом больше чем на maxOverlap длины,
+ * отбрасывается, чтобы варианты заметно отличались друг от друга
+ */
+export function findAlternativeRoutes(graph, nodes, startId, endId, profile, options = {}) {
+    const { count = 3, maxOverlap = 0.8, maxIterations = count * 5 } = options;
+    const departureTime = new Date(options.departureTime ?? Date.now()).getTime();
+
+    const first = findAccessibleRoute(graph, nodes, startId, endId, profile, { departureTime });
+    if (first.notFound || first.path.length === 0) {
+        return [];
+    }
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+    // Все найденные пути (нужны для порождения следующих) и отобранные для показа
+    const shortest = [first];
+    const selected = [first];
+    const candidates = [];
+    const seen = new Set([first.path.join('>')]);
+
+    while (selected.length < count && shortest.length < maxIterations) {
+        const previous = shortest[shortest.length - 1];
+
+        // Ответвление от каждого узла предыдущего пути
+        for (let i = 0; i < previous.path.length - 1; i++) {
+            const spurId = previous.path[i];
+            const rootPath = previous.path.slice(0, i + 1);
+            const rootKey = rootPath.join('>');
+
+            // Запрет рёбер, которыми уже найденные пути с тем же началом уходят из узла ответвления
+            const excludedEdges = new Set();
+            shortest.forEach(route => {
+                if (route.path.length > i + 1 && route.path.slice(0, i + 1).join('>') === rootKey) {
+                    excludedEdges.add(route.edges[i]);
+                }
+            });
+
+            // Узлы начала пути запрещены, чтобы маршрут не содержал петель
+            const excludedNodes = new Set(rootPath.slice(0, -1));
+
+            // Ответвление продолжает начало пути: начинается в момент прибытия
+            // в узел ответвления, с поворотом в нём и расстоянием после отдыха
+            const rootEdges = previous.edges.slice(0, i);
+            const rootReversed = previous.reversed.slice(0, i);
+            const rootTimes = getTraversalTimes(rootEdges, profile, departureTime);
+            const rootDistance = rootEdges.reduce((sum, edge) => sum + edge.distance, 0);
+
+            const spur = findAccessibleRoute(graph, nodes, spurId, endId, profile, {
+                excludedEdges,
+                excludedNodes,
+                departureTime: departureTime + rootDistance / getWalkingSpeed(profile) * 60000,
+                previousId: i > 0 ? rootPath[i - 1] : null,
+                initialSinceRest: getDistanceSinceRest({ path: rootPath, edges: rootEdges }, nodeMap)
+            });
+            if (spur.notFound || spur.path.length === 0) {
+                continue;
+            }
+
+            const path = [...rootPath, ...spur.path.slice(1)];
+            const key = path.join('>');
+            if (seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const rootWeight = rootEdges.reduce(
+                (sum, edge, idx) => sum + calculateEdgeWeight(edge, profile, rootReversed[idx], rootTimes[idx]),
+                0
+            );
+
+            // Поворот в узле ответвления уже учтён в весе ответвления
+            const turnPenalty = getPathTurnPenalty(rootPath, nodeMap, profile);
+
+            candidates.push(summarizeRoute(
+                path,
+                [...rootEdges, ...spur.edges],
+                [...rootReversed, ...spur.reversed],
+                rootWeight + spur.totalWeight + turnPenalty,
+                profile,
+                departureTime
+            ));
+        }
+
+        if (candidates.length === 0) {
+            break;
+        }
+
+        // Следующий по весу путь
+        candidates.sort((a, b) => a.totalWeight - b.totalWeight);
+        const next = candidates.shift();
+        shortest.push(next);
+
+        if (selected.every(route => getRouteOverlap(next, route) <= maxOverlap)) {
+            selected.push(next);
+        }
+    }
+
+    return selected;
+}
+
+/**
+ * Доля длины маршрута, проходящая по рёбрам другого маршрута
+ */
+function getRouteOverlap(route, other) {
+    if (route.totalDistance === 0) return 1;
+
+    const otherEdges = new Set(other.edges);
+    const sharedDistance = route.edges
+        .filter(edge => otherEdges.has(edge))
+        .reduce((sum, edge) => sum + edge.distance, 0);
+
+    return sharedDistance / route.totalDistance;
+}
+
+/**
+ * Восстановление пути по цепочке меток (поиск с отдыхом)
+ */
+function reconstructLabelPath(labels, index, profile, departureTime) {
+    const path = [labels[index].nodeId];
+    const edges = [];
+    const reversed = [];
+    const totalWeight = labels[index].g;
+
+    let current = labels[index];
+    while (current.parent !== null) {
+        path.unshift(labels[current.parent].nodeId);
+        edges.unshift(current.via.edge);
+        reversed.unshift(current.via.reverse);
+        current = labels[current.parent];
+    }
+
+    return summarizeRoute(path, edges, reversed, totalWeight, profile, departureTime);
+}
+
+/**
+ * Восстановление пути из результатов A* по цепочке состояний
+ */
+function reconstructPath(cameFrom, edgeUsed, nodeOf, endState, totalWeight, profile, departureTime) {
+    const path = [nodeOf.get(endState)];
+    const edges = [];
+    const reversed = [];
+    let current = endState;
 
     while (cameFrom.has(current)) {
         const prev = cameFrom.get(current);
-        const edge = edgeUsed.get(current);
+        const { edge, reverse } = edgeUsed.get(current);
 
-        path.unshift(prev);
+        path.unshift(nodeOf.get(prev));
         edges.unshift(edge);
+        reversed.unshift(reverse);
+
+        current = prev;
+    }
+
+    return summarizeRoute(path, edges, reversed, totalWeight, profile, departureTime);
+}
+
+/**
+ * Сводка по маршруту: расстояние, проблемные участки и оценка доступности
+ */
+function summarizeRoute(path, edges, reversed, totalWeight, profile, departureTime) {
+    const issues = [];
+    const times = getTraversalTimes(edges, profile, departureTime);
+    let totalDistance = 0;
+
+    edges.forEach((edge, idx) => {
+        const reverse = reversed[idx];
+        const time = times[idx];
         totalDistance += edge.distance;
 
         // Сбор информации о проблемных участках
-        const accessibility = getEdgeAccessibilityLevel(edge, profile);
+        const accessibility = getEdgeAccessibilityLevel(edge, profile, reverse, time);
         if (accessibility !== 'accessible') {
             const issue = {
                 edge: edge,
+                pathIndex: idx,
+                reverse: reverse,
                 level: accessibility,
                 reasons: []
             };
+            const slope = getDirectedSlope(edge, reverse);
 
             if (edge.curb > 3) {
                 issue.reasons.push(`Бордюр ${edge.curb} см`);
             }
-            if (edge.slope > 5) {
-                issue.reasons.push(`Уклон ${edge.slope}%`);
+            if (slope > 5) {
+                issue.reasons.push(`Подъём ${slope}%`);
+            }
+            if (slope < -5) {
+                issue.reasons.push(`Спуск ${-slope}%`);
             }
             if (edge.surface === 'cobblestone' || edge.surface === 'gravel') {
                 issue.reasons.push(`Покрытие: ${edge.surface === 'cobblestone' ? 'брусчатка' : 'гравий'}`);
             }
-            if (edge.temporary) {
-                issue.reasons.push('Временные ограничения');
-            }
-            if (!edge.hasRamp && edge.curb > 0) {
+            // Временные ограничения, действующие в момент прохода
+            getActiveRestrictions(edge, time).forEach(restriction => {
+                issue.reasons.push(describeRestriction(restriction));
+            });
+            if (!hasRamp(edge) && edge.curb > 0) {
                 issue.reasons.push('Нет пандуса');
             }
+            if (edge.stepCount > 0) {
+                issue.reasons.push(`Ступени: ${edge.stepCount}`);
+            }
+            getSensoryConcerns(edge, profile, time).forEach(concern => {
+                issue.reasons.push(concern.reason);
+            });
+
+            // Барьеры, отмеченные на карте
+            const barriers = getActiveBarriers(edge);
+            if (barriers.length > 0) {
+                issue.barriers = barriers;
+                barriers.forEach(barrier => issue.reasons.push(describeBarrier(barrier)));
+            }
 
             issues.push(issue);
         }
-
-        current = prev;
-    }
+    });
 
     return {
         path,
         edges,
+        reversed,
         totalDistance,
         totalWeight,
         issues,
-        accessibilityScore: calculateAccessibilityScore(edges, profile)
+        accessibilityScore: calculateAccessibilityScore(edges, profile, reversed, times)
     };
 }
 
 /**
  * Рассчитывает общий уровень доступности маршрута (0-100)
  */
-function calculateAccessibilityScore(edges, profile) {
+function calculateAccessibilityScore(edges, profile, reversed = [], times = []) {
     if (edges.length === 0) return 100;
 
     let totalScore = 0;
 
-    edges.forEach(edge => {
-        const level = getEdgeAccessibilityLevel(edge, profile);
+    edges.forEach((edge, idx) => {
+        const level = getEdgeAccessibilityLevel(edge, profile, reversed[idx], times[idx]);
         switch (level) {
             case 'accessible':
                 totalScore += 100;
@@ -319,15 +1051,7 @@ export function formatDistance(meters) {
  * Оценивает время в пути на основе профиля
  */
 export function estimateTime(distance, profile) {
-    // Средняя скорость в м/мин
-    const speeds = {
-        'wheelchair': 40,
-        'wheelchair_assisted': 50,
-        'stroller': 60,
-        'crutches': 30
-    };
-
-    const speed = speeds[profile.mobilityType] || 50;
+    const speed = getWalkingSpeed(profile);
     const minutes = Math.ceil(distance / speed);
 
     if (minutes < 60) {
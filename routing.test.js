@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { buildAdjacencyList, findAccessibleRoute, findAlternativeRoutes, findMultiStopRoute, calculateDistance } from './routing';
+import { createGridGraph, findRouteBaseline, TEST_PROFILES } from './routing.fixtures';
+import { DEFAULT_PROFILE } from './profiles';
+
+const DEPARTURE = Date.parse('2026-10-19T12:00:00');
+
+// Точка в метрах от начала координат (x — на восток, y — на север)
+const at = (id, x, y) => ({ id, lat: 55.75 + y / 111320, lng: 37.6 + x / (111320 * Math.cos(55.75 * Math.PI / 180)) });
+
+// Ребро длиной с прямую между узлами, если длина не задана
+const edge = (id, from, to, surface = 'asphalt', distance = calculateDistance(from.lat, from.lng, to.lat, to.lng)) => ({
+    id, from: from.id, to: to.id, surface, curb: 0, slope: 0, width: 200, distance
+});
+
+// Пары узлов, разбросанные по всей сетке
+function getPairs(size, count) {
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+        const from = `n${(i * 37) % size}-${(i * 53) % size}`;
+        const to = `n${size - 1 - (i * 29) % size}-${size - 1 - (i * 17) % size}`;
+        if (from !== to) pairs.push([from, to]);
+    }
+    return pairs;
+}
+
+describe('findAccessibleRoute', () => {
+    // Сетки на 10k и 100k узлов; прежний поиск медленный, поэтому на большой сетке пар меньше
+    [{ size: 100, pairs: 12 }, { size: 317, pairs: 2 }].forEach(({ size, pairs }) => {
+        describe(`${size}×${size} grid`, () => {
+            const { nodes, edges } = createGridGraph(size, size, 7);
+            const graph = buildAdjacencyList(nodes, edges);
+
+            Object.entries(TEST_PROFILES).forEach(([name, profile]) => {
+                it(`finds the same routes as the baseline search (${name})`, () => {
+                    let found = 0;
+                    getPairs(size, pairs).forEach(([from, to]) => {
+                        const route = findAccessibleRoute(graph, nodes, from, to, profile);
+                        const baseline = findRouteBaseline(graph, nodes, from, to, profile);
+
+                        if (!baseline) {
+                            expect(route.notFound).toBe(true);
+                            return;
+                        }
+                        expect(route.path).toEqual(baseline.path);
+                        expect(route.totalWeight).toBeCloseTo(baseline.totalWeight, 6);
+                        found++;
+                    });
+                    expect(found).toBeGreaterThan(0);
+                });
+            });
+        });
+    });
+
+    it('stays exact when an edge is shorter than the straight line', () => {
+        // Ребро B–A на 90 м по прямой записано длиной 1 м: без поправки эвристики
+        // A закрывается раньше, чем до него находится путь через B
+        const [T, A, S, B] = [at('T', 0, 0), at('A', 100, 0), at('S', 150, 0), at('B', 190, 0)];
+        const nodes = [T, A, S, B];
+        const edges = [edge('SA', S, A), edge('SB', S, B), edge('BA', B, A, 'asphalt', 1), edge('AT', A, T, 'asphalt', 200)];
+        const graph = buildAdjacencyList(nodes, edges);
+
+        const route = findAccessibleRoute(graph, nodes, 'S', 'T', TEST_PROFILES.wheelchair);
+        const baseline = findRouteBaseline(graph, nodes, 'S', 'T', TEST_PROFILES.wheelchair);
+
+        expect(route.path).toEqual(['S', 'B', 'A', 'T']);
+        expect(route.path).toEqual(baseline.path);
+        expect(route.totalWeight).toBeCloseTo(baseline.totalWeight, 6);
+    });
+
+    it('reports unreachable targets', () => {
+        const { nodes, edges } = createGridGraph(10, 10, 7);
+        const withIsolated = [...nodes, { id: 'isolated', lat: 55.6, lng: 37.4 }];
+        const route = findAccessibleRoute(buildAdjacencyList(withIsolated, edges), withIsolated, 'n0-0', 'isolated', TEST_PROFILES.wheelchair);
+
+        expect(route.notFound).toBe(true);
+        expect(route.path).toEqual([]);
+    });
+});
+
+describe('rests', () => {
+    // S–W–E по прямой, по 200 м; у R, в стороне от W, стоит скамейка
+    const [S, W, E] = [at('S', 0, 0), at('W', 200, 0), at('E', 400, 0)];
+    const R = { ...at('R', 240, 30), rest: 'bench' };
+    const nodes = [S, W, E, R];
+    const edges = [edge('SW', S, W), edge('WE', W, E), edge('WR', W, R), edge('RE', R, E)];
+    const graph = buildAdjacencyList(nodes, edges);
+    const profile = { ...DEFAULT_PROFILE, maxRestDistance: 300 };
+
+    it('rests on the way when the direct stretch is too long', () => {
+        const route = findAccessibleRoute(graph, nodes, 'S', 'E', profile, { departureTime: DEPARTURE });
+
+        expect(route.path).toEqual(['S', 'W', 'R', 'E']);
+    });
+
+    it('does not rest at a waypoint that is not a rest place', () => {
+        const route = findMultiStopRoute(graph, nodes, ['S', 'W', 'E'], profile, { departureTime: DEPARTURE });
+
+        expect(route.path).toEqual(['S', 'W', 'R', 'E']);
+    });
+
+    it('counts the root path of an alternative towards the stretch', () => {
+        const routes = findAlternativeRoutes(graph, nodes, 'S', 'E', profile, { departureTime: DEPARTURE, maxOverlap: 1 });
+
+        expect(routes.map(route => route.path)).toEqual([['S', 'W', 'R', 'E']]);
+    });
+});
+
+describe('turn penalty', () => {
+    const toward = (from, id, bearing, distance) => {
+        const rad = bearing * Math.PI / 180;
+        return at(id, from.x + distance * Math.sin(rad), from.y + distance * Math.cos(rad));
+    };
+
+    // S→Y→X дешевле S→X, но приходит в X под углом, после которого к T нужен поворот
+    const S = { ...at('S', 0, 0), x: 0, y: 0 };
+    const Y = toward(S, 'Y', 50, 100);
+    const yPoint = { x: 100 * Math.sin(50 * Math.PI / 180), y: 100 * Math.cos(50 * Math.PI / 180) };
+    const X = toward(yPoint, 'X', 94, 100);
+    const xPoint = { x: yPoint.x + 100 * Math.sin(94 * Math.PI / 180), y: yPoint.y + 100 * Math.cos(94 * Math.PI / 180) };
+    const T = toward(xPoint, 'T', 48, 200);
+    const nodes = [S, Y, X, T].map(({ id, lat, lng }) => ({ id, lat, lng }));
+
+    const edges = [edge('SY', S, Y, 'asphalt'), edge('YX', Y, X, 'asphalt'), edge('SX', S, X, 'wood'), edge('XT', X, T, 'asphalt')];
+    const graph = buildAdjacencyList(nodes, edges);
+    const profile = { ...DEFAULT_PROFILE, turnPenalty: 60 };
+    const straightWeight = edges[2].distance * 1.1 + edges[3].distance;
+
+    it('keeps the cheaper way into a node when it avoids a later turn', () => {
+        const route = findAccessibleRoute(graph, nodes, 'S', 'T', profile, { departureTime: DEPARTURE });
+
+        expect(route.path).toEqual(['S', 'X', 'T']);
+        expect(route.totalWeight).toBeCloseTo(straightWeight, 6);
+    });
+
+    it('does the same when rests are required', () => {
+        // Скамейка в Y: метка через Y не хуже ни по весу, ни по пути после отдыха
+        const withBench = nodes.map(node => node.id === 'Y' ? { ...node, rest: 'bench' } : node);
+        const route = findAccessibleRoute(buildAdjacencyList(withBench, edges), withBench, 'S', 'T',
+            { ...profile, maxRestDistance: 1000 }, { departureTime: DEPARTURE });
+
+        expect(route.path).toEqual(['S', 'X', 'T']);
+        expect(route.totalWeight).toBeCloseTo(straightWeight, 6);
+    });
+
+    it('ranks alternatives by weight including turns', () => {
+        const routes = findAlternativeRoutes(graph, nodes, 'S', 'T', profile, { departureTime: DEPARTURE, maxOverlap: 1 });
+
+        expect(routes.map(route => route.path)).toEqual([['S', 'X', 'T'], ['S', 'Y', 'X', 'T']]);
+        expect(routes[1].totalWeight).toBeCloseTo(edges[0].distance + edges[1].distance + edges[3].distance + 60, 6);
+    });
+
+    it('counts the turn at a waypoint', () => {
+        const route = findMultiStopRoute(graph, nodes, ['S', 'X', 'T'], profile, { departureTime: DEPARTURE });
+
+        expect(route.path).toEqual(['S', 'Y', 'X', 'T']);
+        expect(route.totalWeight).toBeCloseTo(edges[0].distance + edges[1].distance + edges[3].distance + 60, 6);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Импорт выгрузки OpenStreetMap в граф маршрутизации
+ *
+ *   npm run import-osm -- <выгрузка.osm | .osm.pbf | .json> [граф.json]
+ *
+ * Граф по умолчанию записывается в data/cityGraph.json, отчёт о пропущенных
+ * и взятых по умолчанию атрибутах — рядом, в <граф>.report.json. Граф
+ * проверяется по схеме (graphSchema.js) и не записывается, если в нём есть ошибки
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { importOsm } from '../osmImport';
+import { parseOsmPbf } from '../osmPbf';
+import { validateGraph, formatProblem } from '../graphSchema';
+
+const DEFAULT_OUTPUT = 'data/cityGraph.json';
+
+// Сколько проблем схемы выводится в консоль
+const PROBLEMS_SHOWN = 20;
+
+function readExtract(path) {
+    if (path.endsWith('.pbf')) {
+        return parseOsmPbf(readFileSync(path));
+    }
+    return readFileSync(path, 'utf8');
+}
+
+function printProblems(title, problems) {
+    if (problems.length === 0) return;
+
+    console.error(`${title}: ${problems.length}`);
+    problems.slice(0, PROBLEMS_SHOWN).forEach(problem => console.error(`  ${formatProblem(problem)}`));
+    if (problems.length > PROBLEMS_SHOWN) {
+        console.error(`  и ещё ${problems.length - PROBLEMS_SHOWN}`);
+    }
+}
+
+function main([input, output = DEFAULT_OUTPUT]) {
+    if (!input) {
+        console.error('Использование: npm run import-osm -- <выгрузка.osm | .osm.pbf | .json> [граф.json]');
+        return 2;
+    }
+
+    const { graph, report } = importOsm(readExtract(input));
+    const validation = validateGraph(graph);
+
+    printProblems('Ошибки', validation.errors);
+    printProblems('Предупреждения', validation.warnings);
+    if (!validation.valid) {
+        console.error('Граф не записан: исправьте ошибки в выгрузке');
+        return 1;
+    }
+
+    const reportPath = output.replace(/\.json$/, '') + '.report.json';
+    writeFileSync(output, JSON.stringify(graph, null, 2) + '\n');
+    writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+    console.log(`Узлов: ${graph.nodes.length}, рёбер: ${graph.edges.length}, пропущено линий: ${report.skippedWays}`);
+    Object.entries(report.missing).forEach(([attribute, count]) => {
+        console.log(`  рёбер без ${attribute}: ${count}`);
+    });
+    console.log(`Граф: ${output}, отчёт: ${reportPath}`);
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,152 @@
+/**
+ * Привязка выбранной на карте точки к ближайшему ребру графа
+ * Точка проецируется на отрезок ребра, а ребро при построении маршрута
+ * разбивается виртуальным узлом, чтобы маршрут начинался ровно там,
+ * где находится пользователь
+ */
+
+import { isReverseAllowed } from './routing';
+import { projectOntoSegment, getRadiusBounds } from './geometry';
+
+// Максимальное расстояние привязки в метрах
+export const MAX_SNAP_DISTANCE = 50;
+
+// Проекция ближе этого расстояния к концу ребра привязывается к самому узлу
+const NODE_SNAP_DISTANCE = 1;
+
+let virtualNodeCounter = 0;
+
+/**
+ * Поиск ближайшей точки на рёбрах графа
+ * @param {object} edgeIndex — индекс рёбер (buildEdgeIndex)
+ * @param {Function} [options.filter] — отбор рёбер, например только доступных профилю
+ * @returns {{ edge: object, t: number, lat: number, lng: number, distance: number } | null}
+ */
+export function snapToNearestEdge(edgeIndex, nodeMap, latlng, options = {}) {
+    const { maxDistance = MAX_SNAP_DISTANCE, filter = () => true } = options;
+    let nearest = null;
+
+    edgeIndex.search(getRadiusBounds(latlng, maxDistance)).forEach(edge => {
+        if (!filter(edge)) return;
+
+        const projection = projectOntoSegment(latlng, nodeMap.get(edge.from), nodeMap.get(edge.to));
+        if (projection.distance <= maxDistance && (!nearest || projection.distance < nearest.distance)) {
+            nearest = { edge, ...projection };
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Точка маршрута по результату привязки
+ * Возвращает узел графа, если проекция попала в его окрестность,
+ * иначе — новый виртуальный узел на ребре
+ */
+export function createSnappedPoint(snap, nodeMap) {
+    const { edge, t } = snap;
+    const fromNode = nodeMap.get(edge.from);
+    const toNode = nodeMap.get(edge.to);
+    const offset = t * edge.distance;
+
+    if (offset <= NODE_SNAP_DISTANCE) return fromNode;
+    if (edge.distance - offset <= NODE_SNAP_DISTANCE) return toNode;
+
+    return {
+        id: `virtual-${++virtualNodeCounter}`,
+        lat: snap.lat,
+        lng: snap.lng,
+        name: edge.name || `${fromNode.name} — ${toNode.name}`,
+        virtual: true,
+        snap
+    };
+}
+
+// Положение барьера вдоль ребра (0–1) или null, если у барьера нет координат
+function getBarrierPosition(barrier, fromNode, toNode) {
+    if (!Number.isFinite(barrier.lat) || !Number.isFinite(barrier.lng)) return null;
+    return projectOntoSegment(barrier, fromNode, toNode).t;
+}
+
+/**
+ * Встраивает виртуальные узлы в граф, разбивая рёбра на части
+ * Барьеры ребра достаются той части, на которую попадает их проекция;
+ * барьер без координат остаётся на всех частях
+ * Исходный граф не изменяется
+ * @returns {{ graph: Map, nodes: Array, edges: Array }} граф смежности,
+ *   узлы и рёбра с учётом виртуальных
+ */
+export function addVirtualNodes(graph, nodes, edges, points) {
+    const virtualPoints = points.filter(point => point?.virtual);
+    if (virtualPoints.length === 0) {
+        return { graph, nodes, edges };
+    }
+
+    const augmented = new Map(graph);
+    const splitEdges = [];
+    let nodeMap = null;
+
+    // Копия списка соседей узла перед изменением
+    const neighborsOf = (nodeId) => {
+        if (!augmented.has(nodeId) || augmented.get(nodeId) === graph.get(nodeId)) {
+            augmented.set(nodeId, [...(graph.get(nodeId) || [])]);
+        }
+        return augmented.get(nodeId);
+    };
+
+    // Точки группируются по ребру, на котором лежат
+    const pointsByEdge = new Map();
+    virtualPoints.forEach(point => {
+        const edgePoints = pointsByEdge.get(point.snap.edge) || [];
+        edgePoints.push(point);
+        pointsByEdge.set(point.snap.edge, edgePoints);
+    });
+
+    pointsByEdge.forEach((edgePoints, edge) => {
+        const chain = [
+            { id: edge.from, t: 0 },
+            ...edgePoints
+                .map(point => ({ id: point.id, t: point.snap.t }))
+                .sort((a, b) => a.t - b.t),
+            { id: edge.to, t: 1 }
+        ];
+
+        let barriers = [];
+        if (edge.barriers?.length > 0) {
+            if (!nodeMap) nodeMap = new Map(nodes.map(node => [node.id, node]));
+            barriers = edge.barriers.map(barrier => ({
+                barrier,
+                t: getBarrierPosition(barrier, nodeMap.get(edge.from), nodeMap.get(edge.to))
+            }));
+        }
+
+        // Части ребра наследуют его атрибуты доступности
+        for (let i = 0; i < chain.length - 1; i++) {
+            const isLast = i === chain.length - 2;
+            const part = {
+                ...edge,
+                from: chain[i].id,
+                to: chain[i + 1].id,
+                distance: edge.distance * (chain[i + 1].t - chain[i].t),
+                parentEdge: edge
+            };
+            if (edge.barriers) {
+                part.barriers = barriers
+                    .filter(({ t }) => t === null || (t >= chain[i].t && (t < chain[i + 1].t || isLast)))
+                    .map(({ barrier }) => barrier);
+            }
+            splitEdges.push(part);
+
+            neighborsOf(part.from).push({ to: part.to, edge: part, reverse: false });
+            if (isReverseAllowed(part)) {
+                neighborsOf(part.to).push({ to: part.from, edge: part, reverse: true });
+            }
+        }
+    });
+
+    return {
+        graph: augmented,
+        nodes: [...nodes, ...virtualPoints],
+        edges: [...edges, ...splitEdges]
+    };
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { buildAdjacencyList, findAccessibleRoute } from './routing';
+import { createSnappedPoint, addVirtualNodes } from './snapping';
+
+// Улица A–B около 200 м, лестница у конца B
+const nodes = [
+    { id: 'A', lat: 55.75, lng: 37.6 },
+    { id: 'B', lat: 55.75, lng: 37.6032 }
+];
+const stairs = { id: 'stairs', type: 'stairs', severity: 'high', lat: 55.75, lng: 37.6030 };
+const edge = { id: 'AB', from: 'A', to: 'B', distance: 200, curb: 0, slope: 0, width: 200, surface: 'asphalt', barriers: [stairs] };
+const nodeMap = new Map(nodes.map(node => [node.id, node]));
+const profile = { mobilityType: 'wheelchair', maxCurbHeight: 5, maxSlope: 8, minWidth: 90 };
+
+function snapAt(t) {
+    return createSnappedPoint({ edge, t, lat: 55.75, lng: 37.6 + 0.0032 * t, distance: 0 }, nodeMap);
+}
+
+describe('addVirtualNodes', () => {
+    it('keeps each barrier only on the part of the edge where it lies', () => {
+        const point = snapAt(0.5);
+        const { edges } = addVirtualNodes(buildAdjacencyList(nodes, [edge]), nodes, [edge], [point]);
+        const [before, after] = edges.filter(part => part.parentEdge === edge);
+
+        expect(before.barriers).toEqual([]);
+        expect(after.barriers).toEqual([stairs]);
+    });
+
+    it('routes along the part without the barrier', () => {
+        const point = snapAt(0.5);
+        const routing = addVirtualNodes(buildAdjacencyList(nodes, [edge]), nodes, [edge], [point]);
+
+        const toStart = findAccessibleRoute(routing.graph, routing.nodes, point.id, 'A', profile);
+        const toEnd = findAccessibleRoute(routing.graph, routing.nodes, point.id, 'B', profile);
+
+        expect(toStart.path).toEqual([point.id, 'A']);
+        expect(toEnd.notFound).toBe(true);
+    });
+
+    it('keeps barriers without coordinates on every part', () => {
+        const unplaced = { id: 'repair', type: 'repair', severity: 'high' };
+        const withUnplaced = { ...edge, barriers: [unplaced] };
+        const point = createSnappedPoint({ edge: withUnplaced, t: 0.5, lat: 55.75, lng: 37.6016, distance: 0 }, nodeMap);
+        const { edges } = addVirtualNodes(buildAdjacencyList(nodes, [withUnplaced]), nodes, [withUnplaced], [point]);
+
+        edges.filter(part => part.parentEdge === withUnplaced).forEach(part => {
+            expect(part.barriers).toEqual([unplaced]);
+        });
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * Пространственный индекс на равномерной сетке
+ * Каждый элемент попадает во все ячейки, которые пересекает его
+ * ограничивающий прямоугольник, поэтому запрос по области
+ * просматривает только ближайшие ячейки, а не весь набор данных
+ */
+
+import { calculateDistance } from './routing';
+import { projectOntoSegment, getRadiusBounds } from './geometry';
+
+// Размер ячейки по умолчанию в градусах (~100 м по широте)
+const DEFAULT_CELL_SIZE = 0.001;
+
+// Начальный радиус поиска ближайших соседей в метрах
+const INITIAL_SEARCH_RADIUS = 100;
+
+function boundsIntersect(a, b) {
+    return a.minLat <= b.maxLat && a.maxLat >= b.minLat &&
+        a.minLng <= b.maxLng && a.maxLng >= b.minLng;
+}
+
+function boundsContain(outer, inner) {
+    return outer.minLat <= inner.minLat && outer.maxLat >= inner.maxLat &&
+        outer.minLng <= inner.minLng && outer.maxLng >= inner.maxLng;
+}
+
+function pointBounds(point) {
+    return { minLat: point.lat, maxLat: point.lat, minLng: point.lng, maxLng: point.lng };
+}
+
+/**
+ * Создаёт пустую сетку
+ * @param {Function} [getDistance] — расстояние в метрах от точки до элемента,
+ *   нужно для запросов по радиусу и ближайших соседей
+ * @returns {{ insert: Function, search: Function, withinRadius: Function, nearest: Function }}
+ */
+export function createSpatialGrid(cellSize = DEFAULT_CELL_SIZE, getDistance = null) {
+    const cells = new Map();
+    let extent = null;
+
+    const forEachCell = (bounds, callback) => {
+        const minX = Math.floor(bounds.minLng / cellSize);
+        const maxX = Math.floor(bounds.maxLng / cellSize);
+        const minY = Math.floor(bounds.minLat / cellSize);
+        const maxY = Math.floor(bounds.maxLat / cellSize);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                callback(`${x}:${y}`);
+            }
+        }
+    };
+
+    const grid = {
+        // Добавление элемента с его ограничивающим прямоугольником
+        insert(item, bounds) {
+            const entry = { item, bounds };
+            forEachCell(bounds, key => {
+                if (!cells.has(key)) {
+                    cells.set(key, []);
+                }
+                cells.get(key).push(entry);
+            });
+
+            extent = extent
+                ? {
+                    minLat: Math.min(extent.minLat, bounds.minLat),
+                    maxLat: Math.max(extent.maxLat, bounds.maxLat),
+                    minLng: Math.min(extent.minLng, bounds.minLng),
+                    maxLng: Math.max(extent.maxLng, bounds.maxLng)
+                }
+                : { ...bounds };
+        },
+
+        // Элементы, чей прямоугольник пересекает область запроса
+        search(bounds) {
+            const found = new Set();
+            if (!extent || !boundsIntersect(extent, bounds)) {
+                return [];
+            }
+
+            // Область запроса обрезается по границам данных
+            const clipped = {
+                minLat: Math.max(bounds.minLat, extent.minLat),
+                maxLat: Math.min(bounds.maxLat, extent.maxLat),
+                minLng: Math.max(bounds.minLng, extent.minLng),
+                maxLng: Math.min(bounds.maxLng, extent.maxLng)
+            };
+
+            forEachCell(clipped, key => {
+                const entries = cells.get(key);
+                if (!entries) return;
+
+                entries.forEach(entry => {
+                    if (boundsIntersect(entry.bounds, bounds)) {
+                        found.add(entry.item);
+                    }
+                });
+            });
+            return [...found];
+        },
+
+        /**
+         * Элементы не дальше radius метров от точки, по возрастанию расстояния
+         * @returns {Array<{ item: any, distance: number }>}
+         */
+        withinRadius(point, radius) {
+            return grid.search(getRadiusBounds(point, radius))
+                .map(item => ({ item, distance: getDistance(point, item) }))
+                .filter(result => result.distance <= radius)
+                .sort((a, b) => a.distance - b.distance);
+        },
+
+        /**
+         * k ближайших к точке элементов
+         * Радиус поиска удваивается, пока не найдено k элементов
+         * или пока круг не накроет все данные
+         */
+        nearest(point, k = 1, maxDistance = Infinity) {
+            let radius = Math.min(INITIAL_SEARCH_RADIUS, maxDistance);
+
+            while (extent) {
+                const found = grid.withinRadius(point, radius);
+                const coversAll = boundsContain(getRadiusBounds(point, radius), extent);
+
+                if (found.length >= k || coversAll || radius >= maxDistance) {
+                    return found.slice(0, k);
+                }
+                radius = Math.min(radius * 2, maxDistance);
+            }
+
+            return [];
+        }
+    };
+
+    return grid;
+}
+
+/**
+ * Индекс точечных объектов с координатами lat/lng (узлы, барьеры)
+ */
+export function buildPointIndex(points, cellSize = DEFAULT_CELL_SIZE) {
+    const grid = createSpatialGrid(cellSize, (point, item) =>
+        calculateDistance(point.lat, point.lng, item.lat, item.lng)
+    );
+
+    points.forEach(point => grid.insert(point, pointBounds(point)));
+
+    return grid;
+}
+
+/**
+ * Индекс рёбер графа по отрезкам между их узлами
+ */
+export function buildEdgeIndex(edges, nodeMap, cellSize = DEFAULT_CELL_SIZE) {
+    const grid = createSpatialGrid(cellSize, (point, edge) =>
+        projectOntoSegment(point, nodeMap.get(edge.from), nodeMap.get(edge.to)).distance
+    );
+
+    edges.forEach(edge => {
+        const fromNode = nodeMap.get(edge.from);
+        const toNode = nodeMap.get(edge.to);
+        if (!fromNode || !toNode) return;
+
+        grid.insert(edge, {
+            minLat: Math.min(fromNode.lat, toNode.lat),
+            maxLat: Math.max(fromNode.lat, toNode.lat),
+            minLng: Math.min(fromNode.lng, toNode.lng),
+            maxLng: Math.max(fromNode.lng, toNode.lng)
+        });
+    });
+
+    return grid;
+}
+
+/**
+ * Индексы узлов, рёбер и барьеров городского графа
+ */
+export function buildCityIndex(graphData, nodeMap) {
+    return {
+        nodes: buildPointIndex(graphData.nodes),
+        edges: buildEdgeIndex(graphData.edges, nodeMap),
+        barriers: buildPointIndex(graphData.barriers || [])
+    };
+}
+
+/**
+ * Точечные объекты не дальше radius метров от ломаной (например, маршрута)
+ * @param {Array<[number, number]>} coordinates — вершины ломаной [lat, lng]
+ * @returns {Array<{ item: any, distance: number, segment: number }>} segment — индекс ближайшего отрезка
+ */
+export function findNearPath(pointIndex, coordinates, radius) {
+    const nearest = new Map();
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const a = { lat: coordinates[i][0], lng: coordinates[i][1] };
+        const b = { lat: coordinates[i + 1][0], lng: coordinates[i + 1][1] };
+        const startBounds = getRadiusBounds(a, radius);
+        const endBounds = getRadiusBounds(b, radius);
+
+        const candidates = pointIndex.search({
+            minLat: Math.min(startBounds.minLat, endBounds.minLat),
+            maxLat: Math.max(startBounds.maxLat, endBounds.maxLat),
+            minLng: Math.min(startBounds.minLng, endBounds.minLng),
+            maxLng: Math.max(startBounds.maxLng, endBounds.maxLng)
+        });
+
+        candidates.forEach(item => {
+            const { distance } = projectOntoSegment(item, a, b);
+            const known = nearest.get(item);
+
+            if (distance <= radius && (!known || distance < known.distance)) {
+                nearest.set(item, { item, distance, segment: i });
+            }
+        });
+    }
+
+    return [...nearest.values()].sort((a, b) => a.segment - b.segment || a.distance - b.distance);
+}
+
+/**
+ * Перевод границ карты Leaflet в формат индекса
+ */
+export function fromLatLngBounds(latLngBounds) {
+    return {
+        minLat: latLngBounds.getSouth(),
+        maxLat: latLngBounds.getNorth(),
+        minLng: latLngBounds.getWest(),
+        maxLng: latLngBounds.getEast()
+    };
+}
@@ -0,0 +1,236 @@
+/**
+ * Голосовые подсказки
+ * Фразы ставятся в очередь и произносятся по одной, чтобы не перебивать
+ * друг друга. Озвучивание выполняет синтезатор с интерфейсом:
+ *   speak(text) → Promise, который выполняется по окончании фразы
+ *   cancel()    — прервать текущую фразу
+ * В браузере это Web Speech API, без него — синтезатор в памяти,
+ * который только запоминает фразы (удобно для проверки без звука)
+ */
+
+import { formatDistance, estimateTime } from './routing';
+import { formatHazardWarning } from './navigation';
+
+const SPEECH_LANG = 'ru-RU';
+
+// За сколько метров объявлять манёвр
+export const MANEUVER_ANNOUNCE_DISTANCE = 30;
+
+/**
+ * Поддерживает ли браузер синтез речи
+ */
+export function isSpeechSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * Синтезатор на Web Speech API
+ */
+export function createSpeechSynthesizer(synth = window.speechSynthesis) {
+    return {
+        speak(text) {
+            return new Promise((resolve, reject) => {
+                const utterance = new SpeechSynthesisUtterance(text);
+                utterance.lang = SPEECH_LANG;
+
+                // Русский голос, если он установлен в системе
+                const voice = synth.getVoices().find(item => item.lang.startsWith('ru'));
+                if (voice) {
+                    utterance.voice = voice;
+                }
+
+                utterance.onend = () => resolve();
+                utterance.onerror = (event) => {
+                    // Прерывание через cancel() ошибкой не считается
+                    if (event.error === 'canceled' || event.error === 'interrupted') {
+                        resolve();
+                    } else {
+                        reject(new Error(event.error));
+                    }
+                };
+                synth.speak(utterance);
+            });
+        },
+
+        cancel() {
+            synth.cancel();
+        }
+    };
+}
+
+/**
+ * Синтезатор в памяти: начатые фразы записываются в spoken, прерванные — в interrupted
+ * Как и в Web Speech API, cancel() завершает текущую фразу без ошибки
+ * @param {number} [duration] — «длительность» фразы в мс, чтобы проверять очередь
+ */
+export function createMemorySynthesizer(duration = 0) {
+    const spoken = [];
+    const interrupted = [];
+    let current = null;
+
+    return {
+        spoken,
+        interrupted,
+
+        speak(text) {
+            spoken.push(text);
+            return new Promise(resolve => {
+                const finish = () => {
+                    clearTimeout(timer);
+                    current = null;
+                    resolve();
+                };
+                const timer = setTimeout(finish, duration);
+                current = { text, finish };
+            });
+        },
+
+        cancel() {
+            if (!current) return;
+
+            interrupted.push(current.text);
+            current.finish();
+        }
+    };
+}
+
+/**
+ * Синтезатор по умолчанию: Web Speech API, если он есть, иначе память
+ */
+export function createDefaultSynthesizer() {
+    return isSpeechSupported() ? createSpeechSynthesizer() : createMemorySynthesizer();
+}
+
+/**
+ * Очередь голосовых подсказок
+ * Подсказка с ключом произносится только один раз, пока не вызван reset(),
+ * поэтому повторные отметки местоположения не повторяют одну и ту же фразу
+ */
+export function createVoiceGuide(synthesizer = createDefaultSynthesizer()) {
+    let queue = [];
+    let speaking = false;
+    let lastText = null;
+    const announced = new Set();
+
+    const speakNext = async () => {
+        if (speaking || queue.length === 0) return;
+
+        speaking = true;
+        const text = queue.shift();
+        lastText = text;
+
+        try {
+            await synthesizer.speak(text);
+        } catch {
+            // Ошибка синтеза не должна останавливать очередь
+        }
+
+        speaking = false;
+        speakNext();
+    };
+
+    return {
+        /**
+         * Добавить фразу в очередь
+         * @param {object} [options]
+         * @param {string} [options.key] — ключ для однократного объявления
+         * @param {boolean} [options.urgent] — прервать текущую фразу и очистить очередь
+         * @returns {boolean} поставлена ли фраза в очередь
+         */
+        announce(text, { key, urgent = false } = {}) {
+            if (key) {
+                if (announced.has(key)) return false;
+                announced.add(key);
+            }
+
+            if (urgent) {
+                queue = [];
+                synthesizer.cancel();
+            }
+
+            queue.push(text);
+            speakNext();
+            return true;
+        },
+
+        // Повторить последнюю произнесённую фразу
+        repeatLast() {
+            if (!lastText) return false;
+
+            queue.unshift(lastText);
+            speakNext();
+            return true;
+        },
+
+        // Очистить очередь и забыть объявленные ключи (новый маршрут)
+        reset() {
+            queue = [];
+            announced.clear();
+            synthesizer.cancel();
+        },
+
+        get lastText() {
+            return lastText;
+        },
+
+        get pending() {
+            return queue.length;
+        }
+    };
+}
+
+/**
+ * Сводка по маршруту для озвучивания
+ */
+export function describeRouteSummary(route, profile) {
+    const parts = [
+        `Маршрут построен: ${formatDistance(route.totalDistance)}, ${estimateTime(route.totalDistance, profile)}`,
+        `доступность ${route.accessibilityScore} процентов`
+    ];
+
+    if (route.issues.length > 0) {
+        parts.push(`проблемных участков: ${route.issues.length}`);
+    }
+
+    return `${parts.join(', ')}.`;
+}
+
+/**
+ * Подсказка о манёвре: «Через 30 м поверните налево»
+ */
+export function describeManeuver(maneuver) {
+    const rounded = Math.round(maneuver.distanceTo / 10) * 10;
+    if (rounded < 10) {
+        return maneuver.text;
+    }
+
+    const text = maneuver.text.charAt(0).toLowerCase() + maneuver.text.slice(1);
+    return `Через ${formatDistance(rounded)} ${text}`;
+}
+
+/**
+ * Подсказки для состояния навигации (манёвр и проблемные участки впереди)
+ * @returns {Array<{ key: string, text: string, urgent?: boolean }>}
+ */
+export function getNavigationAnnouncements(state) {
+    const announcements = [];
+
+    if (state.offRoute) {
+        announcements.push({ key: `off-route-${Math.round(state.distanceAlong)}`, text: 'Вы ушли с маршрута', urgent: true });
+    }
+
+    state.upcomingHazards.forEach(hazard => {
+        const text = formatHazardWarning(hazard, hazard.distanceTo);
+        announcements.push({
+            key: `hazard-${hazard.key}`,
+            text: `Внимание: ${text}`
+        });
+    });
+
+    const { nextManeuver } = state;
+    if (nextManeuver.distanceTo <= MANEUVER_ANNOUNCE_DISTANCE) {
+        announcements.push({ key: `maneuver-${nextManeuver.index}`, text: describeManeuver(nextManeuver) });
+    }
+
+    return announcements;
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMemorySynthesizer, createVoiceGuide, getNavigationAnnouncements } from './speech';
+import { createRouteTrack } from './navigation';
+
+// Длительность одной фразы синтезатора в памяти, мс
+const PHRASE = 1000;
+
+describe('createVoiceGuide', () => {
+    let synthesizer;
+    let guide;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        synthesizer = createMemorySynthesizer(PHRASE);
+        guide = createVoiceGuide(synthesizer);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('speaks queued phrases one at a time in order', async () => {
+        guide.announce('Первая');
+        guide.announce('Вторая');
+        guide.announce('Третья');
+
+        expect(synthesizer.spoken).toEqual(['Первая']);
+        expect(guide.pending).toBe(2);
+
+        await vi.advanceTimersByTimeAsync(PHRASE);
+        expect(synthesizer.spoken).toEqual(['Первая', 'Вторая']);
+
+        await vi.advanceTimersByTimeAsync(2 * PHRASE);
+        expect(synthesizer.spoken).toEqual(['Первая', 'Вторая', 'Третья']);
+        expect(guide.pending).toBe(0);
+    });
+
+    it('announces a keyed phrase only once until reset', async () => {
+        expect(guide.announce('Поверните налево', { key: 'maneuver-1' })).toBe(true);
+        expect(guide.announce('Поверните налево', { key: 'maneuver-1' })).toBe(false);
+
+        await vi.advanceTimersByTimeAsync(PHRASE);
+        guide.reset();
+        expect(guide.announce('Поверните налево', { key: 'maneuver-1' })).toBe(true);
+
+        await vi.advanceTimersByTimeAsync(PHRASE);
+        expect(synthesizer.spoken).toEqual(['Поверните налево', 'Поверните налево']);
+    });
+
+    it('interrupts the current phrase and drops the queue for an urgent one', async () => {
+        guide.announce('Маршрут построен');
+        guide.announce('Через 30 м поверните направо');
+        guide.announce('Вы ушли с маршрута', { urgent: true });
+
+        expect(synthesizer.interrupted).toEqual(['Маршрут построен']);
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(synthesizer.spoken).toEqual(['Маршрут построен', 'Вы ушли с маршрута']);
+
+        await vi.advanceTimersByTimeAsync(2 * PHRASE);
+        expect(synthesizer.spoken).toEqual(['Маршрут построен', 'Вы ушли с маршрута']);
+        expect(guide.pending).toBe(0);
+    });
+
+    it('repeats the last spoken phrase before the rest of the queue', async () => {
+        expect(guide.repeatLast()).toBe(false);
+
+        guide.announce('Первая');
+        await vi.advanceTimersByTimeAsync(PHRASE);
+        guide.announce('Вторая');
+        guide.announce('Третья');
+
+        expect(guide.repeatLast()).toBe(true);
+        await vi.advanceTimersByTimeAsync(3 * PHRASE);
+
+        expect(synthesizer.spoken).toEqual(['Первая', 'Вторая', 'Вторая', 'Третья']);
+        expect(guide.lastText).toBe('Третья');
+    });
+
+    it('reset stops speaking and clears the queue', async () => {
+        guide.announce('Первая');
+        guide.announce('Вторая');
+        guide.reset();
+
+        expect(synthesizer.interrupted).toEqual(['Первая']);
+        expect(guide.pending).toBe(0);
+
+        await vi.advanceTimersByTimeAsync(2 * PHRASE);
+        expect(synthesizer.spoken).toEqual(['Первая']);
+
+        guide.announce('Новый маршрут');
+        await vi.advanceTimersByTimeAsync(0);
+        expect(synthesizer.spoken).toEqual(['Первая', 'Новый маршрут']);
+    });
+
+    it('keeps going after a synthesis error', async () => {
+        const failing = {
+            spoken: [],
+            speak(text) {
+                this.spoken.push(text);
+                return text === 'Ошибка' ? Promise.reject(new Error('synthesis-failed')) : Promise.resolve();
+            },
+            cancel() {}
+        };
+        const failingGuide = createVoiceGuide(failing);
+
+        failingGuide.announce('Ошибка');
+        failingGuide.announce('Дальше');
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(failing.spoken).toEqual(['Ошибка', 'Дальше']);
+    });
+});
+
+describe('getNavigationAnnouncements', () => {
+    it('keeps warnings for issues without a path index apart', () => {
+        const edges = [{ id: 'a', distance: 60 }, { id: 'b', distance: 60 }];
+        const track = createRouteTrack({
+            coordinates: [[55.75, 37.6], [55.7505, 37.6], [55.751, 37.6]],
+            edges,
+            issues: [
+                { edge: edges[0], level: 'partial', reasons: ['Бордюр 5 см'] },
+                { edge: edges[1], level: 'partial', reasons: ['Ступени: 3'] }
+            ]
+        });
+
+        const announcements = getNavigationAnnouncements({
+            offRoute: false,
+            upcomingHazards: track.hazards.map(hazard => ({ ...hazard, distanceTo: hazard.distance })),
+            nextManeuver: { distanceTo: Infinity }
+        });
+        const keys = announcements.map(announcement => announcement.key);
+
+        expect(keys).toHaveLength(2);
+        expect(new Set(keys).size).toBe(2);
+    });
+});